@@ -1,4 +1,16 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import {
+    ADMIN_APPROVED,
+    ADMIN_DELETED,
+    ADMIN_REJECTED,
+    getAdminHistory,
+    recordAdminAction
+} from "../services/adminApprovalService.js";
+import { createAdminInvite } from "../services/adminInviteService.js";
+import { revokeUserSessions } from "../services/sessionService.js";
+import { sendAdminInviteEmail } from "../utils/mailer.js";
+import { omitPassword } from "../utils/password.js";
+import { ADMIN } from "../utils/permissions.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
 
 // GET /api/admin/list-admins
@@ -13,11 +25,23 @@ export const listAdmins = async (req, res) => {
     }
 };
 
+// Only role = 'admin' accounts go through approval; accounts holding manage-admins can't be rejected or deleted here
+const getTargetAdmin = async (id) => {
+    const { data, error } = await supabaseAdmin.from("users").select("id, name, email, role, verification").eq("id", id).maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data && data.role === ADMIN ? data : null;
+};
+
 // POST /api/admin/approve-admin/:id
 export const approveAdmin = async (req, res) => {
     try {
-        const { error } = await supabaseAdmin.from("users").update({ verification: "verified" }).eq("id", req.params.id);
+        const target = await getTargetAdmin(req.params.id);
+        if (!target) return res.status(404).json({ message: "Admin not found" });
+
+        const { error } = await supabaseAdmin.from("users").update({ verification: "verified" }).eq("id", target.id);
         if (error) throw error;
+
+        await recordAdminAction({ adminId: target.id, action: ADMIN_APPROVED, actorId: req.user.id, note: req.body?.note });
         res.json({ success: true, message: "Admin approved successfully" });
     } catch (err) {
         console.error("APPROVE ADMIN ERROR:", err);
@@ -28,8 +52,14 @@ export const approveAdmin = async (req, res) => {
 // POST /api/admin/reject-admin/:id
 export const rejectAdmin = async (req, res) => {
     try {
-        const { error } = await supabaseAdmin.from("users").update({ verification: "rejected" }).eq("id", req.params.id);
+        const target = await getTargetAdmin(req.params.id);
+        if (!target) return res.status(404).json({ message: "Admin not found" });
+
+        const { error } = await supabaseAdmin.from("users").update({ verification: "rejected" }).eq("id", target.id);
         if (error) throw error;
+        await revokeUserSessions(target.id); // A previously approved admin loses access immediately
+
+        await recordAdminAction({ adminId: target.id, action: ADMIN_REJECTED, actorId: req.user.id, note: req.body?.note });
         res.json({ success: true, message: "Admin application rejected" });
     } catch (err) {
         console.error("REJECT ADMIN ERROR:", err);
@@ -43,19 +73,31 @@ export const deleteAdmin = async (req, res) => {
         const targetAdminId = req.params.id;
         const superAdminId = req.user.id;
 
-        // 1. Unassign events
+        if (String(targetAdminId) === String(superAdminId)) return res.status(400).json({ message: "You cannot delete your own account." });
+        const target = await getTargetAdmin(targetAdminId);
+        if (!target) return res.status(404).json({ message: "Admin not found" });
+
+        // 1. End their sessions
+        await revokeUserSessions(targetAdminId);
+
+        // 2. Unassign events
         const { error: unassignError } = await supabaseAdmin.from('events').update({ assigned_to: null }).eq('assigned_to', targetAdminId);
         if (unassignError) throw unassignError;
 
-        // 2. Transfer events
+        // 3. Transfer events
         const { error: transferError } = await supabaseAdmin.from('events').update({ created_by: superAdminId }).eq('created_by', targetAdminId);
         if (transferError) throw transferError;
 
-        // 3. Delete user
+        // 4. Drop event collaborations
+        const { error: grantsError } = await supabaseAdmin.from('event_admins').delete().eq('user_id', targetAdminId);
+        if (grantsError) throw grantsError;
+
+        // 5. Delete user
         await supabaseAdmin.auth.admin.deleteUser(targetAdminId).catch(console.warn);
         const { error: deletePublicError } = await supabaseAdmin.from('users').delete().eq('id', targetAdminId);
         if (deletePublicError) throw deletePublicError;
 
+        await recordAdminAction({ adminId: targetAdminId, action: ADMIN_DELETED, actorId: superAdminId, note: target.email });
         res.json({ success: true, message: "Admin deleted and events re-organized." });
     } catch (err) {
         console.error("DELETE ADMIN ERROR:", err);
@@ -63,6 +105,76 @@ export const deleteAdmin = async (req, res) => {
     }
 };
 
+// GET /api/admin/admin-history?adminId=xxx
+export const getAdminApprovalHistory = async (req, res) => {
+    try {
+        const history = await getAdminHistory({ adminId: req.query.adminId });
+        res.json({ success: true, history });
+    } catch (err) {
+        console.error("ADMIN HISTORY ERROR:", err);
+        res.status(500).json({ message: "Failed to fetch admin history" });
+    }
+};
+
+// POST /api/admin/invites
+// Body: { email, name? } - the link pre-approves the account (services/adminInviteService.js)
+export const inviteAdmin = async (req, res) => {
+    try {
+        const { email, name } = req.body || {};
+        const result = await createAdminInvite({ email, name, invitedBy: req.user.id });
+        if (!result.success) {
+            return res.status(result.code === "USER_EXISTS" ? 409 : 400).json({ success: false, message: result.message, code: result.code });
+        }
+
+        const { invite, token, link } = result;
+        let emailSent = false;
+        if (link) {
+            const { data: inviter } = await supabaseAdmin.from("users").select("name").eq("id", req.user.id).maybeSingle();
+            emailSent = !!(await sendAdminInviteEmail(invite.email, { name: invite.name, inviterName: inviter?.name, link, expiresAt: invite.expires_at }));
+        } else {
+            console.error("ADMIN_FRONTEND_URL is not defined in .env; invite link not emailed");
+        }
+
+        res.status(201).json({ success: true, message: "Invite created", invite, token, link, emailSent });
+    } catch (err) {
+        console.error("INVITE ADMIN ERROR:", err);
+        res.status(500).json({ message: "Failed to create invite" });
+    }
+};
+
+// GET /api/admin/invites
+export const listAdminInvites = async (req, res) => {
+    try {
+        const { data: invites, error } = await supabaseAdmin
+            .from("admin_invites")
+            .select("*, inviter:invited_by ( id, name, email )")
+            .order("created_at", { ascending: false });
+        if (error) throw error;
+        res.json({ success: true, invites });
+    } catch (err) {
+        console.error("LIST INVITES ERROR:", err);
+        res.status(500).json({ message: "Failed to fetch invites" });
+    }
+};
+
+// DELETE /api/admin/invites/:id
+export const revokeAdminInvite = async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from("admin_invites")
+            .update({ revoked_at: new Date().toISOString() })
+            .eq("id", req.params.id)
+            .is("accepted_at", null)
+            .select();
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ message: "No open invite found" });
+        res.json({ success: true, message: "Invite revoked" });
+    } catch (err) {
+        console.error("REVOKE INVITE ERROR:", err);
+        res.status(500).json({ message: "Failed to revoke invite" });
+    }
+};
+
 // GET /api/admin/dashboard-stats
 export const getDashboardStats = async (req, res) => {
     try {
@@ -99,8 +211,8 @@ export const getDashboardStats = async (req, res) => {
                 totalRevenue,
                 totalTransactionsCount
             },
-            recentPlayers: recentPlayers || [],
-            rejectedPlayersList: rejectedPlayersList || [],
+            recentPlayers: (recentPlayers || []).map(omitPassword),
+            rejectedPlayersList: (rejectedPlayersList || []).map(omitPassword),
             rejectedTransactions: rejectedTransactions || []
         });
     } catch (err) {
@@ -1,5 +1,6 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
 import { createNotification } from "../services/notificationService.js";
+import { buildAdminEventFilter } from "../services/eventAccessService.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
 
 /* ================= CATEGORIES ================= */
@@ -67,7 +68,7 @@ export const getTransactions = async (req, res) => {
             .order('created_at', { ascending: false });
 
         if (eventId) query = query.eq('event_id', eventId);
-        if (admin_id) query = query.or(`created_by.eq.${admin_id},assigned_to.eq.${admin_id}`, { foreignTable: 'events' });
+        if (admin_id) query = query.or(await buildAdminEventFilter(admin_id), { foreignTable: 'events' });
 
         const { data: transactions, error } = await query;
         if (error) throw error;
@@ -1,11 +1,12 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { omitPassword } from "../utils/password.js";
 
 // GET /api/admin/players
 export const listPlayers = async (req, res) => {
     try {
         const { data: players, error } = await supabaseAdmin.from("users").select("*").eq("role", "player").order('created_at', { ascending: false });
         if (error) throw error;
-        res.json({ success: true, players });
+        res.json({ success: true, players: (players || []).map(omitPassword) });
     } catch (err) {
         console.error("ADMIN PLAYERS ERROR:", err);
         res.status(500).json({ message: "Failed to fetch players" });
@@ -52,7 +53,7 @@ export const getPlayerDetails = async (req, res) => {
             amountPaid: reg.amount_paid
         })) : [];
 
-        res.json({ success: true, player });
+        res.json({ success: true, player: omitPassword(player) });
     } catch (err) {
         console.error("ADMIN PLAYER DETAIL ERROR:", err);
         res.status(500).json({ message: "Failed to fetch player details" });
@@ -1,7 +1,18 @@
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { acceptAdminInvite, claimAdminInvite, releaseAdminInvite, verifyAdminInvite } from "../services/adminInviteService.js";
+import { checkLoginThrottle, clearFailedLogins, loginThrottleKey, recordFailedLogin } from "../services/loginThrottleService.js";
 import { createNotification } from "../services/notificationService.js";
+import { requestPasswordReset, resetPassword as resetAccountPassword, verifyPasswordResetOtp } from "../services/passwordResetService.js";
+import { checkUserPassword } from "../services/passwordService.js";
+import {
+    createSession,
+    refreshSession,
+    revokeRefreshToken,
+    revokeSession,
+    revokeUserSessions
+} from "../services/sessionService.js";
 import {
     sendEmailOtp,
     sendMobileOtp,
@@ -9,17 +20,14 @@ import {
     verifyMobileOtp
 } from "../services/otpService.js";
 import { sendRegistrationSuccessEmail } from "../utils/mailer.js";
+import { hasPasswordLogin, hashPassword } from "../utils/password.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
 
 /* ================= SECURITY VERIFICATION (PROFILE UPDATE / PASSWORD CHANGE) ================= */
 
 export const sendVerificationOtp = async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ message: "No token provided" });
-        const token = authHeader.split(" ")[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.id;
+        const userId = req.user.id;
 
         const { method } = req.body; // 'email' or 'mobile'
 
@@ -58,11 +66,7 @@ export const sendVerificationOtp = async (req, res) => {
 
 export const verifyVerificationOtp = async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ message: "No token provided" });
-        const token = authHeader.split(" ")[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.id;
+        const userId = req.user.id;
 
         const { method, otp, sessionId } = req.body;
 
@@ -159,6 +163,53 @@ export const verifyMobileRegistrationOtp = async (req, res) => {
     }
 };
 
+/* ================= PASSWORD RESET (PLAYERS + ADMINS) ================= */
+
+// POST /api/auth/forgot-password  Body: { identifier (email / mobile / Player ID), method: 'email' | 'mobile' }
+export const forgotPassword = async (req, res) => {
+    try {
+        const { identifier, method } = req.body;
+        const result = requestPasswordReset({ identifier, method });
+        if (!result.success) return res.status(400).json(result);
+
+        res.json({ ...result, message: "If an account matches, an OTP has been sent." });
+    } catch (err) {
+        console.error("FORGOT PASSWORD ERROR:", err.message);
+        res.status(500).json({ success: false, message: "Failed to start password reset" });
+    }
+};
+
+// POST /api/auth/verify-reset-otp  Body: { requestId, otp } -> { resetToken } (15 minutes, single use)
+export const verifyResetOtp = async (req, res) => {
+    try {
+        const { requestId, otp } = req.body;
+        const result = await verifyPasswordResetOtp({ requestId, otp });
+        if (!result.success) return res.status(400).json(result);
+
+        res.json(result);
+    } catch (err) {
+        console.error("VERIFY RESET OTP ERROR:", err.message);
+        res.status(500).json({ success: false, message: "Verification failed" });
+    }
+};
+
+// POST /api/auth/reset-password  Body: { resetToken, newPassword }
+// Logs the account out everywhere; the user signs in again with the new password
+export const resetPassword = async (req, res) => {
+    try {
+        const { resetToken, newPassword } = req.body;
+        if (!resetToken || !newPassword) return res.status(400).json({ success: false, message: "resetToken and newPassword are required" });
+
+        const result = await resetAccountPassword({ resetToken, newPassword });
+        if (!result.success) return res.status(400).json(result);
+
+        res.json({ success: true, message: "Password updated. Please log in again." });
+    } catch (err) {
+        console.error("RESET PASSWORD ERROR:", err.message);
+        res.status(500).json({ success: false, message: "Failed to reset password" });
+    }
+};
+
 /* ================= CHECK CONFLICT ================= */
 
 export const checkUserConflict = async (req, res) => {
@@ -288,7 +339,7 @@ export const registerPlayer = async (req, res) => {
                 pincode,
                 aadhaar,
                 photos: photoUrl,
-                password: password,
+                password: await hashPassword(password),
                 role: 'player',
                 verification: isVerified ? 'verified' : 'pending',
                 gender: gender || null
@@ -323,25 +374,22 @@ export const registerPlayer = async (req, res) => {
             await supabaseAdmin.from("family_members").insert(familyData);
         }
 
-        // 9. Generate Token
-        const token = jwt.sign(
-            { id: user.id, role: 'player' },
-            process.env.JWT_SECRET,
-            { expiresIn: "7d" }
-        );
+        // 9. Start Session (15 min access token + refresh token)
+        const { token, refreshToken, expiresIn } = await createSession({ id: user.id, role: 'player' }, req);
 
-        // 10. Send Welcome Email
+        // 10. Send Welcome Email (explains the DDMMYYYY rule instead of mailing the password)
         try {
             await sendRegistrationSuccessEmail(user.email, {
                 name: user.name,
-                playerId: user.player_id,
-                password: password
+                playerId: user.player_id
             });
         } catch (emailErr) { console.error("Welcome Email Error:", emailErr.message); }
 
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn,
             playerId: user.player_id,
             user: {
                 id: user.id,
@@ -360,6 +408,19 @@ export const registerPlayer = async (req, res) => {
 
 /* ================= LOGIN PLAYER ================= */
 
+// Backoff / lockout answer (services/loginThrottleService.js)
+const sendLoginThrottled = (res, { code, message, retryAfter }) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ success: false, code, message, retryAfter });
+};
+
+// Wrong password or unknown identifier: counts towards backoff, and the attempt that locks says so
+const rejectLogin = async (res, throttleKey, user = null) => {
+    const { locked } = await recordFailedLogin(throttleKey, user);
+    if (locked) return sendLoginThrottled(res, await checkLoginThrottle(throttleKey));
+    return res.status(401).json({ message: "Invalid credentials" });
+};
+
 export const loginPlayer = async (req, res) => {
     try {
         const { playerIdOrAadhaar, password } = req.body;
@@ -376,17 +437,24 @@ export const loginPlayer = async (req, res) => {
 
         const { data: user, error } = await query.maybeSingle();
 
-        if (error || !user) return res.status(401).json({ message: "Invalid credentials" });
+        const throttleKey = loginThrottleKey(error ? null : user, input);
+        const throttle = await checkLoginThrottle(throttleKey);
+        if (!throttle.allowed) return sendLoginThrottled(res, throttle);
+
+        if (error || !user) return rejectLogin(res, throttleKey);
         if (user.role !== 'player') return res.status(403).json({ message: "This account is for Admins." });
-        
-        // Plain text password comparison
-        if (user.password !== password) return res.status(401).json({ message: "Invalid credentials" });
 
-        const token = jwt.sign({ id: user.id, role: 'player' }, process.env.JWT_SECRET, { expiresIn: "7d" });
+        // scrypt comparison (plain-text rows are upgraded on success)
+        if (!(await checkUserPassword(user, password))) return rejectLogin(res, throttleKey, user);
+        await clearFailedLogins(throttleKey);
+
+        const { token, refreshToken, expiresIn } = await createSession({ id: user.id, role: 'player' }, req);
 
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user.id,
                 firstName: user.first_name,
@@ -404,27 +472,46 @@ export const loginPlayer = async (req, res) => {
 
 /* ================= ADMIN AUTH ================= */
 
+// Optional inviteToken (POST /api/admin/invites) creates the account already approved
 export const registerAdmin = async (req, res) => {
     try {
-        const { name, email, mobile, password } = req.body;
+        const { name, email, mobile, password, inviteToken } = req.body;
         if (!name || !email || !password) return res.status(400).json({ message: "Missing required fields" });
 
         const { data: existing } = await supabaseAdmin.from("users").select("id").eq("email", email).maybeSingle();
         if (existing) return res.status(400).json({ message: "Admin already exists." });
 
+        let invite = null;
+        if (inviteToken) {
+            const check = await verifyAdminInvite(inviteToken, email);
+            if (!check.success) return res.status(400).json({ success: false, code: check.code, message: check.message });
+            invite = check.invite;
+
+            const claim = await claimAdminInvite(invite);
+            if (!claim.success) return res.status(400).json(claim);
+        }
+
         const newUserId = crypto.randomUUID();
         const { error } = await supabaseAdmin.from("users").insert({
             id: newUserId,
             name,
             email,
             mobile,
-            password: password,
+            password: await hashPassword(password),
             role: 'admin',
-            verification: 'pending'
+            verification: invite ? 'verified' : 'pending'
         });
 
-        if (error) throw error;
-        res.json({ success: true, message: "Registration successful. Wait for approval." });
+        if (error) {
+            if (invite) await releaseAdminInvite(invite);
+            throw error;
+        }
+
+        if (invite) {
+            await acceptAdminInvite(invite, newUserId);
+            return res.json({ success: true, verification: 'verified', message: "Registration successful. You can log in now." });
+        }
+        res.json({ success: true, verification: 'pending', message: "Registration successful. Wait for approval." });
 
     } catch (err) {
         console.error("ADMIN REGISTER ERROR:", err);
@@ -432,6 +519,23 @@ export const registerAdmin = async (req, res) => {
     }
 };
 
+// GET /api/auth/admin-invite?token=xxx (invite landing page: who was invited, still valid?)
+export const getAdminInvite = async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) return res.status(400).json({ message: "No token provided" });
+
+        const check = await verifyAdminInvite(String(token));
+        if (!check.success) return res.status(400).json({ success: false, code: check.code, message: check.message });
+
+        const { email, name, expires_at } = check.invite;
+        res.json({ success: true, invite: { email, name, expiresAt: expires_at } });
+    } catch (err) {
+        console.error("ADMIN INVITE CHECK ERROR:", err);
+        res.status(500).json({ message: "Failed to check invite" });
+    }
+};
+
 export const loginAdmin = async (req, res) => {
     try {
         const { email, password } = req.body;
@@ -439,11 +543,19 @@ export const loginAdmin = async (req, res) => {
 
         const { data: user, error } = await supabaseAdmin.from("users").select("*").eq("email", email).maybeSingle();
 
-        if (error || !user) return res.status(401).json({ message: "Invalid credentials" });
+        const throttleKey = loginThrottleKey(error ? null : user, email);
+        const throttle = await checkLoginThrottle(throttleKey);
+        if (!throttle.allowed) return sendLoginThrottled(res, throttle);
+
+        if (error || !user) return rejectLogin(res, throttleKey);
         if (user.role !== 'admin' && user.role !== 'superadmin') return res.status(403).json({ message: "Access Denied." });
-        
-        // Plain text password comparison
-        if (user.password !== password) return res.status(401).json({ message: "Invalid credentials" });
+
+        // Google-synced admins have no password (NO_PASSWORD placeholder)
+        if (!hasPasswordLogin(user.password)) return res.status(401).json({ code: 'GOOGLE_LOGIN_ONLY', message: "This account signs in with Google." });
+
+        // scrypt comparison (plain-text rows are upgraded on success)
+        if (!(await checkUserPassword(user, password))) return rejectLogin(res, throttleKey, user);
+        await clearFailedLogins(throttleKey);
 
         // Verification Checks
         if (user.role === 'admin' && user.verification !== 'verified') {
@@ -453,8 +565,8 @@ export const loginAdmin = async (req, res) => {
             return res.status(403).json({ success: false, code: 'ADMIN_PENDING', message: "Pending approval." });
         }
 
-        // Admin tokens last 30 days for convenience (user can still logout manually)
-        const token = jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: "30d" });
+        // Short-lived access token; the refresh token keeps admins signed in for 30 days
+        const { token, refreshToken, expiresIn } = await createSession(user, req);
 
         // NOTIFICATION
         createNotification(user.id, "Welcome Back!", "Administrator login successful.", "info");
@@ -462,6 +574,8 @@ export const loginAdmin = async (req, res) => {
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn,
             user: { role: user.role, avatar: user.photos, verification: user.verification },
         });
 
@@ -471,15 +585,60 @@ export const loginAdmin = async (req, res) => {
     }
 };
 
-export const getCurrentUser = async (req, res) => {
+/* ================= SESSIONS ================= */
+
+// POST /api/auth/refresh  Body: { refreshToken } -> new { token, refreshToken } (the old refresh token stops working)
+export const refreshToken = async (req, res) => {
     try {
+        const { refreshToken: presented } = req.body;
+        if (!presented) return res.status(400).json({ message: "No refresh token provided" });
+
+        const result = await refreshSession(presented);
+        if (!result.success) return res.status(401).json(result);
+
+        res.json(result);
+    } catch (err) {
+        console.error("REFRESH TOKEN ERROR:", err.message);
+        res.status(500).json({ message: "Failed to refresh session" });
+    }
+};
+
+// POST /api/auth/logout  Body: { refreshToken } (or the access token in Authorization, even if expired)
+export const logout = async (req, res) => {
+    try {
+        const ended = req.body?.refreshToken ? await revokeRefreshToken(req.body.refreshToken) : false;
+
+        // Signed by us, so its sid is trustworthy; expiry does not matter for ending it
         const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ message: "No token provided" });
-        const token = authHeader.split(" ")[1];
-        if (!token) return res.status(401).json({ message: "No token provided" }); // Double check
+        if (!ended && authHeader?.startsWith("Bearer ")) {
+            try {
+                const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET, { ignoreExpiration: true });
+                if (decoded.sid && !decoded.type) await revokeSession(decoded.sid);
+            } catch { /* invalid token: nothing to end */ }
+        }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const { data: user, error } = await supabaseAdmin.from("users").select("id, name, email, role, photos, verification").eq("id", decoded.id).maybeSingle();
+        res.json({ success: true, message: "Logged out" });
+    } catch (err) {
+        console.error("LOGOUT ERROR:", err.message);
+        res.status(500).json({ message: "Logout failed" });
+    }
+};
+
+// POST /api/auth/logout-all (authenticated) - every device, this one included
+export const logoutAllDevices = async (req, res) => {
+    try {
+        await revokeUserSessions(req.user.id);
+        res.json({ success: true, message: "Logged out of all devices" });
+    } catch (err) {
+        console.error("LOGOUT ALL ERROR:", err.message);
+        res.status(500).json({ message: "Failed to log out of all devices" });
+    }
+};
+
+// GET /api/auth/me (authenticated) - restore the signed-in user on page load
+export const getCurrentUser = async (req, res) => {
+    try {
+        const { data: user, error } = await supabaseAdmin.from("users").select("id, name, email, role, photos, verification").eq("id", req.user.id).maybeSingle();
 
         if (error || !user) return res.status(404).json({ message: "User not found" });
 
@@ -496,7 +655,7 @@ export const getCurrentUser = async (req, res) => {
         });
     } catch (err) {
         console.error("SESSION RESTORE ERROR:", err.message);
-        res.status(401).json({ message: "Invalid or expired token" });
+        res.status(500).json({ message: "Failed to restore session" });
     }
 };
 
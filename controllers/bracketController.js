@@ -1,4 +1,26 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { VERIFIED_REGISTRATION_STATUSES } from "../middleware/bracketValidation.js";
+import {
+    applySeparation,
+    buildFirstRoundMatches,
+    findRoundLocation,
+    getAllRounds,
+    inferRoundLabelFromMatchCount,
+    makeEmptyMatch,
+    placeEntrants,
+    rankEntrants
+} from "../utils/bracketDraw.js";
+import { isPlateRound, syncConsolationRounds, THIRD_PLACE_ROUND } from "../utils/consolationRounds.js";
+import {
+    advanceDoubleElimination,
+    BRACKET_FORMATS,
+    buildDoubleEliminationRounds,
+    DOUBLE_ELIMINATION,
+    resolveDoubleElimination,
+    SINGLE_ELIMINATION
+} from "../utils/doubleElimination.js";
+import { buildFamilyKeys, normalizeKey } from "../utils/familyLinks.js";
+import { seedKnockoutFromGroups } from "../services/groupStageService.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
 
 // Simple UUID v4 validator (relaxed - checks standard 36-char UUID format)
@@ -14,22 +36,153 @@ const isUuid = (value) => {
 const LEGACY_ROUND_NAME_MEDIA = "Draws";
 const LEGACY_ROUND_NAME_BRACKET = "Bracket";
 
-const inferRoundLabelFromMatchCount = (matchCount, fallbackIndex) => {
-    if (matchCount === 1) return "Final";
-    if (matchCount === 2) return "Semifinal";
-    if (matchCount === 4) return "Quarterfinal";
-    return `Round ${fallbackIndex + 1}`;
+// Build "Name - Gender - MatchType" label the same way validatePlayerInCategory does
+const buildCategoryLabel = (cat) => {
+    if (!cat || typeof cat !== "object") return cat;
+    const matchType = cat.match_type || cat.matchType;
+    return matchType ? `${cat.name} - ${cat.gender} - ${matchType}` : `${cat.name} - ${cat.gender}`;
 };
 
-// Helper to create empty match structure for bracket visualization
-// NOTE: score: null is for structure only - authoritative scores are in matches table
-const makeEmptyMatch = () => ({
-    id: `match-${Date.now()}-${Math.random()}`,
-    player1: null,
-    player2: null,
-    winner: null,
-    score: null // Structure only - not authoritative
-});
+/**
+ * Load verified entrants for a category from event_registrations.
+ * Team registrations (doubles) enter as the team, everyone else as the registering player.
+ * `userId` is the registering account (team captain for doubles) and is not stored in the draw.
+ * @returns {Promise<Array<{id: string, name: string, userId: string}>|null>} null if the category is not on the event
+ */
+const fetchCategoryEntrants = async (eventId, categoryId, categoryLabel) => {
+    const { data: event, error: eventError } = await supabaseAdmin
+        .from("events")
+        .select("categories")
+        .eq("id", eventId)
+        .single();
+
+    if (eventError) throw eventError;
+
+    const categories = Array.isArray(event?.categories)
+        ? event.categories
+        : (typeof event?.categories === "string" ? JSON.parse(event.categories) : []);
+
+    const targetCategory =
+        (categoryId && categories.find((c) => c && typeof c === "object" && String(c.id) === String(categoryId))) ||
+        (categoryLabel && categories.find((c) => (typeof c === "object" ? buildCategoryLabel(c) : c) === categoryLabel));
+
+    if (!targetCategory) return null;
+
+    const targetName = typeof targetCategory === "object" ? targetCategory.name : targetCategory;
+    const targetLabel = buildCategoryLabel(targetCategory);
+
+    const isSameCategory = (c) => {
+        if (!c) return false;
+        if (typeof c !== "object") return c === targetLabel || c === categoryLabel || c === targetName;
+        if (c.id && typeof targetCategory === "object" && targetCategory.id) {
+            return String(c.id) === String(targetCategory.id);
+        }
+        if (buildCategoryLabel(c) === targetLabel) return true;
+        return c.name === targetName && (!c.gender || typeof targetCategory !== "object" || c.gender === targetCategory.gender);
+    };
+
+    const { data: registrations, error: regError } = await supabaseAdmin
+        .from("event_registrations")
+        .select("id, player_id, team_id, categories, status, users:player_id ( id, first_name, last_name, name ), player_teams ( id, team_name )")
+        .eq("event_id", eventId)
+        .in("status", VERIFIED_REGISTRATION_STATUSES);
+
+    if (regError) throw regError;
+
+    const entrants = new Map();
+    for (const reg of registrations || []) {
+        const regCats = Array.isArray(reg.categories) ? reg.categories : [reg.categories];
+        if (!regCats.some(isSameCategory)) continue;
+
+        if (reg.team_id && reg.player_teams) {
+            const id = String(reg.team_id);
+            if (!entrants.has(id)) entrants.set(id, { id, name: reg.player_teams.team_name || "Team", userId: String(reg.player_id) });
+        } else if (reg.player_id) {
+            const id = String(reg.player_id);
+            const user = reg.users || {};
+            const name = user.name || `${user.first_name || ""} ${user.last_name || ""}`.trim() || "Player";
+            if (!entrants.has(id)) entrants.set(id, { id, name, userId: id });
+        }
+    }
+
+    return Array.from(entrants.values());
+};
+
+const SEPARATION_RULES = ["apartment", "team", "family"];
+
+/**
+ * Resolve separation group keys for each entrant (via its registering account):
+ * - apartment: users.apartment
+ * - team: player_teams in the draw or captained by an entrant that the account captains
+ *   or is listed in (by player_id / mobile)
+ * - family: family keys (utils/familyLinks.js) from the family_members the entrants listed
+ * Only the entrants' own teams and family rows are loaded.
+ * @returns {Promise<Map<string, Object<string, string[]>>>}
+ */
+const fetchSeparationGroups = async (entrants, rules) => {
+    const userIds = [...new Set(entrants.map((e) => e.userId).filter(Boolean))];
+    const groupsById = new Map(entrants.map((e) => [e.id, {}]));
+    if (userIds.length === 0) return groupsById;
+
+    const { data: users, error: usersError } = await supabaseAdmin
+        .from("users")
+        .select("id, name, first_name, last_name, apartment, mobile, player_id, age")
+        .in("id", userIds);
+
+    if (usersError) throw usersError;
+    const userMap = new Map((users || []).map((u) => [String(u.id), u]));
+
+    let teams = [];
+    if (rules.includes("team")) {
+        const teamIds = entrants.filter((e) => e.id !== e.userId).map((e) => e.id);
+        const filter = [`captain_id.in.(${userIds.join(",")})`];
+        if (teamIds.length > 0) filter.push(`id.in.(${teamIds.join(",")})`);
+
+        const { data, error } = await supabaseAdmin
+            .from("player_teams")
+            .select("id, captain_id, members")
+            .or(filter.join(","));
+        if (error) throw error;
+        teams = data || [];
+    }
+
+    let familyKeys = new Map();
+    if (rules.includes("family")) {
+        const { data, error } = await supabaseAdmin
+            .from("family_members")
+            .select("*")
+            .in("user_id", userIds);
+        if (error) throw error;
+        familyKeys = buildFamilyKeys(users || [], data || []);
+    }
+
+    for (const entrant of entrants) {
+        const user = userMap.get(String(entrant.userId));
+        const groups = groupsById.get(entrant.id);
+        if (!user) continue;
+
+        if (rules.includes("apartment") && normalizeKey(user.apartment)) {
+            groups.apartment = [normalizeKey(user.apartment)];
+        }
+
+        if (rules.includes("team")) {
+            groups.team = teams
+                .filter((t) =>
+                    String(t.captain_id) === String(user.id) ||
+                    (Array.isArray(t.members) && t.members.some((m) =>
+                        (user.player_id && m?.player_id === user.player_id) || (user.mobile && m?.mobile === user.mobile)
+                    ))
+                )
+                .map((t) => String(t.id));
+        }
+
+        if (rules.includes("family")) {
+            groups.family = familyKeys.get(String(user.id)) || [String(user.id)];
+        }
+    }
+
+    return groupsById;
+};
 
 /**
  * Bracket Data Structure:
@@ -51,10 +204,41 @@ const makeEmptyMatch = () => ({
  *   ],
  *   players: [
  *     { id: "user-id", name: "Player Name", seed: 1, eliminated: false }
- *   ]
+ *   ],
+ *   format?: "SINGLE_ELIMINATION" | "DOUBLE_ELIMINATION",
+ *   grandFinalReset?: boolean,        // DOUBLE_ELIMINATION only
+ *   losersRounds?: [ ...same shape as rounds ],   // DOUBLE_ELIMINATION only
+ *   finalRounds?: [ ...same shape as rounds ],    // "Grand Final" (+ "Grand Final Reset")
+ *   thirdPlacePlayoff?: boolean,      // SINGLE_ELIMINATION only
+ *   plate?: boolean,                  // SINGLE_ELIMINATION only - consolation draw for Round 1 losers
+ *   consolationRounds?: [ ...same shape as rounds ]  // "Third Place", "Plate ..." (utils/consolationRounds.js)
  * }
+ *
+ * `rounds` is always the main (winners) bracket, so single-elimination code paths
+ * keep working unchanged. Double elimination wiring lives in utils/doubleElimination.js.
  */
 
+// Build the double-elimination structure around the first round and settle BYEs
+const expandDoubleElimination = (bracketData) => {
+    const firstRound = bracketData.rounds[0];
+    const expanded = buildDoubleEliminationRounds(firstRound, makeEmptyMatch, inferRoundLabelFromMatchCount, {
+        grandFinalReset: bracketData.grandFinalReset !== false
+    });
+    Object.assign(bracketData, expanded);
+    return resolveDoubleElimination(bracketData);
+};
+
+const toRoundStructure = (rounds) => rounds.map((r) => ({ name: r.name, slots: (r.matches?.length || 0) * 2 }));
+
+const isConsolationRoundName = (name) => name === THIRD_PLACE_ROUND || isPlateRound({ name });
+
+// Refresh third place / plate rounds and keep round_structure in step with them
+const syncConsolation = (bracketData, roundStructure) => {
+    syncConsolationRounds(bracketData, makeEmptyMatch, inferRoundLabelFromMatchCount);
+    const mainStructure = (Array.isArray(roundStructure) ? roundStructure : []).filter((r) => !isConsolationRoundName(r?.name));
+    return [...mainStructure, ...toRoundStructure(bracketData.consolationRounds || [])];
+};
+
 /**
  * Get draw/bracket for a specific category
  * GET /api/admin/events/:id/categories/:categoryId/draw
@@ -145,12 +329,33 @@ export const getCategoryDraw = async (req, res) => {
 export const initBracket = async (req, res) => {
     try {
         const { id: eventId, categoryId } = req.params;
-        const { categoryLabel, roundStructure } = req.body;
+        const {
+            categoryLabel,
+            roundStructure,
+            format = SINGLE_ELIMINATION,
+            grandFinalReset = true,
+            thirdPlacePlayoff = false,
+            plate = false
+        } = req.body;
 
         if (!eventId || (!categoryId && !categoryLabel)) {
             return res.status(400).json({ message: "Event ID and Category required" });
         }
 
+        if (!BRACKET_FORMATS.includes(format)) {
+            return res.status(400).json({
+                message: `Invalid bracket format. Allowed: ${BRACKET_FORMATS.join(", ")}`,
+                code: "INVALID_FORMAT"
+            });
+        }
+
+        if (format === DOUBLE_ELIMINATION && (thirdPlacePlayoff === true || plate === true)) {
+            return res.status(400).json({
+                message: "Third place playoff and plate are only available for single elimination",
+                code: "CONSOLATION_NOT_SUPPORTED"
+            });
+        }
+
         // Check if category already has a draw
         let checkQuery = supabaseAdmin
             .from("event_brackets")
@@ -194,7 +399,11 @@ export const initBracket = async (req, res) => {
 
         const bracketData = {
             rounds: [],
-            players: []
+            players: [],
+            format,
+            ...(format === DOUBLE_ELIMINATION
+                ? { grandFinalReset: grandFinalReset !== false }
+                : { thirdPlacePlayoff: thirdPlacePlayoff === true, plate: plate === true })
         };
 
         const insertData = {
@@ -231,6 +440,312 @@ export const initBracket = async (req, res) => {
     }
 };
 
+/**
+ * Generate a seeded first round from verified registrations
+ * POST /api/admin/events/:id/categories/:categoryId/bracket/generate
+ * Body: { categoryLabel?, seeds?: [{ id, seed }] | { [id]: seed }, shuffle?: boolean, overwrite?: boolean,
+ *         separation?: true | ["apartment", "team", "family"] }
+ *
+ * - Standard seed placement (1 vs N, 2 in the opposite half, ...)
+ * - BYEs go to the top seeds when the field is not a power of two
+ * - Optional separation: unseeded players sharing an apartment/team/family are pushed into
+ *   different halves/quarters; rule order is priority. Unmet constraints are reported back.
+ * - Only Round 1 is created; later rounds still come from "Add Round"
+ */
+export const generateBracketDraw = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const { categoryLabel, seeds, shuffle = true, overwrite = false, separation } = req.body;
+
+        const separationRules = separation === true
+            ? SEPARATION_RULES
+            : (Array.isArray(separation) ? [...new Set(separation)] : []);
+        const unknownRules = separationRules.filter((r) => !SEPARATION_RULES.includes(r));
+        if (unknownRules.length > 0) {
+            return res.status(400).json({
+                message: `Unknown separation rule(s): ${unknownRules.join(", ")}. Allowed: ${SEPARATION_RULES.join(", ")}`,
+                code: "INVALID_SEPARATION_RULE"
+            });
+        }
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ message: "Event ID and Category required" });
+        }
+
+        let query = supabaseAdmin
+            .from("event_brackets")
+            .select("*")
+            .eq("event_id", eventId)
+            .eq("mode", "BRACKET");
+
+        if (categoryId && isUuid(categoryId)) {
+            query = query.eq("category_id", categoryId);
+        } else {
+            query = query.eq("category", categoryLabel);
+        }
+
+        const { data: brackets, error: fetchError } = await query;
+        if (fetchError) throw fetchError;
+        if (!brackets || brackets.length === 0) {
+            return res.status(404).json({ message: "Bracket not found. Initialize bracket first." });
+        }
+
+        const bracket = brackets[0];
+        if (bracket.published === true) {
+            return res.status(400).json({ message: "Cannot modify a published bracket. Unpublish first.", code: "BRACKET_PUBLISHED" });
+        }
+
+        const existingRounds = Array.isArray(bracket.bracket_data?.rounds) ? bracket.bracket_data.rounds : [];
+        if (existingRounds.length > 0) {
+            if (overwrite !== true) {
+                return res.status(400).json({
+                    message: "Bracket already has rounds. Pass overwrite: true to regenerate the draw.",
+                    code: "BRACKET_NOT_EMPTY"
+                });
+            }
+
+            // Regenerating would orphan scoreboard matches created from the old draw
+            const { data: existingMatches, error: matchesError } = await supabaseAdmin
+                .from("matches")
+                .select("id")
+                .eq("bracket_id", bracket.id)
+                .limit(1);
+
+            if (matchesError) throw matchesError;
+            if (existingMatches && existingMatches.length > 0) {
+                return res.status(400).json({
+                    message: "Scoreboard matches already exist for this bracket. Delete category matches first.",
+                    code: "MATCHES_EXIST"
+                });
+            }
+        }
+
+        const entrants = await fetchCategoryEntrants(eventId, categoryId, categoryLabel || bracket.category);
+        if (!entrants) {
+            return res.status(400).json({ message: "Category not found in event" });
+        }
+        if (entrants.length < 2) {
+            return res.status(400).json({
+                message: `At least two verified registrations are required. Found: ${entrants.length}`,
+                code: "NOT_ENOUGH_PLAYERS"
+            });
+        }
+
+        // Normalize seeds: accept [{ id, seed }] or { [id]: seed }
+        const seedMap = new Map();
+        if (Array.isArray(seeds)) {
+            seeds.forEach((s) => {
+                if (s && s.id !== undefined) seedMap.set(String(s.id), s.seed);
+            });
+        } else if (seeds && typeof seeds === "object") {
+            Object.entries(seeds).forEach(([id, seed]) => seedMap.set(String(id), seed));
+        }
+
+        const ranked = rankEntrants(
+            entrants.map(({ userId, ...e }) => (seedMap.has(e.id) ? { ...e, seed: seedMap.get(e.id) } : e)),
+            { shuffleUnseeded: shuffle !== false }
+        );
+        let slots = placeEntrants(ranked);
+
+        let unsatisfied = [];
+        if (separationRules.length > 0) {
+            const groupsById = await fetchSeparationGroups(entrants, separationRules);
+            ({ slots, unsatisfied } = applySeparation(slots, groupsById, separationRules));
+        }
+        const firstRoundMatches = buildFirstRoundMatches(slots, makeEmptyMatch);
+        const isDoubleElimination = bracket.bracket_data?.format === DOUBLE_ELIMINATION;
+        const firstRoundLabel = inferRoundLabelFromMatchCount(firstRoundMatches.length, 0);
+        const firstRoundName = isDoubleElimination ? `Winners ${firstRoundLabel}` : firstRoundLabel;
+
+        const bracketData = {
+            ...(bracket.bracket_data || {}),
+            separation: separationRules.length > 0 ? { rules: separationRules, unsatisfied } : undefined,
+            rounds: [{ name: firstRoundName, matches: firstRoundMatches }],
+            players: ranked.map((p) => ({
+                id: p.id,
+                name: p.name,
+                ...(p.seed ? { seed: p.seed } : {}),
+                eliminated: false
+            }))
+        };
+
+        let roundStructure = [{ name: firstRoundName, slots: slots.length }];
+        if (isDoubleElimination) {
+            expandDoubleElimination(bracketData);
+            roundStructure = toRoundStructure(getAllRounds(bracketData));
+        } else {
+            delete bracketData.losersRounds;
+            delete bracketData.finalRounds;
+            delete bracketData.consolationRounds;
+            roundStructure = syncConsolation(bracketData, roundStructure);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("event_brackets")
+            .update({
+                // legacy compatibility
+                round_name: bracket.round_name || LEGACY_ROUND_NAME_BRACKET,
+                draw_type: "bracket",
+                draw_data: bracketData,
+                round_structure: roundStructure,
+                bracket_data: bracketData,
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", bracket.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return res.json({
+            success: true,
+            bracket: data,
+            summary: {
+                entrants: ranked.length,
+                drawSize: slots.length,
+                byes: slots.length - ranked.length,
+                seeded: ranked.filter((p) => p.seed).length
+            },
+            separation: separationRules.length > 0 ? { rules: separationRules, unsatisfied } : null,
+            message: "Draw generated successfully"
+        });
+    } catch (err) {
+        console.error("GENERATE DRAW ERROR:", err);
+        res.status(500).json({ message: "Failed to generate draw", error: err.message });
+    }
+};
+
+/**
+ * Turn third place playoff / plate bracket on or off for a single-elimination category
+ * POST /api/admin/events/:id/categories/:categoryId/bracket/options
+ * Body: { categoryLabel?, thirdPlacePlayoff?: boolean, plate?: boolean }
+ *
+ * Rounds are created as soon as their players are known (semifinal losers / Round 1 losers)
+ * and are turned into scoreboard matches by the normal bracket match generation.
+ */
+export const updateBracketOptions = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const { categoryLabel, thirdPlacePlayoff, plate } = req.body;
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ message: "Event ID and Category required" });
+        }
+
+        if (thirdPlacePlayoff === undefined && plate === undefined) {
+            return res.status(400).json({ message: "Nothing to update. Send thirdPlacePlayoff and/or plate." });
+        }
+
+        let query = supabaseAdmin
+            .from("event_brackets")
+            .select("*")
+            .eq("event_id", eventId)
+            .eq("mode", "BRACKET");
+
+        if (categoryId && isUuid(categoryId)) {
+            query = query.eq("category_id", categoryId);
+        } else {
+            query = query.eq("category", categoryLabel);
+        }
+
+        const { data: brackets, error: fetchError } = await query;
+        if (fetchError) throw fetchError;
+        if (!brackets || brackets.length === 0) {
+            return res.status(404).json({ message: "Bracket not found. Initialize bracket first." });
+        }
+
+        const bracket = brackets[0];
+        if (bracket.published === true) {
+            return res.status(400).json({ message: "Cannot modify a published bracket. Unpublish first.", code: "BRACKET_PUBLISHED" });
+        }
+
+        const bracketData = bracket.bracket_data || { rounds: [], players: [] };
+        if (bracketData.format === DOUBLE_ELIMINATION) {
+            return res.status(400).json({
+                message: "Third place playoff and plate are only available for single elimination",
+                code: "CONSOLATION_NOT_SUPPORTED"
+            });
+        }
+
+        if (thirdPlacePlayoff !== undefined) bracketData.thirdPlacePlayoff = thirdPlacePlayoff === true;
+        if (plate !== undefined) bracketData.plate = plate === true;
+
+        // Switching an option off must not orphan scoreboard matches of its rounds
+        const previousNames = (bracketData.consolationRounds || []).map((r) => r.name);
+        const roundStructure = syncConsolation(bracketData, bracket.round_structure);
+        const removedNames = previousNames.filter((name) => !(bracketData.consolationRounds || []).some((r) => r.name === name));
+
+        if (removedNames.length > 0) {
+            const { data: existingMatches, error: matchesError } = await supabaseAdmin
+                .from("matches")
+                .select("id")
+                .eq("bracket_id", bracket.id)
+                .in("round_name", removedNames)
+                .limit(1);
+
+            if (matchesError) throw matchesError;
+            if (existingMatches && existingMatches.length > 0) {
+                return res.status(400).json({
+                    message: `Scoreboard matches already exist for ${removedNames.join(", ")}. Delete them first.`,
+                    code: "MATCHES_EXIST"
+                });
+            }
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("event_brackets")
+            .update({
+                // legacy compatibility
+                round_name: bracket.round_name || LEGACY_ROUND_NAME_BRACKET,
+                draw_type: "bracket",
+                draw_data: bracketData,
+                round_structure: roundStructure,
+                bracket_data: bracketData,
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", bracket.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return res.json({ success: true, bracket: data, message: "Bracket options updated" });
+    } catch (err) {
+        console.error("UPDATE BRACKET OPTIONS ERROR:", err);
+        res.status(500).json({ message: "Failed to update bracket options", error: err.message });
+    }
+};
+
+/**
+ * Seed the knockout bracket from group standings (groups + knockout format)
+ * POST /api/admin/events/:id/categories/:categoryId/bracket/from-groups
+ *
+ * Normally this happens automatically when the last group match is finalized;
+ * the endpoint lets admins trigger it (e.g. after fixing a group result before seeding).
+ */
+export const generateKnockoutFromGroups = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const { categoryLabel } = req.body;
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ message: "Event ID and Category required" });
+        }
+
+        const result = await seedKnockoutFromGroups({ eventId, categoryId, categoryLabel });
+
+        if (!result.success) {
+            const status = result.code === "LEAGUE_NOT_FOUND" ? 404 : 400;
+            return res.status(status).json({ message: result.message, code: result.code });
+        }
+
+        return res.json({ success: true, bracket: result.bracket, message: result.message });
+    } catch (err) {
+        console.error("SEED KNOCKOUT FROM GROUPS ERROR:", err);
+        res.status(500).json({ message: "Failed to seed knockout from groups", error: err.message });
+    }
+};
+
 /**
  * Upload media for a category (Image/PDF)
  * POST /api/admin/events/:id/categories/:categoryId/media
@@ -421,13 +936,14 @@ export const updateBracketMatch = async (req, res) => {
         const bracket = brackets[0];
         const bracketData = bracket.bracket_data || { rounds: [], players: [] };
 
-        // Find round
-        let roundIndex = bracketData.rounds.findIndex(r => r.name === roundName);
-        if (roundIndex === -1) {
+        // Find round (double elimination also has losers / grand final rounds)
+        const location = findRoundLocation(bracketData, roundName);
+        if (!location) {
             return res.status(400).json({ message: `Round "${roundName}" not found` });
         }
 
-        const round = bracketData.rounds[roundIndex];
+        const roundIndex = location.round;
+        const round = bracketData[location.section][roundIndex];
 
         // Find or create match
         let foundMatchIndex = -1;
@@ -443,7 +959,7 @@ export const updateBracketMatch = async (req, res) => {
                 return res.status(400).json({ message: "Match not found", code: "MATCH_NOT_FOUND" });
             }
             round.matches.splice(foundMatchIndex, 1);
-            bracketData.rounds[roundIndex] = round;
+            bracketData[location.section][roundIndex] = round;
 
             const { data, error } = await supabaseAdmin
                 .from("event_brackets")
@@ -527,7 +1043,7 @@ export const updateBracketMatch = async (req, res) => {
         }
 
         // Update bracket data
-        bracketData.rounds[roundIndex] = round;
+        bracketData[location.section][roundIndex] = round;
 
         const { data, error } = await supabaseAdmin
             .from("event_brackets")
@@ -591,14 +1107,16 @@ export const setMatchResult = async (req, res) => {
 
         const bracket = brackets[0];
         const bracketData = bracket.bracket_data || { rounds: [], players: [] };
+        const isDoubleElimination = bracketData.format === DOUBLE_ELIMINATION;
 
-        // Find round and match
-        const roundIndex = bracketData.rounds.findIndex(r => r.name === roundName);
-        if (roundIndex === -1) {
+        // Find round and match (double elimination also has losers / grand final rounds)
+        const location = findRoundLocation(bracketData, roundName);
+        if (!location) {
             return res.status(400).json({ message: `Round "${roundName}" not found` });
         }
 
-        const round = bracketData.rounds[roundIndex];
+        const roundIndex = location.round;
+        const round = bracketData[location.section][roundIndex];
         const matchIndex = round.matches.findIndex(m => m.id === matchId);
         if (matchIndex === -1) {
             return res.status(400).json({ message: "Match not found" });
@@ -616,15 +1134,23 @@ export const setMatchResult = async (req, res) => {
             return res.status(400).json({ message: "Winner player not found in match" });
         }
 
+        // Losers drop into the losers bracket, so both sides must be known
+        if (isDoubleElimination && !(match.player1 && match.player2)) {
+            return res.status(400).json({ message: "Both players must be set before recording a result", code: "MATCH_NOT_READY" });
+        }
+
         // Update match
         // NOTE: Winner reference stored in bracket_data for visual purposes only
         // Scores are NOT stored here - they belong exclusively in matches table
         match.winner = winner;
         // Score removed - scores are authoritative only in matches table
 
-        // Advance winner to next round ONLY if next round already exists.
-        // (Admin controls rounds via "Add Round". This avoids creating infinite rounds.)
-        if (roundIndex < bracketData.rounds.length - 1) {
+        if (isDoubleElimination) {
+            // Winner and loser both move on; BYEs in the losers bracket settle automatically
+            advanceDoubleElimination(bracketData, { section: location.section, round: roundIndex, match: matchIndex });
+        } else if (location.section === "rounds" && roundIndex < bracketData.rounds.length - 1) {
+            // Advance winner to next round ONLY if next round already exists.
+            // (Admin controls rounds via "Add Round". This avoids creating infinite rounds.)
             const nextRound = bracketData.rounds[roundIndex + 1];
             
             // Winner goes to deterministic slot based on match index (bracket-style)
@@ -645,7 +1171,12 @@ export const setMatchResult = async (req, res) => {
             bracketData.rounds[roundIndex + 1] = nextRound;
         }
 
-        bracketData.rounds[roundIndex] = round;
+        bracketData[location.section][roundIndex] = round;
+
+        // Losers feed the third place / plate rounds (plate winners advance there too)
+        const roundStructure = isDoubleElimination
+            ? bracket.round_structure
+            : syncConsolation(bracketData, bracket.round_structure);
 
         // Update bracket
         const { data, error } = await supabaseAdmin
@@ -655,7 +1186,7 @@ export const setMatchResult = async (req, res) => {
                 round_name: bracket.round_name || LEGACY_ROUND_NAME_BRACKET,
                 draw_type: "bracket",
                 draw_data: bracketData,
-                round_structure: bracket.round_structure || bracket.round_structure,
+                round_structure: roundStructure,
                 bracket_data: bracketData,
                 updated_at: new Date().toISOString()
             })
@@ -715,6 +1246,46 @@ export const addBracketRound = async (req, res) => {
         const bracketData = bracket.bracket_data || { rounds: [], players: [] };
         const currentRounds = Array.isArray(bracketData.rounds) ? bracketData.rounds : [];
 
+        // Double elimination: after Round 1 is filled, all remaining rounds are created at once
+        if (bracketData.format === DOUBLE_ELIMINATION && currentRounds.length > 0) {
+            if (Array.isArray(bracketData.losersRounds) && bracketData.losersRounds.length > 0) {
+                return res.status(400).json({
+                    message: "Double elimination rounds already exist. Results advance players automatically.",
+                    code: "DOUBLE_ELIMINATION_BUILT"
+                });
+            }
+
+            const firstMatches = Array.isArray(currentRounds[0].matches) ? currentRounds[0].matches : [];
+            if (!firstMatches.some((m) => m && (m.player1 || m.player2))) {
+                return res.status(400).json({
+                    message: "Add players to the first round before creating the remaining rounds.",
+                    code: "FIRST_ROUND_EMPTY"
+                });
+            }
+
+            bracketData.rounds = currentRounds.slice(0, 1);
+            expandDoubleElimination(bracketData);
+
+            const { data, error } = await supabaseAdmin
+                .from("event_brackets")
+                .update({
+                    // legacy compatibility
+                    round_name: bracket.round_name || LEGACY_ROUND_NAME_BRACKET,
+                    draw_type: "bracket",
+                    draw_data: bracketData,
+                    round_structure: toRoundStructure(getAllRounds(bracketData)),
+                    bracket_data: bracketData,
+                    updated_at: new Date().toISOString()
+                })
+                .eq("id", bracket.id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return res.json({ success: true, bracket: data, message: "Double elimination rounds created" });
+        }
+
         // If no rounds exist, create Round 1 (empty matches; admin will add matches + players or use Auto Seed)
         if (currentRounds.length === 0) {
             currentRounds.push({ name: "Round 1", matches: [] });
@@ -851,11 +1422,14 @@ export const addBracketRound = async (req, res) => {
                                     const bracketPlayer1Id = bracketMatch.player1?.id || bracketMatch.player1;
                                     const bracketPlayer2Id = bracketMatch.player2?.id || bracketMatch.player2;
                                     
+                                    // Record the slot too, so losers are known for third place / plate
                                     let winnerPlayer = null;
                                     if (String(bracketPlayer1Id) === String(winnerId)) {
                                         winnerPlayer = bracketMatch.player1;
+                                        bracketMatch.winner = "player1";
                                     } else if (String(bracketPlayer2Id) === String(winnerId)) {
                                         winnerPlayer = bracketMatch.player2;
+                                        bracketMatch.winner = "player2";
                                     } else if (matchData.winner && typeof matchData.winner === 'object') {
                                         // Use winner object directly from matches table
                                         winnerPlayer = matchData.winner;
@@ -912,11 +1486,12 @@ export const addBracketRound = async (req, res) => {
 
         bracketData.rounds = currentRounds;
 
-        const roundStructure = Array.isArray(bracket.round_structure) ? bracket.round_structure : [];
+        let roundStructure = Array.isArray(bracket.round_structure) ? bracket.round_structure : [];
         const lastRound = currentRounds[currentRounds.length - 1];
         if (!roundStructure.find((r) => r?.name === lastRound.name)) {
             roundStructure.push({ name: lastRound.name, slots: (lastRound.matches?.length || 0) * 2 });
         }
+        roundStructure = syncConsolation(bracketData, roundStructure);
 
         const { data, error } = await supabaseAdmin
             .from("event_brackets")
@@ -1101,9 +1676,15 @@ export const resetBracket = async (req, res) => {
 
         const bracket = brackets[0];
         // Dynamic reset: clear all rounds + structure (admin will add rounds again)
+        // Format options chosen at init are kept
+        const previousData = bracket.bracket_data || {};
         const resetBracketData = {
             rounds: [],
-            players: []
+            players: [],
+            ...(previousData.format ? { format: previousData.format } : {}),
+            ...(previousData.format === DOUBLE_ELIMINATION ? { grandFinalReset: previousData.grandFinalReset !== false } : {}),
+            ...(previousData.thirdPlacePlayoff === true ? { thirdPlacePlayoff: true } : {}),
+            ...(previousData.plate === true ? { plate: true } : {})
         };
 
         const { data, error } = await supabaseAdmin
@@ -1233,6 +1814,35 @@ export const deleteBracketRound = async (req, res) => {
             return res.status(400).json({ message: "No rounds to delete" });
         }
 
+        // Double elimination rounds are created together, so they are removed together (first round is kept)
+        if (bracketData.format === DOUBLE_ELIMINATION && Array.isArray(bracketData.losersRounds) && bracketData.losersRounds.length > 0) {
+            bracketData.rounds = rounds.slice(0, 1);
+            delete bracketData.losersRounds;
+            delete bracketData.finalRounds;
+
+            const { data, error } = await supabaseAdmin
+                .from("event_brackets")
+                .update({
+                    round_name: bracket.round_name || LEGACY_ROUND_NAME_BRACKET,
+                    draw_type: "bracket",
+                    draw_data: bracketData,
+                    round_structure: toRoundStructure(bracketData.rounds),
+                    bracket_data: bracketData,
+                    updated_at: new Date().toISOString()
+                })
+                .eq("id", bracket.id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return res.json({
+                success: true,
+                bracket: data,
+                message: "Double elimination rounds deleted (first round kept)"
+            });
+        }
+
         const targetIndex = roundName
             ? rounds.findIndex((r) => r && r.name === roundName)
             : rounds.length - 1;
@@ -1254,7 +1864,11 @@ export const deleteBracketRound = async (req, res) => {
         bracketData.rounds = rounds;
 
         const roundStructure = Array.isArray(bracket.round_structure) ? bracket.round_structure : [];
-        const updatedStructure = roundStructure.filter((r) => r?.name !== deletedRound?.name);
+        // Third place / plate rounds that depended on the deleted round are dropped with it
+        const updatedStructure = syncConsolation(
+            bracketData,
+            roundStructure.filter((r) => r?.name !== deletedRound?.name)
+        );
 
         const { data, error } = await supabaseAdmin
             .from("event_brackets")
@@ -0,0 +1,117 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getEventAdminGrant } from "../services/eventAccessService.js";
+import { ADMIN, DELEGABLE_CAPABILITIES, normalizeCapabilities } from "../utils/permissions.js";
+
+/**
+ * Admins of an event: owner, assigned admin and event_admins collaborators
+ * GET /api/admin/events/:id/admins
+ */
+export const listEventAdmins = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+
+        const { data: grants, error } = await supabaseAdmin
+            .from("event_admins")
+            .select("*, users:user_id ( id, name, email )")
+            .eq("event_id", eventId);
+
+        if (error) throw error;
+
+        return res.json({
+            success: true,
+            ownerId: req.event.created_by || null,
+            assignedTo: req.event.assigned_to || null,
+            admins: grants || [],
+            delegableCapabilities: DELEGABLE_CAPABILITIES
+        });
+    } catch (err) {
+        console.error("LIST EVENT ADMINS ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch event admins" });
+    }
+};
+
+/**
+ * Grant (or replace) an admin's capabilities on the event
+ * PUT /api/admin/events/:id/admins/:userId
+ * Body: { capabilities: ["manage-draws", "score-matches", ...] }
+ */
+export const grantEventAdmin = async (req, res) => {
+    try {
+        const { id: eventId, userId } = req.params;
+        const { capabilities, error: capabilityError } = normalizeCapabilities(req.body?.capabilities);
+
+        if (capabilityError) {
+            return res.status(400).json({ success: false, message: capabilityError, code: "INVALID_CAPABILITIES" });
+        }
+        if (String(userId) === String(req.event.created_by)) {
+            return res.status(400).json({ success: false, message: "The event owner already holds every capability", code: "EVENT_OWNER" });
+        }
+
+        const { data: user, error: userError } = await supabaseAdmin
+            .from("users")
+            .select("id, role, verification")
+            .eq("id", userId)
+            .maybeSingle();
+
+        if (userError && userError.code !== "PGRST116") throw userError;
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        if (user.role !== ADMIN || user.verification !== "verified") {
+            return res.status(400).json({ success: false, message: "Only approved admins can manage events", code: "NOT_AN_ADMIN" });
+        }
+
+        const existing = await getEventAdminGrant(eventId, userId);
+
+        const { data, error } = existing
+            ? await supabaseAdmin
+                .from("event_admins")
+                .update({ capabilities })
+                .eq("id", existing.id)
+                .select()
+                .single()
+            : await supabaseAdmin
+                .from("event_admins")
+                .insert({ event_id: eventId, user_id: userId, capabilities, granted_by: req.user?.id || null, created_at: new Date().toISOString() })
+                .select()
+                .single();
+
+        if (error) throw error;
+
+        return res.status(existing ? 200 : 201).json({ success: true, message: "Event admin saved", admin: data });
+    } catch (err) {
+        console.error("GRANT EVENT ADMIN ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to save event admin" });
+    }
+};
+
+/**
+ * Revoke an admin's access to the event
+ * DELETE /api/admin/events/:id/admins/:userId
+ */
+export const revokeEventAdmin = async (req, res) => {
+    try {
+        const { id: eventId, userId } = req.params;
+
+        const { error } = await supabaseAdmin
+            .from("event_admins")
+            .delete()
+            .eq("event_id", eventId)
+            .eq("user_id", userId);
+
+        if (error) throw error;
+
+        return res.json({ success: true, message: "Event admin removed" });
+    } catch (err) {
+        console.error("REVOKE EVENT ADMIN ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to remove event admin" });
+    }
+};
+
+/**
+ * Capabilities the signed-in admin holds on the event (for showing / hiding actions)
+ * GET /api/admin/events/:id/permissions
+ */
+export const getMyEventPermissions = (req, res) => {
+    return res.json({ success: true, eventId: req.event.id, capabilities: req.eventCapabilities || [] });
+};
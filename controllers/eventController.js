@@ -1,6 +1,8 @@
 import QRCode from 'qrcode';
 import { supabaseAdmin } from "../config/supabaseClient.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
+import { buildAdminEventFilter } from "../services/eventAccessService.js";
+import { MANAGE_COLLABORATORS } from "../utils/permissions.js";
 
 // GET /api/events/list
 export const listEvents = async (req, res) => {
@@ -9,7 +11,7 @@ export const listEvents = async (req, res) => {
         let query = supabaseAdmin.from('events').select('*, event_registrations(count)').order('start_date', { ascending: true });
 
         if (created_by) query = query.eq('created_by', created_by);
-        if (admin_id) query = query.or(`created_by.eq.${admin_id},assigned_to.eq.${admin_id}`);
+        if (admin_id) query = query.or(await buildAdminEventFilter(admin_id)); // Owned, assigned or shared via event_admins
 
         const { data, error } = await query;
         if (error) throw error;
@@ -148,6 +150,8 @@ export const updateEvent = async (req, res) => {
 
         ['start_date', 'end_date', 'registration_deadline'].forEach(f => { if (updates[f] === "") updates[f] = null; });
         delete updates.id; delete updates.created_at; delete updates.created_by;
+        // Assigning the event hands over its delegable capabilities: owner-level decision
+        if (!req.eventCapabilities?.includes(MANAGE_COLLABORATORS)) delete updates.assigned_to;
 
         // document_file is already handled above (uploaded and converted to document_url, then deleted)
         delete updates.data; // Also remove potential junk
@@ -168,6 +172,7 @@ export const deleteEvent = async (req, res) => {
         await supabaseAdmin.from('event_registrations').delete().eq('event_id', id);
         await supabaseAdmin.from('event_news').delete().eq('event_id', id);
         await supabaseAdmin.from('event_brackets').delete().eq('event_id', id);
+        await supabaseAdmin.from('event_admins').delete().eq('event_id', id);
         const { error } = await supabaseAdmin.from('events').delete().eq('id', id);
         if (error) throw error;
         res.json({ success: true, message: "Event deleted" });
@@ -1,4 +1,19 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import {
+    computeSwissStandings,
+    getDefaultSwissRounds,
+    getSwissRoundNumber,
+    isSwissRoundName,
+    SWISS_FORMAT
+} from "../utils/swiss.js";
+import { GROUPS_FORMAT, isGroupRoundName, snakeSeedGroups } from "../utils/groupStage.js";
+import { computeAllGroupStandings, loadGroupStage } from "../services/groupStageService.js";
+import { computeLeagueStandings, normalizeTiebreakers, TIEBREAKERS } from "../utils/standings.js";
+import { DOUBLE_ROUND_ROBIN_MODES } from "../utils/roundRobin.js";
+import { withSportLeaguePoints } from "../utils/sportRules.js";
+import { getEventSportRules } from "../services/sportRulesService.js";
+
+const LEAGUE_FORMATS = ["LEAGUE", SWISS_FORMAT, GROUPS_FORMAT];
 
 // Simple UUID checker (kept in sync with other controllers)
 const isUuid = (str) => {
@@ -43,6 +58,9 @@ export const getLeagueConfig = async (req, res) => {
             throw error;
         }
 
+        // Default points come from the event's sport (utils/sportRules.js)
+        const sportRules = await getEventSportRules(eventId);
+
         if (!data) {
             // No config yet – return sensible defaults
             return res.json({
@@ -50,11 +68,7 @@ export const getLeagueConfig = async (req, res) => {
                 league: {
                     format: "LEAGUE",
                     participants: [],
-                    rules: {
-                        pointsWin: 3,
-                        pointsLoss: 0,
-                        pointsDraw: 1
-                    }
+                    rules: { ...sportRules.leaguePoints }
                 }
             });
         }
@@ -62,13 +76,9 @@ export const getLeagueConfig = async (req, res) => {
         return res.json({
             success: true,
             league: {
-                format: "LEAGUE",
+                format: data.rules?.format || "LEAGUE",
                 participants: Array.isArray(data.participants) ? data.participants : [],
-                rules: data.rules || {
-                    pointsWin: 3,
-                    pointsLoss: 0,
-                    pointsDraw: 1
-                }
+                rules: withSportLeaguePoints(data.rules, sportRules)
             }
         });
     } catch (err) {
@@ -80,14 +90,25 @@ export const getLeagueConfig = async (req, res) => {
 /**
  * Save (create or update) league config for a category
  * POST /api/admin/events/:id/categories/:categoryId/league
- * Body: { categoryLabel, participants: [{id,name}], rules: { pointsWin, pointsLoss, pointsDraw? } }
+ * Body: { categoryLabel, participants: [{id,name}],
+ *         rules: { pointsWin, pointsLoss, pointsDraw?, pointsForfeit?, walkoverScore?, tiebreakers?, manualOrder?,
+ *                  doubleRoundRobin?, rounds?, groupCount?, qualifiersPerGroup? },
+ *         format?: "LEAGUE" | "SWISS" | "GROUPS" }
  *
+ * tiebreakers is the ordered chain applied when points are level (see utils/standings.js);
+ * manualOrder ([participantId]) settles "MANUAL" (coin toss / organiser decision).
+ * doubleRoundRobin ("HOME_AWAY" | "REPEAT") schedules a second leg for LEAGUE fixtures.
+ * Points not given default to the event sport's league points (utils/sportRules.js).
+ * walkoverScore ({ winner, loser }) is credited for walkovers / disqualifications, whose
+ * loser gets pointsForfeit (default 0) instead of pointsLoss.
+ * Swiss settings live in rules (format, rounds); GROUPS stores the snake-seeded
+ * groups in rules.groups. Participants are in seeding order.
  * Uses dedicated 'leagues' table for clean separation from event_brackets
  */
 export const saveLeagueConfig = async (req, res) => {
     try {
         const { id: eventId, categoryId } = req.params;
-        const { categoryLabel, participants, rules } = req.body || {};
+        const { categoryLabel, participants, rules, format = "LEAGUE" } = req.body || {};
 
         if (!eventId || (!categoryId && !categoryLabel)) {
             return res.status(400).json({ success: false, message: "Event ID and Category required" });
@@ -97,6 +118,59 @@ export const saveLeagueConfig = async (req, res) => {
             return res.status(400).json({ success: false, message: "At least one participant is required" });
         }
 
+        if (!LEAGUE_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid format. Allowed: ${LEAGUE_FORMATS.join(", ")}`,
+                code: "INVALID_FORMAT"
+            });
+        }
+
+        if (format === SWISS_FORMAT && rules?.rounds !== undefined && !(Number.isInteger(rules.rounds) && rules.rounds > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Swiss rounds must be a positive integer",
+                code: "INVALID_ROUNDS"
+            });
+        }
+
+        const tiebreakers = normalizeTiebreakers(rules?.tiebreakers);
+        if (!tiebreakers) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid tiebreakers. Allowed: ${TIEBREAKERS.join(", ")}`,
+                code: "INVALID_TIEBREAKERS"
+            });
+        }
+
+        if (rules?.manualOrder !== undefined && !Array.isArray(rules.manualOrder)) {
+            return res.status(400).json({
+                success: false,
+                message: "manualOrder must be an array of participant IDs",
+                code: "INVALID_MANUAL_ORDER"
+            });
+        }
+
+        const walkoverScore = rules?.walkoverScore;
+        if (walkoverScore !== undefined && !(
+            walkoverScore && typeof walkoverScore.winner === "number" && typeof walkoverScore.loser === "number"
+        )) {
+            return res.status(400).json({
+                success: false,
+                message: "walkoverScore must be { winner: number, loser: number }",
+                code: "INVALID_WALKOVER_SCORE"
+            });
+        }
+
+        const doubleRoundRobin = rules?.doubleRoundRobin ?? null;
+        if (doubleRoundRobin !== null && !DOUBLE_ROUND_ROBIN_MODES.includes(doubleRoundRobin)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid doubleRoundRobin. Allowed: ${DOUBLE_ROUND_ROBIN_MODES.join(", ")}`,
+                code: "INVALID_DOUBLE_ROUND_ROBIN"
+            });
+        }
+
         // Clean and deduplicate participants
         const participantMap = new Map();
         participants.forEach((p) => {
@@ -121,18 +195,50 @@ export const saveLeagueConfig = async (req, res) => {
             console.warn(`Removed ${participants.length - cleanedParticipants.length} duplicate participant(s) from league config`);
         }
 
-        const defaultRules = {
-            pointsWin: 3,
-            pointsLoss: 0,
-            pointsDraw: 1
-        };
+        const defaultRules = (await getEventSportRules(eventId)).leaguePoints;
 
         const cleanedRules = {
             pointsWin: typeof rules?.pointsWin === "number" ? rules.pointsWin : defaultRules.pointsWin,
             pointsLoss: typeof rules?.pointsLoss === "number" ? rules.pointsLoss : defaultRules.pointsLoss,
-            pointsDraw: typeof rules?.pointsDraw === "number" ? rules.pointsDraw : defaultRules.pointsDraw
+            pointsDraw: typeof rules?.pointsDraw === "number" ? rules.pointsDraw : defaultRules.pointsDraw,
+            tiebreakers,
+            // Only ids of this league's participants are kept
+            manualOrder: (rules?.manualOrder || []).map(String).filter((id) => participantMap.has(id)),
+            doubleRoundRobin,
+            ...(typeof rules?.pointsForfeit === "number" ? { pointsForfeit: rules.pointsForfeit } : {}),
+            ...(walkoverScore ? { walkoverScore: { winner: walkoverScore.winner, loser: walkoverScore.loser } } : {}),
+            ...(format === SWISS_FORMAT
+                ? { format, rounds: rules?.rounds || getDefaultSwissRounds(cleanedParticipants.length) }
+                : {})
         };
 
+        if (format === GROUPS_FORMAT) {
+            const groupCount = rules?.groupCount;
+            const qualifiersPerGroup = rules?.qualifiersPerGroup ?? 2;
+
+            if (!Number.isInteger(groupCount) || groupCount < 1 || groupCount * 2 > cleanedParticipants.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: "groupCount must be a positive integer with at least two participants per group",
+                    code: "INVALID_GROUP_COUNT"
+                });
+            }
+            if (![1, 2].includes(qualifiersPerGroup) || groupCount * qualifiersPerGroup < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: "qualifiersPerGroup must be 1 or 2, and at least two players must qualify",
+                    code: "INVALID_QUALIFIERS"
+                });
+            }
+
+            Object.assign(cleanedRules, {
+                format,
+                groupCount,
+                qualifiersPerGroup,
+                groups: snakeSeedGroups(cleanedParticipants, groupCount)
+            });
+        }
+
         // Determine category_id and category_label
         // category_id can be UUID or string/number ID (like "1767354643599")
         // Store the categoryId as-is if provided (leagues.category_id is TEXT, so accepts any string)
@@ -172,7 +278,7 @@ export const saveLeagueConfig = async (req, res) => {
             return res.json({
                 success: true,
                 league: {
-                    format: "LEAGUE",
+                    format,
                     participants: cleanedParticipants,
                     rules: cleanedRules
                 },
@@ -201,7 +307,7 @@ export const saveLeagueConfig = async (req, res) => {
         return res.status(201).json({
             success: true,
             league: {
-                format: "LEAGUE",
+                format,
                 participants: cleanedParticipants,
                 rules: cleanedRules
             },
@@ -221,7 +327,7 @@ export const saveLeagueConfig = async (req, res) => {
  * 
  * This will:
  * 1. Delete the league record from the 'leagues' table
- * 2. Optionally delete all matches with round_name='LEAGUE' for this category
+ * 2. Optionally delete all matches with round_name='LEAGUE' (or 'Swiss Round N' / 'Group X') for this category
  */
 export const deleteLeague = async (req, res) => {
     try {
@@ -269,12 +375,14 @@ export const deleteLeague = async (req, res) => {
             // CRITICAL FIX: Use safe in-memory filtering instead of dangerous fallback
             // This prevents accidentally deleting matches from other categories
             
-            // First, fetch all LEAGUE matches for this event
-            const { data: allLeagueMatches, error: fetchMatchesError } = await supabaseAdmin
+            // First, fetch all LEAGUE / Swiss matches for this event
+            const { data: eventMatches, error: fetchMatchesError } = await supabaseAdmin
                 .from("matches")
                 .select("id, category_id, event_id, round_name")
-                .eq("event_id", eventId)
-                .eq("round_name", "LEAGUE");
+                .eq("event_id", eventId);
+            const allLeagueMatches = (eventMatches || []).filter(
+                (m) => m.round_name === "LEAGUE" || isSwissRoundName(m.round_name) || isGroupRoundName(m.round_name)
+            );
 
             if (fetchMatchesError) {
                 console.error("Error fetching league matches for deletion:", fetchMatchesError);
@@ -354,3 +462,212 @@ export const deleteLeague = async (req, res) => {
         });
     }
 };
+
+/**
+ * Swiss standings for a category (points, Buchholz, Sonneborn-Berger)
+ * GET /api/admin/events/:id/categories/:categoryId/league/swiss/standings
+ * Computed on the fly from COMPLETED 'Swiss Round N' matches - nothing is stored.
+ */
+export const getSwissStandings = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const categoryLabel = req.query.categoryLabel || req.query.category;
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ success: false, message: "Event ID and Category required" });
+        }
+
+        let query = supabaseAdmin
+            .from("leagues")
+            .select("*")
+            .eq("event_id", eventId);
+
+        if (categoryId) {
+            query = query.eq("category_id", String(categoryId));
+        } else {
+            query = query.eq("category_label", categoryLabel);
+        }
+
+        const { data: league, error } = await query.maybeSingle();
+
+        if (error && error.code !== "PGRST116") {
+            throw error;
+        }
+
+        if (!league) {
+            return res.status(404).json({ success: false, message: "League configuration not found" });
+        }
+
+        const rules = withSportLeaguePoints(league.rules, await getEventSportRules(eventId));
+        if (rules.format !== SWISS_FORMAT) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is not configured as Swiss",
+                code: "NOT_SWISS"
+            });
+        }
+
+        const participants = Array.isArray(league.participants) ? league.participants : [];
+        const categoryIdForMatches = league.category_id || categoryId;
+
+        const { data: eventMatches, error: matchesError } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .eq("event_id", eventId);
+
+        if (matchesError) {
+            throw matchesError;
+        }
+
+        // Filter in memory - category_id may be TEXT or UUID (same as league match deletion)
+        const swissMatches = (eventMatches || []).filter((m) =>
+            isSwissRoundName(m.round_name) &&
+            m.category_id &&
+            (String(m.category_id) === String(categoryIdForMatches) || m.category_id == categoryIdForMatches)
+        );
+
+        const roundsGenerated = swissMatches.reduce((max, m) => Math.max(max, getSwissRoundNumber(m.round_name)), 0);
+
+        return res.json({
+            success: true,
+            format: SWISS_FORMAT,
+            roundsGenerated,
+            totalRounds: rules.rounds || getDefaultSwissRounds(participants.length),
+            standings: computeSwissStandings(participants, swissMatches, rules)
+        });
+    } catch (err) {
+        console.error("GET SWISS STANDINGS ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch Swiss standings" });
+    }
+};
+
+/**
+ * Group standings for a groups + knockout category
+ * GET /api/admin/events/:id/categories/:categoryId/league/groups/standings
+ * Computed on the fly from COMPLETED 'Group X' matches.
+ */
+export const getGroupStandings = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const categoryLabel = req.query.categoryLabel || req.query.category;
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ success: false, message: "Event ID and Category required" });
+        }
+
+        const { league, groupMatches } = await loadGroupStage(eventId, categoryId, categoryLabel);
+
+        if (!league) {
+            return res.status(404).json({ success: false, message: "League configuration not found" });
+        }
+
+        if (league.rules?.format !== GROUPS_FORMAT) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is not configured as groups + knockout",
+                code: "NOT_GROUPS"
+            });
+        }
+
+        const groups = computeAllGroupStandings(
+            league,
+            groupMatches,
+            withSportLeaguePoints(league.rules, await getEventSportRules(eventId))
+        );
+
+        return res.json({
+            success: true,
+            format: GROUPS_FORMAT,
+            qualifiersPerGroup: league.rules.qualifiersPerGroup || 2,
+            complete: groups.length > 0 && groups.every((g) => g.matchesPlayed >= g.matchesTotal),
+            groups
+        });
+    } catch (err) {
+        console.error("GET GROUP STANDINGS ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch group standings" });
+    }
+};
+
+/**
+ * Standings / points table for a category (admin and public)
+ * GET /api/admin/events/:id/categories/:categoryId/league/standings
+ * GET /api/events/:id/categories/:categoryId/standings (public)
+ *
+ * Follows the category format: LEAGUE returns one table, GROUPS one table per group,
+ * SWISS the Swiss standings. Computed on the fly from COMPLETED matches.
+ */
+export const getLeagueStandings = async (req, res) => {
+    try {
+        const { id: eventId, categoryId } = req.params;
+        const categoryLabel = req.query.categoryLabel || req.query.category;
+
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({ success: false, message: "Event ID and Category required" });
+        }
+
+        let query = supabaseAdmin
+            .from("leagues")
+            .select("*")
+            .eq("event_id", eventId);
+
+        if (categoryId) {
+            query = query.eq("category_id", String(categoryId));
+        } else {
+            query = query.eq("category_label", categoryLabel);
+        }
+
+        const { data: league, error } = await query.maybeSingle();
+
+        if (error && error.code !== "PGRST116") {
+            throw error;
+        }
+
+        if (!league) {
+            return res.status(404).json({ success: false, message: "League configuration not found" });
+        }
+
+        // League points fall back to the event sport's defaults
+        const rules = withSportLeaguePoints(league.rules, await getEventSportRules(eventId));
+        const format = rules.format || "LEAGUE";
+        const participants = Array.isArray(league.participants) ? league.participants : [];
+        const categoryIdForMatches = league.category_id || categoryId;
+
+        const { data: eventMatches, error: matchesError } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .eq("event_id", eventId);
+
+        if (matchesError) {
+            throw matchesError;
+        }
+
+        // Filter in memory - category_id may be TEXT or UUID (same as league match deletion)
+        const categoryMatches = (eventMatches || []).filter((m) =>
+            m.category_id &&
+            (String(m.category_id) === String(categoryIdForMatches) || m.category_id == categoryIdForMatches)
+        );
+
+        const tiebreak = { tiebreakers: normalizeTiebreakers(rules.tiebreakers) || undefined };
+
+        if (format === GROUPS_FORMAT) {
+            const groupMatches = categoryMatches.filter((m) => isGroupRoundName(m.round_name));
+            return res.json({ success: true, format, ...tiebreak, groups: computeAllGroupStandings(league, groupMatches, rules) });
+        }
+
+        if (format === SWISS_FORMAT) {
+            const swissMatches = categoryMatches.filter((m) => isSwissRoundName(m.round_name));
+            return res.json({ success: true, format, standings: computeSwissStandings(participants, swissMatches, rules) });
+        }
+
+        const leagueMatches = categoryMatches.filter((m) => m.round_name === "LEAGUE");
+        return res.json({
+            success: true,
+            format,
+            ...tiebreak,
+            standings: computeLeagueStandings(participants, leagueMatches, rules)
+        });
+    } catch (err) {
+        console.error("GET LEAGUE STANDINGS ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch standings" });
+    }
+};
@@ -0,0 +1,61 @@
+import { getChangesSince, subscribeToEvent } from "../services/liveScoreBus.js";
+
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 3000;
+
+const writeChange = (res, change) => {
+    res.write(`id: ${change.id}\nevent: ${change.type}\ndata: ${JSON.stringify(change)}\n\n`);
+};
+
+/**
+ * Live score stream (Server-Sent Events) for spectators
+ * GET /api/events/:id/matches/stream?categoryId=xxx
+ *
+ * - Events: match.created, match.updated, match.deleted (data = { id, type, categoryId, match, at })
+ * - heartbeat every 25s keeps proxies from closing the connection
+ * - Resume: the browser sends Last-Event-ID on reconnect (or ?lastEventId=...); missed changes
+ *   are replayed. If they are no longer available a `resync` event tells the client to
+ *   refetch GET /api/events/:id/matches.
+ */
+export const streamEventMatches = (req, res) => {
+    const eventId = req.params.id;
+    const categoryId = req.query.categoryId ? String(req.query.categoryId) : null;
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+
+    if (!eventId) {
+        return res.status(400).json({ success: false, message: "Event ID is required" });
+    }
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no" // nginx: do not buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const matchesCategory = (change) => !categoryId || change.categoryId === categoryId;
+
+    if (lastEventId !== undefined) {
+        const { changes, complete } = getChangesSince(eventId, lastEventId);
+        if (complete) {
+            changes.filter(matchesCategory).forEach((change) => writeChange(res, change));
+        } else {
+            res.write(`event: resync\ndata: ${JSON.stringify({ reason: "Missed changes are no longer available" })}\n\n`);
+        }
+    }
+
+    const unsubscribe = subscribeToEvent(eventId, (change) => {
+        if (matchesCategory(change)) writeChange(res, change);
+    });
+
+    const heartbeat = setInterval(() => {
+        res.write(`event: heartbeat\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`);
+    }, HEARTBEAT_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
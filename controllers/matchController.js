@@ -1,4 +1,24 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getAllRounds } from "../utils/bracketDraw.js";
+import {
+    computeSwissStandings,
+    getDefaultSwissRounds,
+    getSwissRoundNumber,
+    isSwissRoundName,
+    pairSwissRound,
+    SWISS_FORMAT,
+    SWISS_ROUND_PREFIX
+} from "../utils/swiss.js";
+import { GROUP_ROUND_PREFIX, GROUPS_FORMAT, isGroupRoundName } from "../utils/groupStage.js";
+import { seedKnockoutFromGroups } from "../services/groupStageService.js";
+import { buildRoundRobinSchedule } from "../utils/roundRobin.js";
+import { decideWinner, normalizeSportScore } from "../utils/sportRules.js";
+import { getEventSportRules } from "../services/sportRulesService.js";
+import { advanceBracketsFromMatches } from "../services/bracketAdvancementService.js";
+import { NORMAL, resolveSpecialResult } from "../utils/matchResult.js";
+import { MATCH_CREATED, MATCH_DELETED, MATCH_UPDATED, publishMatchChange } from "../services/liveScoreBus.js";
+import { FINALIZE, recordMatchEvent, SCORE_UPDATE } from "../services/matchEventService.js";
+import { replanIfLate } from "../services/scheduleService.js";
 
 // Helper function to check if string is UUID
 const isUuid = (str) => {
@@ -6,6 +26,17 @@ const isUuid = (str) => {
     return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
 };
 
+// League, Swiss and group matches may end in a draw (winner = null); knockout matches may not
+const isLeagueStyleRound = (roundName) =>
+    roundName === 'LEAGUE' || isSwissRoundName(roundName) || isGroupRoundName(roundName);
+
+// ?matchday=N filter: undefined when absent, null when not a positive integer
+const parseMatchday = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+};
+
 // Generate Matches from Bracket Data (Knockout)
 export const generateMatchesFromBracket = async (req, res) => {
     const { eventId, categoryId } = req.params;
@@ -45,7 +76,8 @@ export const generateMatchesFromBracket = async (req, res) => {
             });
         }
 
-        const rounds = bracketData.bracket_data?.rounds || [];
+        // Includes losers bracket / grand final (double elimination) and consolation rounds
+        const rounds = getAllRounds(bracketData.bracket_data);
         if (!rounds.length) {
             return res.status(400).json({ success: false, message: "No rounds found in bracket data" });
         }
@@ -172,14 +204,17 @@ export const generateMatchesFromBracket = async (req, res) => {
                     // Winner reference may exist in bracket_data for visual purposes, but
                     // authoritative winner comes from matches table after score is set
                     winner: null,
-                    status: 'SCHEDULED'
+                    status: 'SCHEDULED',
+                    // Slot planned by the scheduler, if any (services/scheduleService.js)
+                    court: matchData.court ?? null,
+                    scheduled_at: matchData.scheduledAt ?? null
                 };
 
                 // 3. Insert (Idempotent - never overwrites existing matches)
                 // This function is idempotent: if a match already exists (unique constraint on
                 // bracket_id + round_name + match_index), it will be skipped, preserving any
                 // existing scores and results. This ensures we never overwrite live score data.
-                const { error: insertError } = await supabaseAdmin
+                const { data: created, error: insertError } = await supabaseAdmin
                     .from('matches')
                     .insert(payload)
                     .select()
@@ -194,6 +229,7 @@ export const generateMatchesFromBracket = async (req, res) => {
                     // Other errors are silently skipped to continue processing
                 } else {
                     createdCount++;
+                    publishMatchChange(MATCH_CREATED, created);
                 }
             }
         }
@@ -210,14 +246,183 @@ export const generateMatchesFromBracket = async (req, res) => {
     }
 };
 
+/**
+ * Find the league config for a category among an event's leagues.
+ * Tries category_id, exact label, normalized label and finally a partial label match.
+ * @returns {object | null}
+ */
+const findLeagueConfig = (allLeagues, categoryId, categoryLabel) => {
+    let leagueConfig = null;
+
+    if (allLeagues && allLeagues.length > 0) {
+        // Strategy 1: Exact category_id match (UUID or string)
+        if (categoryId) {
+            leagueConfig = allLeagues.find(l => {
+                const lCatId = l.category_id;
+                if (!lCatId) return false;
+                return String(lCatId) === String(categoryId) || lCatId == categoryId;
+            });
+        }
+
+        // Strategy 2: Exact category_label match
+        if (!leagueConfig && categoryLabel) {
+            leagueConfig = allLeagues.find(l => {
+                const lLabel = l.category_label;
+                if (!lLabel) return false;
+                // Exact match
+                if (String(lLabel).trim() === String(categoryLabel).trim()) {
+                    return true;
+                }
+                // Case-insensitive match
+                if (String(lLabel).toLowerCase().trim() === String(categoryLabel).toLowerCase().trim()) {
+                    return true;
+                }
+                return false;
+            });
+        }
+
+        // Strategy 3: Normalized match (remove gender in parentheses, normalize spacing)
+        if (!leagueConfig && categoryLabel) {
+            // Normalize function: remove gender in parentheses, lowercase, trim
+            const normalizeLabel = (label) => {
+                if (!label) return "";
+                return String(label)
+                    .replace(/\s*\(Male|Female|Mixed\)/gi, "") // Remove (Male), (Female), (Mixed)
+                    .replace(/\s*-\s*/g, " - ") // Normalize spacing around dashes
+                    .toLowerCase()
+                    .trim();
+            };
+            
+            const normalizedSearchLabel = normalizeLabel(categoryLabel);
+            leagueConfig = allLeagues.find(l => {
+                const lLabel = l.category_label;
+                if (!lLabel) return false;
+                const normalizedLLabel = normalizeLabel(lLabel);
+                // Exact normalized match
+                if (normalizedLLabel === normalizedSearchLabel) {
+                    return true;
+                }
+                // Check if base category name matches (before matchType)
+                const searchBase = normalizedSearchLabel.split(" - ")[0];
+                const labelBase = normalizedLLabel.split(" - ")[0];
+                if (searchBase && labelBase && searchBase === labelBase) {
+                    return true;
+                }
+                return false;
+            });
+        }
+
+        // Strategy 4: Partial match (fallback - most lenient)
+        if (!leagueConfig && categoryLabel) {
+            const normalizedLabel = String(categoryLabel).toLowerCase().trim();
+            leagueConfig = allLeagues.find(l => {
+                const lLabel = l.category_label;
+                if (!lLabel) return false;
+                const normalizedLLabel = String(lLabel).toLowerCase().trim();
+                // Extract base category name (before first " - ")
+                const searchBase = normalizedLabel.split(" - ")[0];
+                const labelBase = normalizedLLabel.split(" - ")[0];
+                // Match if base names are similar
+                if (searchBase && labelBase) {
+                    if (searchBase === labelBase || 
+                        searchBase.includes(labelBase) || 
+                        labelBase.includes(searchBase)) {
+                        return true;
+                    }
+                }
+                // Also try full string contains
+                return normalizedLLabel.includes(normalizedLabel) || normalizedLabel.includes(normalizedLLabel);
+            });
+        }
+    }
+
+    return leagueConfig || null;
+};
+
+/**
+ * Get (or create) the placeholder event_brackets row that league-style matches point to.
+ * matches.bracket_id is NOT NULL, but league / Swiss matches do not use a real bracket.
+ * @returns {Promise<string>} bracket id
+ */
+const getLeaguePlaceholderBracketId = async (eventId, leagueCategoryId, categoryLabelForBracket) => {
+    let bracketQuery = supabaseAdmin
+        .from('event_brackets')
+        .select('id')
+        .eq('event_id', eventId)
+        .eq('round_name', 'LEAGUE_PLACEHOLDER');
+
+    // Try to match by category_id first (only if it's a valid UUID)
+    // For string IDs like "1767354643599", we'll match by category label instead
+    if (leagueCategoryId && isUuid(leagueCategoryId)) {
+        bracketQuery = bracketQuery.eq('category_id', leagueCategoryId);
+    } else {
+        // Fallback to category label (works for both UUID and string category IDs)
+        bracketQuery = bracketQuery.eq('category', categoryLabelForBracket);
+    }
+
+    const { data: existingPlaceholder, error: bracketFetchError } = await bracketQuery.maybeSingle();
+
+    if (bracketFetchError && bracketFetchError.code !== "PGRST116") {
+        throw bracketFetchError;
+    }
+
+    if (existingPlaceholder) {
+        return existingPlaceholder.id;
+    }
+
+    // Create placeholder bracket for league matches
+    // event_brackets.category_id is UUID type, so only set it if it's a valid UUID
+    // For string IDs like "1767354643599", set category_id to null
+    const bracketCategoryId = leagueCategoryId && isUuid(leagueCategoryId) ? leagueCategoryId : null;
+
+    const { data: newPlaceholder, error: createBracketError } = await supabaseAdmin
+        .from('event_brackets')
+        .insert({
+            event_id: eventId,
+            category: categoryLabelForBracket,
+            category_id: bracketCategoryId, // Only set if it's a valid UUID
+            round_name: 'LEAGUE_PLACEHOLDER',
+            mode: 'MEDIA', // Use MEDIA mode for placeholder
+            draw_type: 'bracket',
+            bracket_data: {
+                rounds: [],
+                isPlaceholder: true,
+                note: 'Placeholder bracket for league matches'
+            }
+        })
+        .select('id')
+        .single();
+
+    if (createBracketError) {
+        throw createBracketError;
+    }
+
+    return newPlaceholder.id;
+};
+
+// Unordered pair key => number of existing matches between the two players
+const countExistingPairs = (matches) => {
+    const counts = new Map();
+    (matches || []).forEach((m) => {
+        const aId = m.player_a && (m.player_a.id || m.player_a.player_id || m.player_a);
+        const bId = m.player_b && (m.player_b.id || m.player_b.player_id || m.player_b);
+        if (!aId || !bId) return;
+        const key = [String(aId), String(bId)].sort().join('__');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+};
+
 /**
  * Generate League (round-robin) matches from league blueprint
  * POST /api/admin/matches/generate-league/:eventId/:categoryId
  *
  * - Reads participants from 'leagues' table (dedicated league storage)
- * - Generates all unique pairs (each player vs every other player once)
- * - Inserts into matches table with round_name = 'LEAGUE'
- * - Idempotent: skips matches that already exist for this event/category/round
+ * - Schedules every pair into matchdays with the circle method (utils/roundRobin.js);
+ *   rules.doubleRoundRobin ('HOME_AWAY' | 'REPEAT') adds a second leg
+ * - Inserts into matches table with round_name = 'LEAGUE' and matches.matchday
+ * - Idempotent: skips matches that already exist for this event/category/round; fixtures
+ *   missing from an earlier run (late entrants) go on new matchdays after the last one
  */
 export const generateLeagueMatches = async (req, res) => {
     const { eventId, categoryId } = req.params;
@@ -245,89 +450,7 @@ export const generateLeagueMatches = async (req, res) => {
         }
 
         // Try to find matching league config using multiple strategies
-        let leagueConfig = null;
-
-        if (allLeagues && allLeagues.length > 0) {
-            // Strategy 1: Exact category_id match (UUID or string)
-            if (categoryId) {
-                leagueConfig = allLeagues.find(l => {
-                    const lCatId = l.category_id;
-                    if (!lCatId) return false;
-                    return String(lCatId) === String(categoryId) || lCatId == categoryId;
-                });
-            }
-
-            // Strategy 2: Exact category_label match
-            if (!leagueConfig && categoryLabel) {
-                leagueConfig = allLeagues.find(l => {
-                    const lLabel = l.category_label;
-                    if (!lLabel) return false;
-                    // Exact match
-                    if (String(lLabel).trim() === String(categoryLabel).trim()) {
-                        return true;
-                    }
-                    // Case-insensitive match
-                    if (String(lLabel).toLowerCase().trim() === String(categoryLabel).toLowerCase().trim()) {
-                        return true;
-                    }
-                    return false;
-                });
-            }
-
-            // Strategy 3: Normalized match (remove gender in parentheses, normalize spacing)
-            if (!leagueConfig && categoryLabel) {
-                // Normalize function: remove gender in parentheses, lowercase, trim
-                const normalizeLabel = (label) => {
-                    if (!label) return "";
-                    return String(label)
-                        .replace(/\s*\(Male|Female|Mixed\)/gi, "") // Remove (Male), (Female), (Mixed)
-                        .replace(/\s*-\s*/g, " - ") // Normalize spacing around dashes
-                        .toLowerCase()
-                        .trim();
-                };
-                
-                const normalizedSearchLabel = normalizeLabel(categoryLabel);
-                leagueConfig = allLeagues.find(l => {
-                    const lLabel = l.category_label;
-                    if (!lLabel) return false;
-                    const normalizedLLabel = normalizeLabel(lLabel);
-                    // Exact normalized match
-                    if (normalizedLLabel === normalizedSearchLabel) {
-                        return true;
-                    }
-                    // Check if base category name matches (before matchType)
-                    const searchBase = normalizedSearchLabel.split(" - ")[0];
-                    const labelBase = normalizedLLabel.split(" - ")[0];
-                    if (searchBase && labelBase && searchBase === labelBase) {
-                        return true;
-                    }
-                    return false;
-                });
-            }
-
-            // Strategy 4: Partial match (fallback - most lenient)
-            if (!leagueConfig && categoryLabel) {
-                const normalizedLabel = String(categoryLabel).toLowerCase().trim();
-                leagueConfig = allLeagues.find(l => {
-                    const lLabel = l.category_label;
-                    if (!lLabel) return false;
-                    const normalizedLLabel = String(lLabel).toLowerCase().trim();
-                    // Extract base category name (before first " - ")
-                    const searchBase = normalizedLabel.split(" - ")[0];
-                    const labelBase = normalizedLLabel.split(" - ")[0];
-                    // Match if base names are similar
-                    if (searchBase && labelBase) {
-                        if (searchBase === labelBase || 
-                            searchBase.includes(labelBase) || 
-                            labelBase.includes(searchBase)) {
-                            return true;
-                        }
-                    }
-                    // Also try full string contains
-                    return normalizedLLabel.includes(normalizedLabel) || normalizedLabel.includes(normalizedLLabel);
-                });
-            }
-        }
+        const leagueConfig = findLeagueConfig(allLeagues, categoryId, categoryLabel);
 
         if (!leagueConfig) {
             // Provide helpful debug info
@@ -352,6 +475,22 @@ export const generateLeagueMatches = async (req, res) => {
             });
         }
 
+        if (leagueConfig.rules?.format === SWISS_FORMAT) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is configured as Swiss. Generate rounds with generate-swiss instead.",
+                code: "SWISS_FORMAT"
+            });
+        }
+
+        if (leagueConfig.rules?.format === GROUPS_FORMAT) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is configured as groups + knockout. Generate matches with generate-groups instead.",
+                code: "GROUPS_FORMAT"
+            });
+        }
+
         const participants = Array.isArray(leagueConfig.participants) ? leagueConfig.participants : [];
 
         if (participants.length === 0) {
@@ -428,114 +567,49 @@ export const generateLeagueMatches = async (req, res) => {
 
         // If no existing bracket found, try to find or create a placeholder bracket
         if (!placeholderBracketId) {
-            let bracketQuery = supabaseAdmin
-                .from('event_brackets')
-                .select('id')
-                .eq('event_id', eventId)
-                .eq('round_name', 'LEAGUE_PLACEHOLDER');
-
-            // Try to match by category_id first (only if it's a valid UUID)
-            // For string IDs like "1767354643599", we'll match by category label instead
-            if (leagueCategoryId && isUuid(leagueCategoryId)) {
-                bracketQuery = bracketQuery.eq('category_id', leagueCategoryId);
-            } else {
-                // Fallback to category label (works for both UUID and string category IDs)
-                bracketQuery = bracketQuery.eq('category', categoryLabelForBracket);
-            }
-
-            const { data: existingPlaceholder, error: bracketFetchError } = await bracketQuery.maybeSingle();
-
-            if (bracketFetchError && bracketFetchError.code !== "PGRST116") {
-                throw bracketFetchError;
-            }
-
-            if (existingPlaceholder) {
-                placeholderBracketId = existingPlaceholder.id;
-            } else {
-                // Create placeholder bracket for league matches
-                // event_brackets.category_id is UUID type, so only set it if it's a valid UUID
-                // For string IDs like "1767354643599", set category_id to null
-                const bracketCategoryId = leagueCategoryId && isUuid(leagueCategoryId) ? leagueCategoryId : null;
-                
-                const { data: newPlaceholder, error: createBracketError } = await supabaseAdmin
-                    .from('event_brackets')
-                    .insert({
-                        event_id: eventId,
-                        category: categoryLabelForBracket,
-                        category_id: bracketCategoryId, // Only set if it's a valid UUID
-                        round_name: 'LEAGUE_PLACEHOLDER',
-                        mode: 'MEDIA', // Use MEDIA mode for placeholder
-                        draw_type: 'bracket',
-                        bracket_data: { 
-                            rounds: [],
-                            isPlaceholder: true,
-                            note: 'Placeholder bracket for league matches'
-                        }
-                    })
-                    .select('id')
-                    .single();
-
-                if (createBracketError) {
-                    throw createBracketError;
-                }
-
-                placeholderBracketId = newPlaceholder.id;
-            }
+            placeholderBracketId = await getLeaguePlaceholderBracketId(eventId, leagueCategoryId, categoryLabelForBracket);
         }
 
-        // Build a set of existing unordered pairs (playerA, playerB)
-        const existingPairs = new Set();
-        (existingMatches || []).forEach((m) => {
-            const aId = m.player_a && (m.player_a.id || m.player_a.player_id || m.player_a);
-            const bId = m.player_b && (m.player_b.id || m.player_b.player_id || m.player_b);
-            if (!aId || !bId) return;
-            const key =
-                String(aId) < String(bId)
-                    ? `${String(aId)}__${String(bId)}`
-                    : `${String(bId)}__${String(aId)}`;
-            existingPairs.add(key);
-        });
+        // Count existing unordered pairs (playerA, playerB) - a pair appears twice in a double round-robin
+        const existingPairs = countExistingPairs(existingMatches);
 
-        // 3. Generate all unique pairs i < j
+        // 3. Schedule all pairs into matchdays; skip fixtures that already exist
+        const schedule = buildRoundRobinSchedule(
+            participants.filter((p) => p && p.id),
+            { doubleRoundRobin: leagueConfig.rules?.doubleRoundRobin }
+        );
         const toInsert = [];
-        const n = participants.length;
-
-        for (let i = 0; i < n; i++) {
-            const p1 = participants[i];
-            const p1Id = p1 && p1.id;
-            if (!p1Id) continue;
 
-            for (let j = i + 1; j < n; j++) {
-                const p2 = participants[j];
-                const p2Id = p2 && p2.id;
-                if (!p2Id) continue;
+        // Existing fixtures keep their matchdays, so new ones (e.g. for a late entrant) go on
+        // matchdays after the last one; the rebuilt schedule would clash with the old days
+        let matchday = Math.max(0, ...existingMatches.map(m => Number(m.matchday) || 0));
 
-                const key =
-                    String(p1Id) < String(p2Id)
-                        ? `${String(p1Id)}__${String(p2Id)}`
-                        : `${String(p2Id)}__${String(p1Id)}`;
-
-                if (existingPairs.has(key)) {
+        for (const { fixtures } of schedule) {
+            let dayUsed = false;
+            for (const [home, away] of fixtures) {
+                const key = [String(home.id), String(away.id)].sort().join('__');
+                if (existingPairs.get(key) > 0) {
+                    existingPairs.set(key, existingPairs.get(key) - 1);
                     continue; // Already have this pairing
                 }
+                if (!dayUsed) {
+                    matchday += 1;
+                    dayUsed = true;
+                }
 
-                // Use category_id from league config (ensures consistency)
-                // category_id can be string like "1767354643599" or UUID
-                const matchCategoryId = leagueCategoryId || (categoryId ? String(categoryId) : null);
-                
                 toInsert.push({
                     event_id: eventId,
+                    // category_id can be string like "1767354643599" or UUID
                     category_id: matchCategoryId,
                     bracket_id: placeholderBracketId, // Use placeholder bracket (required by NOT NULL constraint)
                     round_name: 'LEAGUE',
-                    player_a: { id: String(p1Id), name: p1.name },
-                    player_b: { id: String(p2Id), name: p2.name },
+                    matchday,
+                    player_a: { id: String(home.id), name: home.name },
+                    player_b: { id: String(away.id), name: away.name },
                     status: 'SCHEDULED',
                     score: null,
                     winner: null
                 });
-
-                existingPairs.add(key);
             }
         }
 
@@ -592,18 +666,25 @@ export const generateLeagueMatches = async (req, res) => {
             match_index: startIndex + idx
         }));
 
-        const { error: insertError } = await supabaseAdmin
+        const { data: created, error: insertError } = await supabaseAdmin
             .from('matches')
-            .insert(payloadWithIndex);
+            .insert(payloadWithIndex)
+            .select();
 
         if (insertError) {
             throw insertError;
         }
+        (created || []).forEach((m) => publishMatchChange(MATCH_CREATED, m));
 
         return res.status(201).json({
             success: true,
             message: `League matches generated. Created: ${payloadWithIndex.length}`,
-            createdCount: payloadWithIndex.length
+            createdCount: payloadWithIndex.length,
+            matchdays: matchday,
+            // Appended matchdays only hold the missing fixtures, so there is no rotating BYE to report
+            byes: existingMatches.length === 0
+                ? schedule.filter((day) => day.bye).map((day) => ({ matchday: day.matchday, participant: day.bye }))
+                : []
         });
     } catch (error) {
         console.error("Generate League Matches Error:", error);
@@ -614,6 +695,335 @@ export const generateLeagueMatches = async (req, res) => {
     }
 };
 
+/**
+ * Generate the next Swiss round from the league blueprint (leagues table, rules.format = 'SWISS')
+ * POST /api/admin/matches/generate-swiss/:eventId/:categoryId
+ *
+ * - Round N+1 is only paired once every match of round N is COMPLETED
+ * - Pairing by current score, no rematches, one BYE per round for odd fields (see utils/swiss.js)
+ * - Inserts into matches table with round_name = 'Swiss Round N'; the BYE is stored as a
+ *   COMPLETED match against { name: 'BYE' } so it counts in standings
+ */
+export const generateSwissRound = async (req, res) => {
+    const { eventId, categoryId } = req.params;
+    const categoryLabel = (req.query && req.query.categoryLabel) || (req.body && req.body.categoryLabel);
+
+    try {
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({
+                success: false,
+                message: "Event ID and Category are required"
+            });
+        }
+
+        const { data: allLeagues, error: fetchAllError } = await supabaseAdmin
+            .from('leagues')
+            .select('*')
+            .eq('event_id', eventId);
+
+        if (fetchAllError) {
+            throw fetchAllError;
+        }
+
+        const leagueConfig = findLeagueConfig(allLeagues, categoryId, categoryLabel);
+        if (!leagueConfig) {
+            return res.status(404).json({
+                success: false,
+                message: `League configuration not found. Please configure participants first. Category: ${categoryLabel || categoryId}`
+            });
+        }
+
+        const rules = leagueConfig.rules || {};
+        if (rules.format !== SWISS_FORMAT) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is not configured as Swiss. Save the league config with format 'SWISS' first.",
+                code: "NOT_SWISS"
+            });
+        }
+
+        const participants = Array.isArray(leagueConfig.participants) ? leagueConfig.participants : [];
+        if (participants.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: `At least two participants are required to generate Swiss rounds. Currently configured: ${participants.length} participant(s).`
+            });
+        }
+
+        const leagueCategoryId = leagueConfig.category_id
+            ? String(leagueConfig.category_id)
+            : (categoryId ? String(categoryId) : null);
+
+        // Fetch all matches for this event and keep this category's Swiss rounds (category_id can be TEXT or UUID)
+        const { data: eventMatches, error: fetchError } = await supabaseAdmin
+            .from('matches')
+            .select('*')
+            .eq('event_id', eventId);
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        const swissMatches = (eventMatches || []).filter((m) => {
+            if (!isSwissRoundName(m.round_name)) return false;
+            if (!leagueCategoryId) return true;
+            return m.category_id && (String(m.category_id) === leagueCategoryId || m.category_id == leagueCategoryId);
+        });
+
+        const currentRound = swissMatches.reduce((max, m) => Math.max(max, getSwissRoundNumber(m.round_name)), 0);
+        const totalRounds = rules.rounds || getDefaultSwissRounds(participants.length);
+
+        if (currentRound > 0) {
+            const pending = swissMatches.filter((m) => getSwissRoundNumber(m.round_name) === currentRound && m.status !== 'COMPLETED');
+            if (pending.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Complete all matches of ${SWISS_ROUND_PREFIX}${currentRound} before pairing the next round. Pending: ${pending.length}`,
+                    code: "PREV_ROUND_INCOMPLETE"
+                });
+            }
+        }
+
+        if (currentRound >= totalRounds) {
+            return res.status(400).json({
+                success: false,
+                message: `All ${totalRounds} Swiss rounds have already been generated.`,
+                code: "SWISS_COMPLETE"
+            });
+        }
+
+        const standings = computeSwissStandings(participants, swissMatches, rules);
+        const { pairings, bye, rematches } = pairSwissRound(standings, swissMatches);
+
+        const placeholderBracketId = swissMatches.find((m) => m.bracket_id)?.bracket_id ||
+            await getLeaguePlaceholderBracketId(
+                eventId,
+                leagueCategoryId,
+                leagueConfig.category_label || categoryLabel || `League - ${categoryId || 'Unknown'}`
+            );
+
+        const roundName = `${SWISS_ROUND_PREFIX}${currentRound + 1}`;
+        const toInsert = pairings.map(([a, b], idx) => ({
+            event_id: eventId,
+            category_id: leagueCategoryId,
+            bracket_id: placeholderBracketId,
+            round_name: roundName,
+            match_index: idx,
+            player_a: { id: a.id, name: a.name },
+            player_b: { id: b.id, name: b.name },
+            status: 'SCHEDULED',
+            score: null,
+            winner: null
+        }));
+
+        if (bye) {
+            toInsert.push({
+                event_id: eventId,
+                category_id: leagueCategoryId,
+                bracket_id: placeholderBracketId,
+                round_name: roundName,
+                match_index: toInsert.length,
+                player_a: { id: bye.id, name: bye.name },
+                player_b: { name: 'BYE' },
+                status: 'COMPLETED',
+                score: null,
+                winner: bye.id
+            });
+        }
+
+        const { data: created, error: insertError } = await supabaseAdmin
+            .from('matches')
+            .insert(toInsert)
+            .select();
+
+        if (insertError) {
+            throw insertError;
+        }
+        (created || []).forEach((m) => publishMatchChange(MATCH_CREATED, m));
+
+        return res.status(201).json({
+            success: true,
+            message: `${roundName} generated. Created: ${pairings.length} match(es)${bye ? ' + BYE' : ''}`,
+            round: currentRound + 1,
+            totalRounds,
+            createdCount: toInsert.length,
+            bye: bye ? { id: bye.id, name: bye.name } : null,
+            rematches
+        });
+    } catch (error) {
+        console.error("Generate Swiss Round Error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to generate Swiss round"
+        });
+    }
+};
+
+/**
+ * Generate round-robin matches inside each group (groups + knockout format)
+ * POST /api/admin/matches/generate-groups/:eventId/:categoryId
+ *
+ * - Groups come from the league config (rules.groups, snake-seeded on save)
+ * - Inserts into matches table with round_name = 'Group A', 'Group B', ...
+ *   scheduled into matchdays per group (circle method, single round-robin)
+ * - Idempotent: pairs that already exist in a group are skipped
+ */
+export const generateGroupMatches = async (req, res) => {
+    const { eventId, categoryId } = req.params;
+    const categoryLabel = (req.query && req.query.categoryLabel) || (req.body && req.body.categoryLabel);
+
+    try {
+        if (!eventId || (!categoryId && !categoryLabel)) {
+            return res.status(400).json({
+                success: false,
+                message: "Event ID and Category are required"
+            });
+        }
+
+        const { data: allLeagues, error: fetchAllError } = await supabaseAdmin
+            .from('leagues')
+            .select('*')
+            .eq('event_id', eventId);
+
+        if (fetchAllError) {
+            throw fetchAllError;
+        }
+
+        const leagueConfig = findLeagueConfig(allLeagues, categoryId, categoryLabel);
+        if (!leagueConfig) {
+            return res.status(404).json({
+                success: false,
+                message: `League configuration not found. Please configure participants first. Category: ${categoryLabel || categoryId}`
+            });
+        }
+
+        const rules = leagueConfig.rules || {};
+        const groups = Array.isArray(rules.groups) ? rules.groups : [];
+        if (rules.format !== GROUPS_FORMAT || groups.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "This category is not configured as groups + knockout. Save the league config with format 'GROUPS' first.",
+                code: "NOT_GROUPS"
+            });
+        }
+
+        const leagueCategoryId = leagueConfig.category_id
+            ? String(leagueConfig.category_id)
+            : (categoryId ? String(categoryId) : null);
+
+        const { data: eventMatches, error: fetchError } = await supabaseAdmin
+            .from('matches')
+            .select('*')
+            .eq('event_id', eventId);
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        const existingMatches = (eventMatches || []).filter((m) => {
+            if (!isGroupRoundName(m.round_name)) return false;
+            if (!leagueCategoryId) return true;
+            return m.category_id && (String(m.category_id) === leagueCategoryId || m.category_id == leagueCategoryId);
+        });
+
+        const placeholderBracketId = existingMatches.find((m) => m.bracket_id)?.bracket_id ||
+            await getLeaguePlaceholderBracketId(
+                eventId,
+                leagueCategoryId,
+                leagueConfig.category_label || categoryLabel || `League - ${categoryId || 'Unknown'}`
+            );
+
+        const participantsById = new Map((leagueConfig.participants || []).map((p) => [String(p.id), p]));
+        const toInsert = [];
+
+        for (const group of groups) {
+            const roundName = `${GROUP_ROUND_PREFIX}${group.name}`;
+            const groupMatches = existingMatches.filter((m) => m.round_name === roundName);
+
+            const existingPairs = countExistingPairs(groupMatches);
+
+            let matchIndex = groupMatches.length > 0
+                ? Math.max(...groupMatches.map((m) => m.match_index || 0)) + 1
+                : 0;
+
+            const members = group.participantIds.map((id) => participantsById.get(String(id))).filter(Boolean);
+            for (const { matchday, fixtures } of buildRoundRobinSchedule(members)) {
+                for (const [home, away] of fixtures) {
+                    const key = [String(home.id), String(away.id)].sort().join('__');
+                    if (existingPairs.get(key) > 0) continue;
+
+                    toInsert.push({
+                        event_id: eventId,
+                        category_id: leagueCategoryId,
+                        bracket_id: placeholderBracketId,
+                        round_name: roundName,
+                        match_index: matchIndex++,
+                        matchday,
+                        player_a: { id: String(home.id), name: home.name },
+                        player_b: { id: String(away.id), name: away.name },
+                        status: 'SCHEDULED',
+                        score: null,
+                        winner: null
+                    });
+                }
+            }
+        }
+
+        if (toInsert.length === 0) {
+            return res.status(200).json({
+                success: true,
+                message: "Group matches already generated for all groups",
+                createdCount: 0,
+                skippedCount: existingMatches.length
+            });
+        }
+
+        const { data: created, error: insertError } = await supabaseAdmin
+            .from('matches')
+            .insert(toInsert)
+            .select();
+
+        if (insertError) {
+            throw insertError;
+        }
+        (created || []).forEach((m) => publishMatchChange(MATCH_CREATED, m));
+
+        return res.status(201).json({
+            success: true,
+            message: `Group matches generated. Created: ${toInsert.length}`,
+            createdCount: toInsert.length,
+            groups: groups.map((g) => g.name)
+        });
+    } catch (error) {
+        console.error("Generate Group Matches Error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to generate group matches"
+        });
+    }
+};
+
+// Once the last group match is COMPLETED, seed the knockout bracket (best effort)
+const trySeedKnockoutFromGroups = async (eventId, categoryId) => {
+    try {
+        return await seedKnockoutFromGroups({ eventId, categoryId });
+    } catch (err) {
+        console.error("Seed knockout from groups error:", err);
+        return null;
+    }
+};
+
+// Completed knockout results => winners advance in bracket_data, next scoreboard matches created (best effort)
+const tryAdvanceBrackets = async (matches) => {
+    try {
+        const results = await advanceBracketsFromMatches(matches);
+        return results.length > 0 ? results : null;
+    } catch (err) {
+        console.error("Bracket advancement error:", err);
+        return null;
+    }
+};
+
 // Create Single Match Manually
 export const createMatch = async (req, res) => {
     const { event_id, category_id, category_name, round_name, player_a, player_b, bracket_id: providedBracketId } = req.body;
@@ -625,6 +1035,20 @@ export const createMatch = async (req, res) => {
     try {
         let bracket_id = providedBracketId;
 
+        // Access was checked for event_id: the bracket must be one of its own
+        if (bracket_id) {
+            const { data: providedBracket, error: providedBracketError } = await supabaseAdmin
+                .from('event_brackets')
+                .select('id, event_id')
+                .eq('id', bracket_id)
+                .maybeSingle();
+
+            if (providedBracketError) throw providedBracketError;
+            if (!providedBracket || String(providedBracket.event_id) !== String(event_id)) {
+                return res.status(400).json({ success: false, message: "Bracket does not belong to this event" });
+            }
+        }
+
         // Lookup bracket_id if not provided
         // For manual matches, we can create matches even without a bracket
         // We'll use the first available bracket or create a placeholder reference
@@ -762,6 +1186,8 @@ if (error) {
     throw error;
 }
 
+publishMatchChange(MATCH_CREATED, data);
+
 return res.status(201).json({ success: true, match: data });
 
 } catch (error) {
@@ -771,9 +1197,14 @@ return res.status(500).json({ success: false, message: "Failed to create match"
 };
 
 // Update Match Score & Status
+// score: { player1, player2 } or games / sets { format?, sets: [{ player1, player2 }] } (utils/scoring.js)
+// Score validation and the winner follow the event's sport rules (utils/sportRules.js)
+// resultType: WALKOVER | RETIRED | DISQUALIFIED | DOUBLE_NO_SHOW (+ resultReason) completes the
+// match without a finished score (utils/matchResult.js); winner is then the player id
+// Every change is logged to the match timeline (services/matchEventService.js); note is kept with it
 export const updateMatchScore = async (req, res) => {
 const { matchId } = req.params;
-const { score, status, winner } = req.body;
+const { score, status, winner, resultType, resultReason, note } = req.body;
 
 try {
 // Fetch current match to get player data
@@ -787,31 +1218,58 @@ const updatePayload = {
 updated_at: new Date().toISOString()
 };
 
-if (score) updatePayload.score = score;
-if (status) updatePayload.status = status;
-if (winner !== undefined) updatePayload.winner = winner;
+const sportRules = await getEventSportRules(currentMatch.event_id);
+
+const special = resultType && resultType !== NORMAL
+    ? resolveSpecialResult({ resultType, winner, score, reason: resultReason }, currentMatch, sportRules)
+    : null;
+
+if (special?.error) {
+    return res.status(400).json({ success: false, message: special.error, code: special.code });
+}
+
+if (special) {
+    Object.assign(updatePayload, special.update);
+} else if (score) {
+    // Games may still be in progress unless the match is being completed
+    const { score: normalizedScore, error: scoreError } = normalizeSportScore(sportRules, score, { final: status === 'COMPLETED' });
+    if (scoreError) {
+        return res.status(400).json({ success: false, message: `Invalid score: ${scoreError}`, code: "INVALID_SCORE" });
+    }
+    updatePayload.score = normalizedScore;
+}
+if (status && !special) updatePayload.status = status;
+if (winner !== undefined && !special) updatePayload.winner = winner;
+
+// A played result replaces any earlier walkover / retirement
+if (status === 'COMPLETED' && !special) {
+    updatePayload.result_type = NORMAL;
+    updatePayload.result_reason = null;
+}
 
 // IMPORTANT: Do NOT auto-calculate winner or auto-set status on score update
 // Winners are calculated ONLY during finalization (finalizeRoundMatches endpoint)
 // This allows admin to freely edit scores without premature locking
 
 // Only calculate winner if status is explicitly set to COMPLETED (for backward compatibility)
-if (status === 'COMPLETED' && !updatePayload.winner) {
-    const finalScore = score || currentMatch.score;
+if (status === 'COMPLETED' && !special && !updatePayload.winner) {
+    const finalScore = updatePayload.score || currentMatch.score;
     if (finalScore) {
-        const p1Score = parseInt(finalScore.player1 || finalScore.player_a || 0);
-        const p2Score = parseInt(finalScore.player2 || finalScore.player_b || 0);
+        // Games won for games / sets scores, points for integer scores; level => draw
+        // in league-style rounds when the sport allows it, otherwise the winner must be given
+        const { side, error: winnerError } = decideWinner(sportRules, finalScore, {
+            leagueStyle: isLeagueStyleRound(currentMatch.round_name)
+        });
+        if (winnerError) {
+            return res.status(400).json({ success: false, message: winnerError, code: "DRAW_NOT_ALLOWED" });
+        }
 
-        if (p1Score > p2Score) {
+        if (side === 'player1') {
             updatePayload.winner = currentMatch.player_a?.id || currentMatch.player_a;
-        } else if (p2Score > p1Score) {
+        } else if (side === 'player2') {
             updatePayload.winner = currentMatch.player_b?.id || currentMatch.player_b;
         } else {
-            // Draw - set winner to null (or keep as player_a for backward compatibility with knockout)
-            // For league matches, null indicates a draw
-            // For knockout matches, we default to player_a (first player advances)
-            const isLeagueMatch = currentMatch.round_name === 'LEAGUE';
-            updatePayload.winner = isLeagueMatch ? null : (currentMatch.player_a?.id || currentMatch.player_a);
+            updatePayload.winner = null;
         }
     }
 }
@@ -825,7 +1283,30 @@ const { data, error } = await supabaseAdmin
 
 if (error) throw error;
 
-return res.status(200).json({ success: true, match: data });
+await recordMatchEvent({ before: currentMatch, after: data, type: SCORE_UPDATE, actorId: req.user?.id || null, note });
+
+publishMatchChange(MATCH_UPDATED, data);
+
+// Last group match completed => knockout bracket is seeded from the group standings
+const knockout = data.status === 'COMPLETED' && isGroupRoundName(data.round_name)
+    ? await trySeedKnockoutFromGroups(data.event_id, data.category_id)
+    : null;
+
+// Knockout result => bracket advances and the next scoreboard match is created
+const advancement = data.status === 'COMPLETED' && !isLeagueStyleRound(data.round_name)
+    ? await tryAdvanceBrackets([data])
+    : null;
+
+// Finished later than planned => rest of the event is re-planned (schedule autoReplan)
+const schedule = await replanIfLate(data);
+
+return res.status(200).json({
+    success: true,
+    match: data,
+    ...(knockout?.bracket && !knockout.code ? { knockout } : {}),
+    ...(advancement ? { advancement } : {}),
+    ...(schedule ? { schedule } : {})
+});
 
 } catch (error) {
 console.error("Update Score Error:", error);
@@ -893,40 +1374,70 @@ export const finalizeRoundMatches = async (req, res) => {
             }
         }
 
+        const sportRules = await getEventSportRules(eventId);
+
         // Process all matches in a transaction-like manner
+        // Each entry: { matchId, score, winner?, resultType?, reason? } - winner (a player id) settles a
+        // level knockout score and names the winner of a walkover / retirement / disqualification
         const updates = [];
         for (const matchData of matches) {
             const existingMatch = existingMatches.find(m => m.id === matchData.matchId);
             if (!existingMatch) continue;
 
-            const score = matchData.score;
-            const p1Score = parseInt(score.player1 || 0);
-            const p2Score = parseInt(score.player2 || 0);
+            if (matchData.resultType && matchData.resultType !== NORMAL) {
+                const { update, error: resultError, code } = resolveSpecialResult(
+                    { resultType: matchData.resultType, winner: matchData.winner, score: matchData.score, reason: matchData.reason },
+                    existingMatch,
+                    sportRules
+                );
+                if (resultError) {
+                    return res.status(400).json({ success: false, message: `Match ${matchData.matchId}: ${resultError}`, code });
+                }
+                updates.push({ id: matchData.matchId, ...update, updated_at: new Date().toISOString() });
+                continue;
+            }
 
-            // Validate scores
-            if (isNaN(p1Score) || isNaN(p2Score) || p1Score < 0 || p2Score < 0) {
+            // Validate scores (integer or games / sets under the sport's format; games must be finished)
+            const { score, error: scoreError } = normalizeSportScore(sportRules, matchData.score, { final: true });
+            if (scoreError) {
                 return res.status(400).json({ 
                     success: false, 
-                    message: `Invalid scores for match ${matchData.matchId}` 
+                    message: `Invalid scores for match ${matchData.matchId}: ${scoreError}`,
+                    code: "INVALID_SCORE"
                 });
             }
 
             // Calculate winner
+            const playerAId = existingMatch.player_a?.id || existingMatch.player_a;
+            const playerBId = existingMatch.player_b?.id || existingMatch.player_b;
+            const { side, error: winnerError } = decideWinner(sportRules, score, {
+                leagueStyle: isLeagueStyleRound(existingMatch.round_name)
+            });
+
             let winner = null;
-            if (p1Score > p2Score) {
-                winner = existingMatch.player_a?.id || existingMatch.player_a;
-            } else if (p2Score > p1Score) {
-                winner = existingMatch.player_b?.id || existingMatch.player_b;
-            } else {
-                // Draw - default to player_a
-                winner = existingMatch.player_a?.id || existingMatch.player_a;
+            if (side === 'player1') {
+                winner = playerAId;
+            } else if (side === 'player2') {
+                winner = playerBId;
+            } else if (winnerError) {
+                const explicitWinner = matchData.winner ? String(matchData.winner) : null;
+                if (!explicitWinner || (explicitWinner !== String(playerAId) && explicitWinner !== String(playerBId))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Match ${matchData.matchId}: ${winnerError}`,
+                        code: "DRAW_NOT_ALLOWED"
+                    });
+                }
+                winner = explicitWinner === String(playerAId) ? playerAId : playerBId;
             }
 
             updates.push({
                 id: matchData.matchId,
-                score: { player1: p1Score, player2: p2Score },
+                score,
                 winner: winner,
                 status: 'COMPLETED',
+                result_type: NORMAL,
+                result_reason: null,
                 updated_at: new Date().toISOString()
             });
         }
@@ -939,6 +1450,8 @@ export const finalizeRoundMatches = async (req, res) => {
                     score: update.score,
                     winner: update.winner,
                     status: update.status,
+                    result_type: update.result_type,
+                    result_reason: update.result_reason,
                     updated_at: update.updated_at
                 })
                 .eq('id', update.id)
@@ -948,6 +1461,18 @@ export const finalizeRoundMatches = async (req, res) => {
 
         const results = await Promise.all(updatePromises);
         const errors = results.filter(r => r.error);
+
+        // Timeline + spectators get every match that was saved, even if others failed
+        for (const r of results) {
+            if (!r.data) continue;
+            await recordMatchEvent({
+                before: existingMatches.find(m => m.id === r.data.id),
+                after: r.data,
+                type: FINALIZE,
+                actorId: req.user?.id || null
+            });
+            publishMatchChange(MATCH_UPDATED, r.data);
+        }
         
         if (errors.length > 0) {
             console.error("Finalize matches errors:", errors);
@@ -958,11 +1483,31 @@ export const finalizeRoundMatches = async (req, res) => {
             });
         }
 
+        // Finalizing the last group round seeds the knockout bracket
+        const knockout = isGroupRoundName(roundName)
+            ? await trySeedKnockoutFromGroups(eventId, categoryId || existingMatches[0]?.category_id)
+            : null;
+
+        // Knockout rounds: winners advance in the bracket right away
+        const advancement = !isLeagueStyleRound(roundName)
+            ? await tryAdvanceBrackets(results.map(r => r.data).filter(Boolean))
+            : null;
+
+        // One late match is enough to re-plan the rest of the event
+        let schedule = null;
+        for (const r of results) {
+            schedule = r.data ? await replanIfLate(r.data) : null;
+            if (schedule) break;
+        }
+
         return res.status(200).json({ 
             success: true, 
             message: `Successfully finalized ${updates.length} match(es)`,
             finalizedCount: updates.length,
-            matches: results.map(r => r.data).filter(Boolean)
+            matches: results.map(r => r.data).filter(Boolean),
+            ...(knockout?.bracket && !knockout.code ? { knockout } : {}),
+            ...(advancement ? { advancement } : {}),
+            ...(schedule ? { schedule } : {})
         });
 
     } catch (error) {
@@ -1018,6 +1563,8 @@ export const deleteMatch = async (req, res) => {
             });
         }
 
+        publishMatchChange(MATCH_DELETED, data[0]);
+
         return res.status(200).json({ 
             success: true, 
             message: "Match deleted successfully",
@@ -1135,6 +1682,7 @@ export const deleteCategoryMatches = async (req, res) => {
 export const getPublicMatches = async (req, res) => {
     const eventId = req.params.id || req.params.eventId; // Support both :id and :eventId routes
     const { categoryId, categoryName, roundName, round_name } = req.query;
+    const matchday = parseMatchday(req.query.matchday);
 
     if (!eventId) {
         return res.status(400).json({ 
@@ -1144,6 +1692,10 @@ export const getPublicMatches = async (req, res) => {
         });
     }
 
+    if (matchday === null) {
+        return res.status(400).json({ success: false, message: "matchday must be a positive integer" });
+    }
+
     // 🔒 LEAGUE GOLDEN RULE: For LEAGUE matches, category_id is mandatory and exact
     // No bracket lookup. No label guessing. No partial matching.
     const isLeagueRequest = roundName === 'LEAGUE' || round_name === 'LEAGUE';
@@ -1153,12 +1705,19 @@ export const getPublicMatches = async (req, res) => {
         // Query Supabase directly with exact filters - DO NOT fetch all matches first
         // This eliminates all contamination from matches with wrong/null category_id
         if (isLeagueRequest && categoryId) {
-            const { data: leagueMatches, error: leagueError } = await supabaseAdmin
+            let leagueQuery = supabaseAdmin
                 .from('matches')
-                .select('id, round_name, player_a, player_b, score, status, winner, updated_at, category_id, event_id')
+                .select('id, round_name, matchday, court, scheduled_at, player_a, player_b, score, status, winner, result_type, result_reason, updated_at, category_id, event_id')
                 .eq('event_id', eventId)
                 .eq('round_name', 'LEAGUE')
-                .eq('category_id', categoryId)
+                .eq('category_id', categoryId);
+
+            if (matchday) {
+                leagueQuery = leagueQuery.eq('matchday', matchday);
+            }
+
+            const { data: leagueMatches, error: leagueError } = await leagueQuery
+                .order('matchday', { ascending: true })
                 .order('match_index', { ascending: true });
 
             if (leagueError) {
@@ -1174,11 +1733,15 @@ export const getPublicMatches = async (req, res) => {
         // For non-LEAGUE requests, fetch all matches (existing logic for knockout brackets)
         let query = supabaseAdmin
             .from('matches')
-            .select('id, round_name, player_a, player_b, score, status, winner, updated_at, category_id, event_id')
+            .select('id, round_name, matchday, court, scheduled_at, player_a, player_b, score, status, winner, result_type, result_reason, updated_at, category_id, event_id')
             .eq('event_id', eventId)
             .order('round_name', { ascending: true })
             .order('match_index', { ascending: true });
 
+        if (matchday) {
+            query = query.eq('matchday', matchday);
+        }
+
         const { data: allMatches, error: queryError } = await query;
 
         if (queryError) {
@@ -1382,6 +1945,11 @@ export const getPublicMatches = async (req, res) => {
 export const getMatches = async (req, res) => {
     const { eventId } = req.params;
     const { categoryId, categoryName, roundName } = req.query;
+    const matchday = parseMatchday(req.query.matchday);
+
+    if (matchday === null) {
+        return res.status(400).json({ success: false, message: "matchday must be a positive integer" });
+    }
 
     try {
         // Start with base query - fetch all matches for event first
@@ -1413,6 +1981,11 @@ export const getMatches = async (req, res) => {
             query = query.eq('round_name', roundName);
         }
 
+        // Matchday of league / group fixtures
+        if (matchday) {
+            query = query.eq('matchday', matchday);
+        }
+
         // Also try categoryName if provided (treat as category_id)
         if (categoryName && !categoryFilterApplied) {
             try {
@@ -1470,6 +2043,10 @@ export const getMatches = async (req, res) => {
                     return String(matchRoundName).trim() === String(roundName).trim();
                 });
             }
+
+            if (matchday) {
+                filteredMatches = filteredMatches.filter(m => m.matchday === matchday);
+            }
             
             return res.status(200).json({ success: true, matches: filteredMatches });
         }
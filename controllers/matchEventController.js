@@ -0,0 +1,143 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { addPoint } from "../utils/scoring.js";
+import { normalizeSportScore } from "../utils/sportRules.js";
+import { isGroupRoundName } from "../utils/groupStage.js";
+import { isSwissRoundName } from "../utils/swiss.js";
+import { getEventSportRules } from "../services/sportRulesService.js";
+import { getMatchTimeline, POINT, recordMatchEvent, undoLastMatchEvent } from "../services/matchEventService.js";
+import { MATCH_UPDATED, publishMatchChange } from "../services/liveScoreBus.js";
+
+const SIDES = ["player1", "player2"];
+
+// League, Swiss and group rounds have no bracket to advance (see matchController)
+const isKnockoutRound = (roundName) =>
+    !(roundName === "LEAGUE" || isSwissRoundName(roundName) || isGroupRoundName(roundName));
+
+const fetchMatch = async (matchId) => {
+    const { data, error } = await supabaseAdmin
+        .from("matches")
+        .select("*")
+        .eq("id", matchId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+};
+
+/**
+ * Match timeline (score history)
+ * GET /api/admin/matches/:matchId/timeline
+ */
+export const getMatchEvents = async (req, res) => {
+    const { matchId } = req.params;
+
+    try {
+        const match = await fetchMatch(matchId);
+        if (!match) {
+            return res.status(404).json({ success: false, message: "Match not found" });
+        }
+
+        const events = await getMatchTimeline(matchId);
+        return res.status(200).json({ success: true, match, events });
+    } catch (error) {
+        console.error("Get Match Timeline Error:", error);
+        return res.status(500).json({ success: false, message: "Failed to fetch match timeline" });
+    }
+};
+
+/**
+ * Record one point while the match is being played
+ * POST /api/admin/matches/:matchId/events
+ * Body: { side: "player1" | "player2", note? }
+ * The point goes to the game in progress (a new game starts once the last one is won
+ * under the sport's format); integer scores go up by one.
+ */
+export const addMatchPoint = async (req, res) => {
+    const { matchId } = req.params;
+    const { side, note } = req.body || {};
+
+    if (!SIDES.includes(side)) {
+        return res.status(400).json({ success: false, message: "side must be player1 or player2", code: "INVALID_SIDE" });
+    }
+
+    try {
+        const match = await fetchMatch(matchId);
+        if (!match) {
+            return res.status(404).json({ success: false, message: "Match not found" });
+        }
+        if (match.status === "COMPLETED") {
+            return res.status(400).json({ success: false, message: "Match is already completed", code: "MATCH_COMPLETED" });
+        }
+
+        const sportRules = await getEventSportRules(match.event_id);
+        const { score, error: scoreError } = normalizeSportScore(sportRules, addPoint(match.score, side, sportRules.scoreFormat));
+        if (scoreError) {
+            return res.status(400).json({ success: false, message: `Invalid score: ${scoreError}`, code: "INVALID_SCORE" });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("matches")
+            .update({ score, updated_at: new Date().toISOString() })
+            .eq("id", matchId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const event = await recordMatchEvent({
+            before: match,
+            after: data,
+            type: POINT,
+            actorId: req.user?.id || null,
+            note,
+            detail: { side, game: Array.isArray(score.sets) ? score.sets.length : null }
+        });
+
+        publishMatchChange(MATCH_UPDATED, data);
+
+        return res.status(201).json({ success: true, match: data, event });
+    } catch (error) {
+        console.error("Add Match Point Error:", error);
+        return res.status(500).json({ success: false, message: "Failed to record point" });
+    }
+};
+
+/**
+ * Undo the last change to a match (point, score update or finalization)
+ * POST /api/admin/matches/:matchId/events/undo
+ * Body: { note? }
+ */
+export const undoMatchEvent = async (req, res) => {
+    const { matchId } = req.params;
+
+    try {
+        const match = await fetchMatch(matchId);
+        if (!match) {
+            return res.status(404).json({ success: false, message: "Match not found" });
+        }
+
+        const result = await undoLastMatchEvent(match, {
+            actorId: req.user?.id || null,
+            note: req.body?.note,
+            isKnockout: isKnockoutRound(match.round_name)
+        });
+
+        if (!result.success) {
+            const status = result.code === "NOTHING_TO_UNDO" ? 404 : 409;
+            return res.status(status).json({ success: false, message: result.message, code: result.code });
+        }
+
+        publishMatchChange(MATCH_UPDATED, result.match);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            match: result.match,
+            undone: result.undone,
+            event: result.event
+        });
+    } catch (error) {
+        console.error("Undo Match Event Error:", error);
+        return res.status(500).json({ success: false, message: "Failed to undo match change" });
+    }
+};
@@ -1,5 +1,8 @@
 import jwt from "jsonwebtoken";
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { checkUserPassword } from "../services/passwordService.js";
+import { revokeUserSessions } from "../services/sessionService.js";
+import { checkPasswordPolicy, hashPassword, omitPassword } from "../utils/password.js";
 import { uploadBase64 } from "../utils/uploadHelper.js";
 
 // GET /api/player/dashboard
@@ -61,7 +64,7 @@ export const getPlayerDashboard = async (req, res) => {
             return { ...reg, transactions: txn || null, team_details: teamDetails };
         }));
 
-        res.json({ success: true, player, registrations: detailedRegistrations, familyMembers: familyMembers || [] });
+        res.json({ success: true, player: omitPassword(player), registrations: detailedRegistrations, familyMembers: familyMembers || [] });
 
     } catch (err) {
         console.error("DASHBOARD ERROR:", err);
@@ -92,8 +95,8 @@ export const checkPassword = async (req, res) => {
     try {
         const { currentPassword } = req.body;
         if (!currentPassword) return res.status(400).json({ message: "Password required" });
-        const { data: user } = await supabaseAdmin.from("users").select("password").eq("id", req.user.id).single();
-        if (!user || user.password !== currentPassword) return res.status(401).json({ correct: false, message: "Incorrect password" });
+        const { data: user } = await supabaseAdmin.from("users").select("id, password").eq("id", req.user.id).single();
+        if (!user || !(await checkUserPassword(user, currentPassword))) return res.status(401).json({ correct: false, message: "Incorrect password" });
         res.json({ correct: true });
     } catch (err) { res.status(500).json({ message: "Server error" }); }
 };
@@ -149,7 +152,7 @@ export const updateProfile = async (req, res) => {
         const { data: updatedPlayer, error } = await supabaseAdmin.from("users").update(updates).eq("id", userId).select();
         if (error) throw error;
 
-        res.json({ success: true, player: updatedPlayer?.[0] || updates, message: "Profile updated" });
+        res.json({ success: true, player: omitPassword(updatedPlayer?.[0]) || updates, message: "Profile updated" });
 
     } catch (err) {
         console.error("UPDATE ERROR:", err);
@@ -162,6 +165,8 @@ export const changePassword = async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
         if (!currentPassword || !newPassword) return res.status(400).json({ message: "All fields required" });
+        const policyError = checkPasswordPolicy(newPassword);
+        if (policyError) return res.status(400).json({ code: "WEAK_PASSWORD", message: policyError });
 
         const token = req.headers['x-verification-token'];
         if (!token) return res.status(403).json({ message: "Verification required", requiresVerification: true });
@@ -170,11 +175,14 @@ export const changePassword = async (req, res) => {
             if (decoded.id !== req.user.id || decoded.type !== 'verification') throw new Error();
         } catch (e) { return res.status(403).json({ message: "Invalid token" }); }
 
-        const { data: user } = await supabaseAdmin.from("users").select("password").eq("id", req.user.id).single();
-        if (user.password !== currentPassword) return res.status(401).json({ message: "Incorrect current password" });
+        const { data: user } = await supabaseAdmin.from("users").select("id, password").eq("id", req.user.id).single();
+        if (!user || !(await checkUserPassword(user, currentPassword))) return res.status(401).json({ message: "Incorrect current password" });
 
-        const { error } = await supabaseAdmin.from("users").update({ password: newPassword }).eq("id", req.user.id);
+        const { error } = await supabaseAdmin.from("users").update({ password: await hashPassword(newPassword) }).eq("id", req.user.id);
         if (error) throw error;
+
+        // Other devices are signed out; this one keeps its session
+        await revokeUserSessions(req.user.id, { exceptSessionId: req.user.sid });
         res.json({ success: true, message: "Password updated" });
     } catch (err) { res.status(500).json({ message: "Failed to change password" }); }
 };
@@ -183,6 +191,7 @@ export const changePassword = async (req, res) => {
 export const deleteAccount = async (req, res) => {
     try {
         const userId = req.user.id;
+        await revokeUserSessions(userId);
         await supabaseAdmin.from("player_school_details").delete().eq("player_id", userId);
         await supabaseAdmin.from("event_registrations").delete().eq("player_id", userId);
         await supabaseAdmin.from("transactions").delete().eq("user_id", userId);
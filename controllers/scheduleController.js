@@ -0,0 +1,228 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getMatchDuration, normalizeScheduleConfig } from "../utils/scheduler.js";
+import { getOrderOfPlay, loadSchedule, planEventSchedule } from "../services/scheduleService.js";
+import { findEventClashes } from "../services/playerClashService.js";
+import { MATCH_UPDATED, publishMatchChange } from "../services/liveScoreBus.js";
+
+/**
+ * GET schedule config (courts, sessions, durations, rest time)
+ * GET /api/admin/events/:id/schedule
+ */
+export const getScheduleConfig = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const schedule = await loadSchedule(eventId);
+
+        return res.json({
+            success: true,
+            schedule: schedule || null,
+            configured: !!schedule
+        });
+    } catch (err) {
+        console.error("GET SCHEDULE CONFIG ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch schedule config" });
+    }
+};
+
+/**
+ * Save schedule config (create or replace)
+ * POST /api/admin/events/:id/schedule
+ * Body: { courts, sessions, utcOffset?, defaultDuration?, categoryDurations?, restMinutes?, autoReplan? }
+ * (shape documented in utils/scheduler.js). Does not move any match - run the planner for that.
+ */
+export const saveScheduleConfig = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { config, error, code } = normalizeScheduleConfig(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error, code });
+        }
+
+        const existing = await loadSchedule(eventId);
+        const now = new Date().toISOString();
+
+        const { data, error: saveError } = existing
+            ? await supabaseAdmin
+                .from("event_schedules")
+                .update({ config, updated_at: now })
+                .eq("id", existing.id)
+                .select()
+                .single()
+            : await supabaseAdmin
+                .from("event_schedules")
+                .insert({ event_id: eventId, config, created_at: now, updated_at: now })
+                .select()
+                .single();
+
+        if (saveError) throw saveError;
+
+        return res.json({ success: true, message: "Schedule config saved", schedule: data });
+    } catch (err) {
+        console.error("SAVE SCHEDULE CONFIG ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to save schedule config" });
+    }
+};
+
+/**
+ * Assign court + start time to every match still to be played, respecting bracket order
+ * and player rest. Call again to re-plan when matches run late.
+ * POST /api/admin/events/:id/schedule/plan
+ * Body: { from?: ISO date (default now), dryRun?: boolean }
+ */
+export const runSchedulePlanner = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { from, dryRun } = req.body || {};
+
+        const fromDate = from ? new Date(from) : new Date();
+        if (Number.isNaN(fromDate.getTime())) {
+            return res.status(400).json({ success: false, message: "from must be a valid date", code: "INVALID_FROM" });
+        }
+
+        const result = await planEventSchedule(eventId, { from: fromDate, dryRun: dryRun === true });
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        return res.json({ ...result, dryRun: dryRun === true });
+    } catch (err) {
+        console.error("PLAN SCHEDULE ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to plan schedule" });
+    }
+};
+
+/**
+ * Order of play per court
+ * GET /api/admin/events/:id/schedule/order-of-play?date=YYYY-MM-DD&court=xxx&categoryId=xxx
+ * GET /api/events/:id/order-of-play (public)
+ */
+export const getEventOrderOfPlay = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { date, court, categoryId } = req.query;
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+            return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD", code: "INVALID_DATE" });
+        }
+
+        const result = await getOrderOfPlay(eventId, {
+            date: date ? String(date) : undefined,
+            court: court ? String(court) : undefined,
+            categoryId: categoryId ? String(categoryId) : undefined
+        });
+
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        return res.json({ success: true, date: date || null, courts: result.courts });
+    } catch (err) {
+        console.error("ORDER OF PLAY ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch order of play" });
+    }
+};
+
+/**
+ * Player clash report: anyone (doubles partners included) booked in overlapping matches
+ * or without the configured rest time
+ * GET /api/admin/events/:id/schedule/clashes?date=YYYY-MM-DD&restMinutes=N
+ */
+export const getScheduleClashes = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { date, restMinutes } = req.query;
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+            return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD", code: "INVALID_DATE" });
+        }
+        const rest = restMinutes === undefined || restMinutes === "" ? undefined : Number(restMinutes);
+        if (rest !== undefined && (!Number.isInteger(rest) || rest < 0)) {
+            return res.status(400).json({ success: false, message: "restMinutes must be a non-negative integer", code: "INVALID_REST" });
+        }
+
+        const report = await findEventClashes(eventId, { date: date ? String(date) : undefined, restMinutes: rest });
+        return res.json({ success: true, ...report });
+    } catch (err) {
+        console.error("SCHEDULE CLASHES ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to check player clashes" });
+    }
+};
+
+/**
+ * Schedule or move one match
+ * PUT /api/admin/matches/:matchId/schedule
+ * Body: { court, scheduledAt (ISO, null to unschedule), durationMinutes?, force? }
+ * Rejected with 409 PLAYER_CLASH when a player would be double-booked or short of rest,
+ * unless force = true (the clashes are still returned).
+ */
+export const updateMatchSchedule = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const { court, scheduledAt, durationMinutes, force } = req.body || {};
+
+        const { data: match, error: fetchError } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .eq("id", matchId)
+            .maybeSingle();
+
+        if (fetchError && fetchError.code !== "PGRST116") throw fetchError;
+        if (!match) {
+            return res.status(404).json({ success: false, message: "Match not found" });
+        }
+
+        const start = scheduledAt ? new Date(scheduledAt) : null;
+        if (scheduledAt && Number.isNaN(start.getTime())) {
+            return res.status(400).json({ success: false, message: "scheduledAt must be a valid date", code: "INVALID_SCHEDULED_AT" });
+        }
+        if (start && !court) {
+            return res.status(400).json({ success: false, message: "court is required to schedule a match", code: "INVALID_COURT" });
+        }
+        const duration = durationMinutes === undefined || durationMinutes === null ? null : Number(durationMinutes);
+        if (duration !== null && (!Number.isInteger(duration) || duration < 1)) {
+            return res.status(400).json({ success: false, message: "durationMinutes must be a positive integer", code: "INVALID_DURATION" });
+        }
+
+        const schedule = await loadSchedule(match.event_id);
+        const { config } = normalizeScheduleConfig(schedule?.config);
+        if (start && config && !config.courts.some((c) => c.id === String(court))) {
+            return res.status(400).json({ success: false, message: `Unknown court "${court}"`, code: "INVALID_COURT" });
+        }
+
+        const slot = {
+            court: start ? String(court) : null,
+            scheduled_at: start ? start.toISOString() : null,
+            duration_minutes: duration ?? match.duration_minutes ?? (config ? getMatchDuration(config, match.category_id) : null)
+        };
+
+        const { clashes } = start
+            ? await findEventClashes(match.event_id, { changes: [{ matchId: match.id, ...slot }] })
+            : { clashes: [] };
+
+        if (clashes.length > 0 && force !== true) {
+            return res.status(409).json({
+                success: false,
+                message: "A player would be double-booked or short of rest",
+                code: "PLAYER_CLASH",
+                clashes
+            });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("matches")
+            .update({ ...slot, updated_at: new Date().toISOString() })
+            .eq("id", matchId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        publishMatchChange(MATCH_UPDATED, data);
+
+        return res.json({ success: true, match: data, ...(clashes.length > 0 ? { clashes } : {}) });
+    } catch (err) {
+        console.error("UPDATE MATCH SCHEDULE ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to update match schedule" });
+    }
+};
@@ -0,0 +1,253 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { findMatchConflicts, getUmpireMatches, isEventUmpire } from "../services/umpireService.js";
+
+/**
+ * List umpires for an event with their assignments
+ * GET /api/admin/events/:id/umpires
+ */
+export const listEventUmpires = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+
+        const { data: umpires, error } = await supabaseAdmin
+            .from("event_umpires")
+            .select("*, users:user_id ( id, name, first_name, last_name, email, mobile, apartment )")
+            .eq("event_id", eventId);
+
+        if (error) throw error;
+
+        const { data: assignments, error: assignmentsError } = await supabaseAdmin
+            .from("umpire_assignments")
+            .select("*")
+            .eq("event_id", eventId);
+
+        if (assignmentsError) throw assignmentsError;
+
+        return res.json({
+            success: true,
+            umpires: (umpires || []).map((u) => ({
+                ...u,
+                assignments: (assignments || []).filter((a) => String(a.umpire_id) === String(u.user_id))
+            }))
+        });
+    } catch (err) {
+        console.error("LIST UMPIRES ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch umpires" });
+    }
+};
+
+/**
+ * Make an account an umpire for the event
+ * POST /api/admin/events/:id/umpires
+ * Body: { userId }
+ */
+export const addEventUmpire = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { userId } = req.body || {};
+
+        if (!userId) {
+            return res.status(400).json({ success: false, message: "userId is required" });
+        }
+
+        const { data: user, error: userError } = await supabaseAdmin
+            .from("users")
+            .select("id")
+            .eq("id", userId)
+            .maybeSingle();
+
+        if (userError && userError.code !== "PGRST116") throw userError;
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+
+        if (await isEventUmpire(eventId, userId)) {
+            return res.json({ success: true, message: "Already an umpire for this event" });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("event_umpires")
+            .insert({ event_id: eventId, user_id: userId, created_by: req.user?.id || null, created_at: new Date().toISOString() })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return res.status(201).json({ success: true, message: "Umpire added", umpire: data });
+    } catch (err) {
+        console.error("ADD UMPIRE ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to add umpire" });
+    }
+};
+
+/**
+ * Remove an umpire (and their assignments) from the event
+ * DELETE /api/admin/events/:id/umpires/:userId
+ */
+export const removeEventUmpire = async (req, res) => {
+    try {
+        const { id: eventId, userId } = req.params;
+
+        const { error: assignmentsError } = await supabaseAdmin
+            .from("umpire_assignments")
+            .delete()
+            .eq("event_id", eventId)
+            .eq("umpire_id", userId);
+
+        if (assignmentsError) throw assignmentsError;
+
+        const { error } = await supabaseAdmin
+            .from("event_umpires")
+            .delete()
+            .eq("event_id", eventId)
+            .eq("user_id", userId);
+
+        if (error) throw error;
+
+        return res.json({ success: true, message: "Umpire removed" });
+    } catch (err) {
+        console.error("REMOVE UMPIRE ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to remove umpire" });
+    }
+};
+
+/**
+ * Assign an umpire to a match or a court
+ * POST /api/admin/events/:id/umpires/:userId/assignments
+ * Body: { matchId } or { court }, force?
+ * - Match: rejected with 409 UMPIRE_CONFLICT when a player is the umpire, shares their
+ *   apartment or is family, unless force = true
+ * - Court: covers every match on that court except conflicting ones (listed as excludedMatches)
+ */
+export const assignUmpire = async (req, res) => {
+    try {
+        const { id: eventId, userId } = req.params;
+        const { matchId, court, force } = req.body || {};
+
+        if (!matchId === !court) {
+            return res.status(400).json({ success: false, message: "Provide either matchId or court", code: "INVALID_ASSIGNMENT" });
+        }
+
+        if (!(await isEventUmpire(eventId, userId))) {
+            return res.status(404).json({ success: false, message: "Not an umpire for this event - add them first", code: "UMPIRE_NOT_FOUND" });
+        }
+
+        let existingQuery = supabaseAdmin
+            .from("umpire_assignments")
+            .select("id")
+            .eq("event_id", eventId)
+            .eq("umpire_id", userId);
+        existingQuery = matchId ? existingQuery.eq("match_id", matchId) : existingQuery.eq("court", String(court)).is("match_id", null);
+
+        const { data: existing, error: existingError } = await existingQuery.maybeSingle();
+        if (existingError && existingError.code !== "PGRST116") throw existingError;
+        if (existing) {
+            return res.json({ success: true, message: "Already assigned", assignment: existing });
+        }
+
+        let excludedMatches = [];
+        if (matchId) {
+            const { data: match, error: matchError } = await supabaseAdmin
+                .from("matches")
+                .select("*")
+                .eq("id", matchId)
+                .eq("event_id", eventId)
+                .maybeSingle();
+
+            if (matchError && matchError.code !== "PGRST116") throw matchError;
+            if (!match) {
+                return res.status(404).json({ success: false, message: "Match not found in this event" });
+            }
+
+            const conflicts = (await findMatchConflicts(userId, [match])).get(String(match.id));
+            if (conflicts.length > 0 && force !== true) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Umpire has a conflict of interest with this match",
+                    code: "UMPIRE_CONFLICT",
+                    conflicts
+                });
+            }
+        } else {
+            const { data: courtMatches, error: courtError } = await supabaseAdmin
+                .from("matches")
+                .select("*")
+                .eq("event_id", eventId)
+                .eq("court", String(court))
+                .neq("status", "COMPLETED");
+
+            if (courtError) throw courtError;
+
+            const conflicts = await findMatchConflicts(userId, courtMatches || []);
+            excludedMatches = (courtMatches || [])
+                .filter((m) => conflicts.get(String(m.id)).length > 0)
+                .map((m) => ({ matchId: m.id, round_name: m.round_name, conflicts: conflicts.get(String(m.id)) }));
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from("umpire_assignments")
+            .insert({
+                event_id: eventId,
+                umpire_id: userId,
+                match_id: matchId || null,
+                court: matchId ? null : String(court),
+                assigned_by: req.user?.id || null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return res.status(201).json({
+            success: true,
+            message: "Umpire assigned",
+            assignment: data,
+            ...(excludedMatches.length > 0 ? { excludedMatches } : {})
+        });
+    } catch (err) {
+        console.error("ASSIGN UMPIRE ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to assign umpire" });
+    }
+};
+
+/**
+ * Remove one assignment
+ * DELETE /api/admin/events/:id/umpire-assignments/:assignmentId
+ */
+export const removeUmpireAssignment = async (req, res) => {
+    try {
+        const { id: eventId, assignmentId } = req.params;
+
+        const { error } = await supabaseAdmin
+            .from("umpire_assignments")
+            .delete()
+            .eq("id", assignmentId)
+            .eq("event_id", eventId);
+
+        if (error) throw error;
+
+        return res.json({ success: true, message: "Assignment removed" });
+    } catch (err) {
+        console.error("REMOVE UMPIRE ASSIGNMENT ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to remove assignment" });
+    }
+};
+
+/**
+ * Matches the signed-in umpire officiates (direct and court assignments), by start time
+ * GET /api/umpire/matches?eventId=xxx&includeCompleted=true
+ */
+export const getMyMatches = async (req, res) => {
+    try {
+        const matches = await getUmpireMatches(req.user.id, {
+            eventId: req.query.eventId ? String(req.query.eventId) : undefined,
+            includeCompleted: req.query.includeCompleted === "true"
+        });
+
+        return res.json({ success: true, matches });
+    } catch (err) {
+        console.error("UMPIRE MATCHES ERROR:", err);
+        return res.status(500).json({ success: false, message: "Failed to fetch your matches" });
+    }
+};
@@ -1,26 +1,83 @@
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
+import { isTokenRevoked } from "../services/sessionService.js";
+import { hasPermission } from "../utils/permissions.js";
 
 dotenv.config({ quiet: true });
 
-export const authenticateUser = (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
+// --------------------------------------------------------------------------
+// Authentication guard (every protected route)
+//    - Expects 'Authorization: Bearer <access token>' (services/sessionService.js)
+//    - requireAuth()                                   any signed-in user
+//    - requireAuth({ roles: [PLAYER] })                one of these roles
+//    - requireAuth({ permissions: [MANAGE_ADMINS] })   every listed global permission
+//      (utils/permissions.js); event capabilities are checked afterwards by
+//      verifyEventAccess (middleware/eventAccessMiddleware.js)
+//    - Attaches req.user = { id, role, sid }
+//
+// Failures are { error, code }:
+//    401 AUTH_REQUIRED   no bearer token
+//    401 TOKEN_EXPIRED   access token expired - refresh and retry
+//    401 TOKEN_INVALID   bad signature / malformed / not an access token
+//    401 SESSION_REVOKED logout, password change / reset, rejected or removed account
+//    403 FORBIDDEN       signed in, but the role or permission does not allow it
+//    500 AUTH_FAILED     the session could not be checked
+// The event and umpire guards after it use the same shape and codes, plus
+// 400 EVENT_ID_REQUIRED and 404 NOT_FOUND.
+// --------------------------------------------------------------------------
 
-        if (!authHeader || !authHeader.startsWith("Bearer ")) {
-            return res.status(401).json({ error: "Missing token" });
-        }
+const deny = (res, status, code, error) => res.status(status).json({ error, code });
 
-        const token = authHeader.split(" ")[1];
+const readBearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+    return authHeader.slice("Bearer ".length).trim() || null;
+};
 
-        // ✅ CORRECT: Verify using the SAME secret used in your Login route
-        // Do NOT use supabaseAdmin.auth.getUser(token) here
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+/**
+ * @param {{ roles?: string[], permissions?: string[] }} [options]
+ * @returns {import("express").RequestHandler}
+ */
+export const requireAuth = ({ roles = [], permissions = [] } = {}) => async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return deny(res, 401, "AUTH_REQUIRED", "Authentication required");
+    }
 
-        req.user = decoded;
-        next();
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === "TokenExpiredError") {
+            return deny(res, 401, "TOKEN_EXPIRED", "Session expired. Please login again.");
+        }
+        return deny(res, 401, "TOKEN_INVALID", "Invalid token");
+    }
+
+    // Purpose tokens (verification / password-reset / admin-invite) are not sessions
+    if (decoded.type || !decoded.id || !decoded.role) {
+        return deny(res, 401, "TOKEN_INVALID", "Invalid token");
+    }
+
+    try {
+        if (await isTokenRevoked(decoded)) {
+            return deny(res, 401, "SESSION_REVOKED", "Session expired. Please login again.");
+        }
     } catch (err) {
         console.error("AUTH ERROR:", err.message);
-        return res.status(403).json({ error: "Invalid token" });
+        return deny(res, 500, "AUTH_FAILED", "Failed to verify session");
+    }
+
+    const user = { id: decoded.id, role: decoded.role, sid: decoded.sid || null };
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+        return deny(res, 403, "FORBIDDEN", "Access denied: Your account cannot use this feature");
     }
-};
\ No newline at end of file
+    const missing = permissions.find((permission) => !hasPermission(user, permission));
+    if (missing) {
+        return deny(res, 403, "FORBIDDEN", `Access denied: Requires the ${missing} permission`);
+    }
+
+    req.user = user;
+    next();
+};
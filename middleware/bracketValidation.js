@@ -1,5 +1,8 @@
 import { supabaseAdmin } from "../config/supabaseClient.js";
 
+// Registration statuses that count as a confirmed entry for draws
+export const VERIFIED_REGISTRATION_STATUSES = ["verified", "paid", "confirmed", "approved"];
+
 /**
  * Middleware to validate mode locking
  * Ensures category can only be in MEDIA or BRACKET mode, not both
@@ -105,7 +108,7 @@ export const validatePlayerInCategory = async (req, res, next) => {
                     .select("player_id, categories, status")
                     .eq("event_id", eventId)
                     .in("player_id", playerIds)
-                    .in("status", ["verified", "paid", "confirmed", "approved"]);
+                    .in("status", VERIFIED_REGISTRATION_STATUSES);
 
                 if (regError) throw regError;
 
@@ -119,7 +122,7 @@ export const validatePlayerInCategory = async (req, res, next) => {
                         });
                     }
 
-                    if (!["verified", "paid", "confirmed", "approved"].includes(reg.status)) {
+                    if (!VERIFIED_REGISTRATION_STATUSES.includes(reg.status)) {
                         return res.status(400).json({ 
                             message: `Player ${playerId} registration is not verified`,
                             code: "PLAYER_NOT_VERIFIED"
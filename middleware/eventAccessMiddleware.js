@@ -0,0 +1,97 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { checkEventAccess } from "../services/eventAccessService.js";
+
+// --------------------------------------------------------------------------
+// Event-scoped authorization (after requireAuth, middleware/authMiddleware.js)
+//    - verifyEventAccess(resolveEventId, capability) lets the request through only
+//      when the admin holds the capability on the event (utils/permissions.js);
+//      without a capability any access to the event is enough
+//    - resolvers below read the event id from params, body, the :matchId's match
+//      (attached as req.match) or another row carrying event_id (attached as req.record)
+//    - a resolver may return several event ids (bulk actions); every one must pass
+//    - failures are { error, code } like requireAuth's: 400 EVENT_ID_REQUIRED,
+//      404 NOT_FOUND (event or the row it was resolved from), 403 FORBIDDEN, 500 AUTH_FAILED
+// --------------------------------------------------------------------------
+
+export const eventIdFromParams = (name = "id") => (req) => req.params[name];
+
+export const eventIdFromBody = (req) => req.body?.event_id || req.body?.eventId;
+
+export const eventIdFromMatch = async (req) => {
+    const { data: match, error } = await supabaseAdmin
+        .from("matches")
+        .select("*")
+        .eq("id", req.params.matchId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    req.match = match || null;
+    if (!match) req.missingResource = "Match";
+    return match?.event_id;
+};
+
+/**
+ * Event id of the row at table.id = req.params[param] (news items, registrations, brackets).
+ * @param {string} table
+ * @param {string} label - Used in the 404 message
+ */
+export const eventIdFromRow = (table, label, param = "id") => async (req) => {
+    const { data: record, error } = await supabaseAdmin
+        .from(table)
+        .select("*")
+        .eq("id", req.params[param])
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    req.record = record || null;
+    if (!record) req.missingResource = label;
+    return record?.event_id;
+};
+
+/**
+ * Event ids of the registrations listed in body.ids (bulk transaction updates).
+ */
+export const eventIdsFromRegistrations = async (req) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+        .from("event_registrations")
+        .select("event_id")
+        .in("id", ids);
+
+    if (error) throw error;
+    if (!data || data.length === 0) req.missingResource = "Registration";
+    return [...new Set((data || []).map((row) => String(row.event_id)))];
+};
+
+export const verifyEventAccess = (resolveEventId, capability) => async (req, res, next) => {
+    try {
+        const resolved = await resolveEventId(req);
+        const eventIds = (Array.isArray(resolved) ? resolved : [resolved]).filter(Boolean);
+        if (eventIds.length === 0) {
+            return req.missingResource
+                ? res.status(404).json({ error: `${req.missingResource} not found`, code: "NOT_FOUND" })
+                : res.status(400).json({ error: "Event ID is required", code: "EVENT_ID_REQUIRED" });
+        }
+
+        for (const eventId of eventIds) {
+            const { allowed, event, capabilities } = await checkEventAccess(req.user, eventId, capability);
+            if (!event) {
+                return res.status(404).json({ error: "Event not found", code: "NOT_FOUND" });
+            }
+            if (!allowed) {
+                return capabilities.length > 0
+                    ? res.status(403).json({ error: `Access denied: Requires the ${capability} permission for this event`, code: "FORBIDDEN" })
+                    : res.status(403).json({ error: "Access denied: You do not manage this event", code: "FORBIDDEN" });
+            }
+            req.event = event;
+            req.eventCapabilities = capabilities;
+        }
+
+        next();
+    } catch (err) {
+        console.error("EVENT ACCESS ERROR:", err.message);
+        return res.status(500).json({ error: "Failed to verify event access", code: "AUTH_FAILED" });
+    }
+};
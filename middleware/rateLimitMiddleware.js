@@ -0,0 +1,56 @@
+import { getRateLimitStore } from "../services/rateLimitStore.js";
+
+// --------------------------------------------------------------------------
+// Request rate limits (services/rateLimitStore.js)
+//    - rateLimit({ name, limit, windowMs, key }) allows `limit` requests per
+//      fixed window for each value of key(req); key defaults to the client IP
+//    - requests without a key (e.g. identifier missing from the body) are not
+//      counted here; the controller rejects them anyway
+//    - limit 1 per window is a resend cooldown
+//    - over the limit: 429 { error, code, retryAfter } plus a Retry-After header
+//
+// Client IPs come from req.ip: behind a proxy / load balancer set TRUST_PROXY
+// (server.js), or every client shares the proxy's address.
+// --------------------------------------------------------------------------
+
+export const byIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Key from the first body field present, normalised (case / surrounding spaces).
+ * @param {...string} fields
+ */
+export const byBody = (...fields) => (req) => {
+    const field = fields.find((name) => req.body?.[name]);
+    return field ? String(req.body[field]).trim().toLowerCase() : null;
+};
+
+export const byUser = (req) => req.user?.id || null;
+
+/**
+ * @param {{ name: string, limit: number, windowMs: number, key?: (req) => string | null, code?: string, message?: string }} options
+ * @returns {import("express").RequestHandler}
+ */
+export const rateLimit = ({
+    name,
+    limit,
+    windowMs,
+    key = byIp,
+    code = "RATE_LIMITED",
+    message = "Too many requests. Please try again later."
+}) => async (req, res, next) => {
+    try {
+        const value = key(req);
+        if (!value) return next();
+
+        const { count, resetAt } = await getRateLimitStore().increment(`rate:${name}:${value}`, windowMs);
+        if (count <= limit) return next();
+
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ error: message, code, retryAfter });
+    } catch (err) {
+        // A broken store must not take logins down with it
+        console.error("RATE LIMIT ERROR:", err.message);
+        next();
+    }
+};
@@ -0,0 +1,41 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { checkEventAccess } from "../services/eventAccessService.js";
+import { isMatchUmpire } from "../services/umpireService.js";
+import { ADMIN_ROLES, SCORE_MATCHES } from "../utils/permissions.js";
+
+// --------------------------------------------------------------------------
+// Umpire scoring access (after requireAuth)
+//    - Admins may score any match of an event where they hold score-matches
+//    - Anyone else must be the match's umpire (direct or court assignment,
+//      services/umpireService.js)
+//    - Attaches the match row as req.match
+//    - Failures are { error, code }: 404 NOT_FOUND, 403 FORBIDDEN, 500 AUTH_FAILED
+// --------------------------------------------------------------------------
+export const verifyMatchUmpire = async (req, res, next) => {
+    try {
+        const { data: match, error } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .eq("id", req.params.matchId)
+            .maybeSingle();
+
+        if (error && error.code !== "PGRST116") throw error;
+        if (!match) {
+            return res.status(404).json({ error: "Match not found", code: "NOT_FOUND" });
+        }
+
+        const isAdmin = ADMIN_ROLES.includes(req.user?.role);
+        const allowed = isAdmin
+            ? (await checkEventAccess(req.user, match.event_id, SCORE_MATCHES)).allowed
+            : await isMatchUmpire(req.user.id, match);
+        if (!allowed) {
+            return res.status(403).json({ error: "Access denied: You are not the umpire for this match", code: "FORBIDDEN" });
+        }
+
+        req.match = match;
+        next();
+    } catch (err) {
+        console.error("UMPIRE AUTH ERROR:", err.message);
+        return res.status(500).json({ error: "Failed to verify umpire access", code: "AUTH_FAILED" });
+    }
+};
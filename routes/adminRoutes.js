@@ -2,9 +2,13 @@ import express from "express";
 import {
     approveAdmin,
     deleteAdmin,
+    getAdminApprovalHistory,
     getDashboardStats,
+    inviteAdmin,
+    listAdminInvites,
     listAdmins,
     rejectAdmin,
+    revokeAdminInvite,
     uploadAsset
 } from "../controllers/adminController.js";
 import {
@@ -29,49 +33,73 @@ import { sendBroadcast } from "../controllers/broadcastController.js";
 import {
     getSettings, updateSettings
 } from "../controllers/settingsController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import {
+    eventIdFromBody,
+    eventIdFromRow,
+    eventIdsFromRegistrations,
+    verifyEventAccess
+} from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_ADMINS, MANAGE_DRAWS, MANAGE_NEWS, MANAGE_SETTINGS, VERIFY_PAYMENTS } from "../utils/permissions.js";
 
 const router = express.Router();
 
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+const requireAdminManager = requireAuth({ permissions: [MANAGE_ADMINS] });
+const requireSettingsManager = requireAuth({ permissions: [MANAGE_SETTINGS] });
+
+const canVerifyPayment = verifyEventAccess(eventIdFromRow("event_registrations", "Transaction"), VERIFY_PAYMENTS);
+const canVerifyPayments = verifyEventAccess(eventIdsFromRegistrations, VERIFY_PAYMENTS);
+const canPostNews = verifyEventAccess(eventIdFromBody, MANAGE_NEWS);
+const canEditNews = verifyEventAccess(eventIdFromRow("event_news", "News item"), MANAGE_NEWS);
+const canSaveBracket = verifyEventAccess(eventIdFromBody, MANAGE_DRAWS);
+const canDeleteBracket = verifyEventAccess(eventIdFromRow("event_brackets", "Bracket"), MANAGE_DRAWS);
+
 /* ================= ADMIN MANAGEMENT ================= */
-router.get("/list-admins", verifyAdmin, listAdmins);
-router.post("/approve-admin/:id", verifyAdmin, approveAdmin);
-router.post("/reject-admin/:id", verifyAdmin, rejectAdmin);
-router.delete("/delete-admin/:id", verifyAdmin, deleteAdmin);
+// Approving / inviting / removing admins needs manage-admins, changing settings manage-settings;
+// event-scoped actions below need the matching capability on the event (utils/permissions.js)
+router.get("/list-admins", requireAdmin, listAdmins);
+router.post("/approve-admin/:id", requireAdminManager, approveAdmin);
+router.post("/reject-admin/:id", requireAdminManager, rejectAdmin);
+router.delete("/delete-admin/:id", requireAdminManager, deleteAdmin);
+router.get("/admin-history", requireAdminManager, getAdminApprovalHistory); // Who approved / rejected / deleted whom
+router.get("/invites", requireAdminManager, listAdminInvites);
+router.post("/invites", requireAdminManager, inviteAdmin);
+router.delete("/invites/:id", requireAdminManager, revokeAdminInvite);
 
 /* ================= DASHBOARD ================= */
-router.get("/dashboard-stats", verifyAdmin, getDashboardStats);
-router.post("/upload", verifyAdmin, uploadAsset);
-router.post("/broadcast", verifyAdmin, sendBroadcast); // Added Route
+router.get("/dashboard-stats", requireAdmin, getDashboardStats);
+router.post("/upload", requireAdmin, uploadAsset);
+router.post("/broadcast", requireAdmin, sendBroadcast); // Added Route
 
 /* ================= PLAYER MANAGEMENT ================= */
-router.get("/players", verifyAdmin, listPlayers);
-router.get("/players/:id", verifyAdmin, getPlayerDetails);
+router.get("/players", requireAdmin, listPlayers);
+router.get("/players/:id", requireAdmin, getPlayerDetails);
 
 /* ================= SETTINGS ================= */
-router.get("/settings", verifyAdmin, getSettings);
-router.post("/settings", verifyAdmin, updateSettings);
+router.get("/settings", requireAdmin, getSettings);
+router.post("/settings", requireSettingsManager, updateSettings);
 
 /* ================= EVENT MANAGEMENT (GLOBAL) ================= */
-router.get("/all-categories", verifyAdmin, getAllCategories);
-router.get("/registrations", verifyAdmin, getRegistrations);
-router.get("/transactions", verifyAdmin, getTransactions);
+router.get("/all-categories", requireAdmin, getAllCategories);
+router.get("/registrations", requireAdmin, getRegistrations);
+router.get("/transactions", requireAdmin, getTransactions);
 
 /* ================= TRANSACTION ACTIONS ================= */
-router.put("/transactions/:id/verify", verifyAdmin, verifyTransaction);
-router.put("/transactions/:id/reject", verifyAdmin, rejectTransaction);
-router.post("/transactions/bulk-update", verifyAdmin, bulkUpdateTransactions);
+router.put("/transactions/:id/verify", requireAdmin, canVerifyPayment, verifyTransaction);
+router.put("/transactions/:id/reject", requireAdmin, canVerifyPayment, rejectTransaction);
+router.post("/transactions/bulk-update", requireAdmin, canVerifyPayments, bulkUpdateTransactions);
 
 /* ================= NEWS MANAGEMENT ================= */
-router.get("/news", verifyAdmin, getEventNews);
-router.post("/news", verifyAdmin, createEventNews);
-router.put("/news/:id", verifyAdmin, updateEventNews);
-router.delete("/news/:id", verifyAdmin, deleteEventNews);
+router.get("/news", requireAdmin, getEventNews);
+router.post("/news", requireAdmin, canPostNews, createEventNews);
+router.put("/news/:id", requireAdmin, canEditNews, updateEventNews);
+router.delete("/news/:id", requireAdmin, canEditNews, deleteEventNews);
 
 /* ================= BRACKETS MANAGEMENT ================= */
-router.get("/brackets", verifyAdmin, getBrackets);
-router.post("/brackets", verifyAdmin, saveBracket);
-router.delete("/brackets/:id", verifyAdmin, deleteBracket); // Fixed to use param
+router.get("/brackets", requireAdmin, getBrackets);
+router.post("/brackets", requireAdmin, canSaveBracket, saveBracket);
+router.delete("/brackets/:id", requireAdmin, canDeleteBracket, deleteBracket); // Fixed to use param
 // Cleaned up the confusing DELETE /brackets without ID from old code
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,16 @@
 import express from "express";
 import { createAdvertisement, deleteAdvertisement, getAdvertisements, toggleAdvertisement, updateAdvertisement } from "../controllers/advertisementController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { ADMIN_ROLES } from "../utils/permissions.js";
 
 const router = express.Router();
 
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
 router.get("/", getAdvertisements);
-router.post("/", verifyAdmin, createAdvertisement);
-router.put("/:id", verifyAdmin, updateAdvertisement);
-router.delete("/:id", verifyAdmin, deleteAdvertisement);
-router.patch("/:id/toggle", verifyAdmin, toggleAdvertisement);
+router.post("/", requireAdmin, createAdvertisement);
+router.put("/:id", requireAdmin, updateAdvertisement);
+router.delete("/:id", requireAdmin, deleteAdvertisement);
+router.patch("/:id/toggle", requireAdmin, toggleAdvertisement);
 
 export default router;
@@ -1,45 +1,80 @@
 import express from "express";
 import {
     checkUserConflict,
+    forgotPassword,
+    getAdminInvite,
     getCurrentUser,
     loginAdmin,
     loginPlayer,
+    logout,
+    logoutAllDevices,
     reapplyGoogleAdmin,
+    refreshToken,
     registerAdmin,
     registerPlayer,
+    resetPassword,
     sendMobileRegistrationOtp,
     sendRegistrationOtp,
     sendVerificationOtp,
     verifyMobileRegistrationOtp,
     verifyRegistrationOtp,
+    verifyResetOtp,
     verifyVerificationOtp
 } from "../controllers/authController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { byBody, byUser, rateLimit } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
+const requireSignIn = requireAuth();
+
+const MINUTE = 60 * 1000;
+
+// Per client IP (SMS / email credits, OTP and password guessing)
+const otpSendsPerIp = rateLimit({ name: "otp-send-ip", limit: 10, windowMs: 15 * MINUTE });
+const otpChecksPerIp = rateLimit({ name: "otp-verify-ip", limit: 30, windowMs: 15 * MINUTE });
+const loginsPerIp = rateLimit({ name: "login-ip", limit: 30, windowMs: 15 * MINUTE });
+
+// Per destination / identifier: one OTP a minute, five an hour
+const otpCooldown = (name, key) => [
+    rateLimit({ name: `${name}-cooldown`, limit: 1, windowMs: MINUTE, key, code: "OTP_COOLDOWN", message: "Please wait a minute before requesting another code." }),
+    rateLimit({ name: `${name}-hourly`, limit: 5, windowMs: 60 * MINUTE, key })
+];
+// Wrong passwords also back off / lock per account (services/loginThrottleService.js)
+const loginsPerIdentifier = (field) => rateLimit({ name: "login-identifier", limit: 20, windowMs: 15 * MINUTE, key: byBody(field) });
+
 /* ================= SECURITY VERIFICATION ================= */
-router.post("/send-verification-otp", sendVerificationOtp);
-router.post("/verify-verification-otp", verifyVerificationOtp);
+router.post("/send-verification-otp", requireSignIn, otpSendsPerIp, otpCooldown("verification-otp", byUser), sendVerificationOtp);
+router.post("/verify-verification-otp", requireSignIn, otpChecksPerIp, verifyVerificationOtp);
 
 /* ================= OTP ROUTES (REGISTRATION) ================= */
-router.post("/send-otp", sendRegistrationOtp);
-router.post("/verify-otp", verifyRegistrationOtp);
-router.post("/send-mobile-otp", sendMobileRegistrationOtp);
-router.post("/verify-mobile-otp", verifyMobileRegistrationOtp);
+router.post("/send-otp", otpSendsPerIp, otpCooldown("email-otp", byBody("email")), sendRegistrationOtp);
+router.post("/verify-otp", otpChecksPerIp, verifyRegistrationOtp);
+router.post("/send-mobile-otp", otpSendsPerIp, otpCooldown("mobile-otp", byBody("mobile")), sendMobileRegistrationOtp);
+router.post("/verify-mobile-otp", otpChecksPerIp, verifyMobileRegistrationOtp);
+
+/* ================= PASSWORD RESET ================= */
+router.post("/forgot-password", otpSendsPerIp, otpCooldown("reset-otp", byBody("identifier")), forgotPassword);
+router.post("/verify-reset-otp", otpChecksPerIp, verifyResetOtp);
+router.post("/reset-password", resetPassword);
 
 /* ================= CHECK CONFLICT ================= */
 router.post("/check-conflict", checkUserConflict);
 
 /* ================= PLAYER AUTH ================= */
 router.post("/register-player", registerPlayer);
-router.post("/login", loginPlayer);
+router.post("/login", loginsPerIp, loginsPerIdentifier("playerIdOrAadhaar"), loginPlayer);
 
 /* ================= ADMIN AUTH ================= */
+router.get("/admin-invite", getAdminInvite);
 router.post("/register-admin", registerAdmin);
-router.post("/login-admin", loginAdmin);
+router.post("/login-admin", loginsPerIp, loginsPerIdentifier("email"), loginAdmin);
 router.post("/reapply-google-admin", reapplyGoogleAdmin);
 
 /* ================= SESSION ================= */
-router.get("/me", getCurrentUser);
+router.get("/me", requireSignIn, getCurrentUser);
+router.post("/refresh", refreshToken);
+router.post("/logout", logout);
+router.post("/logout-all", requireSignIn, logoutAllDevices);
 
 export default router;
\ No newline at end of file
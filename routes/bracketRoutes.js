@@ -2,6 +2,9 @@ import express from "express";
 import {
     getCategoryDraw,
     initBracket,
+    generateBracketDraw,
+    updateBracketOptions,
+    generateKnockoutFromGroups,
     uploadCategoryMedia,
     updateBracketMatch,
     setMatchResult,
@@ -12,52 +15,72 @@ import {
     addBracketRound,
     deleteBracketRound
 } from "../controllers/bracketController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_DRAWS, SCORE_MATCHES } from "../utils/permissions.js";
 
 const router = express.Router();
 
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+// Reads need an admin token; changes need manage-draws on the event (results: score-matches)
+const canManageDraws = verifyEventAccess(eventIdFromParams(), MANAGE_DRAWS);
+const canScore = verifyEventAccess(eventIdFromParams(), SCORE_MATCHES);
+
 // Get draw/bracket for category
-router.get("/events/:id/categories/:categoryId/draw", verifyAdmin, getCategoryDraw);
-router.get("/events/:id/categories/draw", verifyAdmin, getCategoryDraw); // Alternative with categoryLabel query
+router.get("/events/:id/categories/:categoryId/draw", requireAdmin, getCategoryDraw);
+router.get("/events/:id/categories/draw", requireAdmin, getCategoryDraw); // Alternative with categoryLabel query
 
 // Initialize bracket
-router.post("/events/:id/categories/:categoryId/bracket/init", verifyAdmin, initBracket);
-router.post("/events/:id/categories/bracket/init", verifyAdmin, initBracket); // Alternative
+router.post("/events/:id/categories/:categoryId/bracket/init", requireAdmin, canManageDraws, initBracket);
+router.post("/events/:id/categories/bracket/init", requireAdmin, canManageDraws, initBracket); // Alternative
+
+// Generate seeded draw from verified registrations
+router.post("/events/:id/categories/:categoryId/bracket/generate", requireAdmin, canManageDraws, generateBracketDraw);
+router.post("/events/:id/categories/bracket/generate", requireAdmin, canManageDraws, generateBracketDraw); // Alternative with categoryLabel
+
+// Third place playoff / plate bracket options
+router.post("/events/:id/categories/:categoryId/bracket/options", requireAdmin, canManageDraws, updateBracketOptions);
+router.post("/events/:id/categories/bracket/options", requireAdmin, canManageDraws, updateBracketOptions); // Alternative with categoryLabel
+
+// Seed knockout from group standings (groups + knockout format)
+router.post("/events/:id/categories/:categoryId/bracket/from-groups", requireAdmin, canManageDraws, generateKnockoutFromGroups);
+router.post("/events/:id/categories/bracket/from-groups", requireAdmin, canManageDraws, generateKnockoutFromGroups); // Alternative with categoryLabel
 
 // Upload media
-router.post("/events/:id/categories/:categoryId/media", verifyAdmin, uploadCategoryMedia);
-router.post("/events/:id/categories/media", verifyAdmin, uploadCategoryMedia); // Alternative
+router.post("/events/:id/categories/:categoryId/media", requireAdmin, canManageDraws, uploadCategoryMedia);
+router.post("/events/:id/categories/media", requireAdmin, canManageDraws, uploadCategoryMedia); // Alternative
 
 // Bracket match operations
-router.post("/events/:id/categories/:categoryId/bracket/match", verifyAdmin, updateBracketMatch);
-router.post("/events/:id/categories/bracket/match", verifyAdmin, updateBracketMatch); // Alternative
+router.post("/events/:id/categories/:categoryId/bracket/match", requireAdmin, canManageDraws, updateBracketMatch);
+router.post("/events/:id/categories/bracket/match", requireAdmin, canManageDraws, updateBracketMatch); // Alternative
 
 // Set match result
-router.post("/events/:id/categories/:categoryId/bracket/result", verifyAdmin, setMatchResult);
-router.post("/events/:id/categories/bracket/result", verifyAdmin, setMatchResult); // Alternative
+router.post("/events/:id/categories/:categoryId/bracket/result", requireAdmin, canScore, setMatchResult);
+router.post("/events/:id/categories/bracket/result", requireAdmin, canScore, setMatchResult); // Alternative
 
 // Publish/Unpublish
-router.post("/events/:id/categories/:categoryId/publish", verifyAdmin, publishCategoryDraw);
-router.post("/events/:id/categories/publish", verifyAdmin, publishCategoryDraw); // Alternative
+router.post("/events/:id/categories/:categoryId/publish", requireAdmin, canManageDraws, publishCategoryDraw);
+router.post("/events/:id/categories/publish", requireAdmin, canManageDraws, publishCategoryDraw); // Alternative
 
 // Delete media
-router.delete("/events/:id/categories/:categoryId/media/:mediaId", verifyAdmin, deleteCategoryMedia);
-router.delete("/events/:id/categories/media/:mediaId", verifyAdmin, deleteCategoryMedia); // Alternative
+router.delete("/events/:id/categories/:categoryId/media/:mediaId", requireAdmin, canManageDraws, deleteCategoryMedia);
+router.delete("/events/:id/categories/media/:mediaId", requireAdmin, canManageDraws, deleteCategoryMedia); // Alternative
 
 // Reset bracket
-router.post("/events/:id/categories/:categoryId/bracket/reset", verifyAdmin, resetBracket);
-router.post("/events/:id/categories/bracket/reset", verifyAdmin, resetBracket); // Alternative
+router.post("/events/:id/categories/:categoryId/bracket/reset", requireAdmin, canManageDraws, resetBracket);
+router.post("/events/:id/categories/bracket/reset", requireAdmin, canManageDraws, resetBracket); // Alternative
 
 // Delete bracket (unpublished only)
-router.delete("/events/:id/categories/:categoryId/bracket", verifyAdmin, deleteCategoryBracket);
-router.delete("/events/:id/categories/bracket", verifyAdmin, deleteCategoryBracket); // Alternative with categoryLabel query
+router.delete("/events/:id/categories/:categoryId/bracket", requireAdmin, canManageDraws, deleteCategoryBracket);
+router.delete("/events/:id/categories/bracket", requireAdmin, canManageDraws, deleteCategoryBracket); // Alternative with categoryLabel query
 
 // Add round to bracket (dynamic rounds)
-router.post("/events/:id/categories/:categoryId/bracket/round/add", verifyAdmin, addBracketRound);
-router.post("/events/:id/categories/bracket/round/add", verifyAdmin, addBracketRound); // Alternative with categoryLabel
+router.post("/events/:id/categories/:categoryId/bracket/round/add", requireAdmin, canManageDraws, addBracketRound);
+router.post("/events/:id/categories/bracket/round/add", requireAdmin, canManageDraws, addBracketRound); // Alternative with categoryLabel
 
 // Delete last round from bracket
-router.post("/events/:id/categories/:categoryId/bracket/round/delete", verifyAdmin, deleteBracketRound);
-router.post("/events/:id/categories/bracket/round/delete", verifyAdmin, deleteBracketRound); // Alternative with categoryLabel
+router.post("/events/:id/categories/:categoryId/bracket/round/delete", requireAdmin, canManageDraws, deleteBracketRound);
+router.post("/events/:id/categories/bracket/round/delete", requireAdmin, canManageDraws, deleteBracketRound); // Alternative with categoryLabel
 
 export default router;
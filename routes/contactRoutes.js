@@ -1,11 +1,14 @@
 import express from "express";
 import { getMessages, sendMessage, updateMessageStatus } from "../controllers/contactController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { ADMIN_ROLES } from "../utils/permissions.js";
 
 const router = express.Router();
 
-router.get("/", verifyAdmin, getMessages);
-router.put("/:id/status", verifyAdmin, updateMessageStatus);
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+router.get("/", requireAdmin, getMessages);
+router.put("/:id/status", requireAdmin, updateMessageStatus);
 router.post("/send", sendMessage);
 
 export default router;
\ No newline at end of file
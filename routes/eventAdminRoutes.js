@@ -0,0 +1,33 @@
+import express from "express";
+import {
+    getMyEventPermissions,
+    grantEventAdmin,
+    listEventAdmins,
+    revokeEventAdmin
+} from "../controllers/eventAdminController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_COLLABORATORS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+const byEvent = verifyEventAccess(eventIdFromParams());
+const canManageCollaborators = verifyEventAccess(eventIdFromParams(), MANAGE_COLLABORATORS);
+
+// My capabilities on the event
+// GET    /api/admin/events/:id/permissions
+router.get("/events/:id/permissions", requireAdmin, byEvent, getMyEventPermissions);
+
+// Event collaborators; changes need manage-collaborators (owner / superadmin)
+// GET    /api/admin/events/:id/admins
+router.get("/events/:id/admins", requireAdmin, byEvent, listEventAdmins);
+
+// PUT    /api/admin/events/:id/admins/:userId
+router.put("/events/:id/admins/:userId", requireAdmin, canManageCollaborators, grantEventAdmin);
+
+// DELETE /api/admin/events/:id/admins/:userId
+router.delete("/events/:id/admins/:userId", requireAdmin, canManageCollaborators, revokeEventAdmin);
+
+export default router;
@@ -9,17 +9,27 @@ import {
     updateEvent
 } from "../controllers/eventController.js";
 import { getPublicMatches } from "../controllers/matchController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import { getLeagueStandings } from "../controllers/leagueController.js";
+import { streamEventMatches } from "../controllers/liveScoreController.js";
+import { getEventOrderOfPlay } from "../controllers/scheduleController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, DELETE_EVENT, EDIT_EVENT } from "../utils/permissions.js";
 
 const router = express.Router();
 
-router.post('/create', verifyAdmin, createEvent);
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+router.post('/create', requireAdmin, createEvent);
 router.get('/list', listEvents);
 router.get('/:id', getEventDetails);
 router.get('/:id/brackets', getEventBrackets);
 router.get('/:id/matches', getPublicMatches); // Public scoreboard endpoint
+router.get('/:id/matches/stream', streamEventMatches); // Live scores (Server-Sent Events)
+router.get('/:id/categories/:categoryId/standings', getLeagueStandings); // Public points table
+router.get('/:id/order-of-play', getEventOrderOfPlay); // Courts + start times (?date=YYYY-MM-DD)
 router.get('/:id/sponsors', getEventSponsors);
-router.put('/:id', verifyAdmin, updateEvent);
-router.delete('/:id', verifyAdmin, deleteEvent);
+router.put('/:id', requireAdmin, verifyEventAccess(eventIdFromParams(), EDIT_EVENT), updateEvent);
+router.delete('/:id', requireAdmin, verifyEventAccess(eventIdFromParams(), DELETE_EVENT), deleteEvent); // Owner / superadmin only
 
 export default router;
@@ -1,7 +1,9 @@
 import dotenv from "dotenv";
 import express from "express";
-import jwt from "jsonwebtoken";
 import { supabaseAdmin } from "../config/supabaseClient.js";
+import { acceptAdminInvite, claimAdminInvite, releaseAdminInvite, verifyAdminInvite } from "../services/adminInviteService.js";
+import { createSession } from "../services/sessionService.js";
+import { NO_PASSWORD, omitPassword } from "../utils/password.js";
 
 dotenv.config({ quiet: true });
 
@@ -21,6 +23,7 @@ router.get('/google-url', (req, res) => {
     res.json({ url: redirectUrl });
 });
 
+// Body (optional): { inviteToken } - a new account signing up through an admin invite is pre-approved
 router.post('/sync', async (req, res) => {
     try {
         // 1. Verify the token sent from Frontend
@@ -94,6 +97,16 @@ router.post('/sync', async (req, res) => {
                 finalUser = updatedUser;
             }
         } else {
+            let invite = null;
+            if (req.body?.inviteToken) {
+                const check = await verifyAdminInvite(req.body.inviteToken, user.email);
+                if (!check.success) return res.status(400).json({ error: check.message, code: check.code });
+                invite = check.invite;
+
+                const claim = await claimAdminInvite(invite);
+                if (!claim.success) return res.status(400).json({ error: claim.message, code: claim.code });
+            }
+
             // 3. IF NEW USER, CREATE WITH DUMMY DATA
             const userData = {
                 id: user.id,
@@ -105,7 +118,7 @@ router.post('/sync', async (req, res) => {
                 avatar: photoUrl,
                 google_id: googleId,
                 role: 'admin', // ONLY set for NEW users
-                verification: 'pending', // Pending SuperAdmin approval
+                verification: invite ? 'verified' : 'pending', // Pending SuperAdmin approval unless invited
 
                 // ROBUST DUMMY DATA STRATEGY
                 mobile: `9${Date.now().toString().slice(-9)}`,
@@ -118,7 +131,7 @@ router.post('/sync', async (req, res) => {
                 state: 'Web',
                 pincode: '000000',
                 country: 'India',
-                password: 'GOOGLE_AUTH_ADMIN',
+                password: NO_PASSWORD, // Google sign-in only (hasPasswordLogin)
                 player_id: `ADM-${Date.now().toString().slice(-6)}`
             };
 
@@ -131,9 +144,12 @@ router.post('/sync', async (req, res) => {
 
             if (dbError) {
                 console.error('CRITICAL DATABASE ERROR:', dbError);
+                if (invite) await releaseAdminInvite(invite);
                 return res.status(500).json({ error: 'Failed to save user', details: dbError });
             }
             finalUser = savedUser;
+
+            if (invite) await acceptAdminInvite(invite, savedUser.id);
         }
 
         // 4. VERIFICATION CHECK (Block Access if not verified)
@@ -150,16 +166,11 @@ router.post('/sync', async (req, res) => {
             });
         }
 
-        // 5. Generate Backend Token (consistent with login-admin)
-        // Admin tokens last 30 days for convenience (user can still logout manually)
-        const backendToken = jwt.sign(
-            { id: finalUser.id, role: finalUser.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "30d" }
-        );
+        // 5. Start Backend Session (consistent with login-admin)
+        const { token: backendToken, refreshToken, expiresIn } = await createSession(finalUser, req);
 
-        // 6. Return the user data AND token to frontend
-        res.json({ success: true, user: finalUser, token: backendToken });
+        // 6. Return the user data AND tokens to frontend
+        res.json({ success: true, user: omitPassword(finalUser), token: backendToken, refreshToken, expiresIn });
 
     } catch (error) {
         console.error('Server error:', error);
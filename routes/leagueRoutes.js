@@ -1,18 +1,43 @@
 import express from "express";
-import { getLeagueConfig, saveLeagueConfig, deleteLeague } from "../controllers/leagueController.js";
-import { verifyAdmin } from "../middleware/rbacMiddleware.js";
+import {
+    getLeagueConfig,
+    saveLeagueConfig,
+    deleteLeague,
+    getSwissStandings,
+    getGroupStandings,
+    getLeagueStandings
+} from "../controllers/leagueController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_DRAWS } from "../utils/permissions.js";
 
 const router = express.Router();
 
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+const canManageDraws = verifyEventAccess(eventIdFromParams(), MANAGE_DRAWS);
+
 // League configuration (blueprint only, scores still live in matches table)
 // GET  /api/admin/events/:id/categories/:categoryId/league
-router.get("/events/:id/categories/:categoryId/league", verifyAdmin, getLeagueConfig);
+router.get("/events/:id/categories/:categoryId/league", requireAdmin, getLeagueConfig);
 
 // POST /api/admin/events/:id/categories/:categoryId/league
-router.post("/events/:id/categories/:categoryId/league", verifyAdmin, saveLeagueConfig);
+router.post("/events/:id/categories/:categoryId/league", requireAdmin, canManageDraws, saveLeagueConfig);
 
 // DELETE /api/admin/events/:id/categories/:categoryId/league
-router.delete("/events/:id/categories/:categoryId/league", verifyAdmin, deleteLeague);
+router.delete("/events/:id/categories/:categoryId/league", requireAdmin, canManageDraws, deleteLeague);
+
+// GET  /api/admin/events/:id/categories/:categoryId/league/standings
+router.get("/events/:id/categories/:categoryId/league/standings", requireAdmin, getLeagueStandings);
+router.get("/events/:id/categories/league/standings", requireAdmin, getLeagueStandings); // Alternative with categoryLabel query
+
+// GET  /api/admin/events/:id/categories/:categoryId/league/swiss/standings
+router.get("/events/:id/categories/:categoryId/league/swiss/standings", requireAdmin, getSwissStandings);
+router.get("/events/:id/categories/league/swiss/standings", requireAdmin, getSwissStandings); // Alternative with categoryLabel query
+
+// GET  /api/admin/events/:id/categories/:categoryId/league/groups/standings
+router.get("/events/:id/categories/:categoryId/league/groups/standings", requireAdmin, getGroupStandings);
+router.get("/events/:id/categories/league/groups/standings", requireAdmin, getGroupStandings); // Alternative with categoryLabel query
 
 export default router;
 
@@ -6,42 +6,88 @@ import {
     finalizeRoundMatches,
     generateMatchesFromBracket,
     generateLeagueMatches,
+    generateGroupMatches,
+    generateSwissRound,
     getMatches,
     updateMatchScore
 } from "../controllers/matchController.js";
+import { addMatchPoint, getMatchEvents, undoMatchEvent } from "../controllers/matchEventController.js";
+import { updateMatchSchedule } from "../controllers/scheduleController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import {
+    eventIdFromBody,
+    eventIdFromMatch,
+    eventIdFromParams,
+    verifyEventAccess
+} from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_DRAWS, SCORE_MATCHES } from "../utils/permissions.js";
 
 const router = express.Router();
 
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+// Every route needs an admin token; changes also need a capability on the match's event
+// (manage-draws to create / schedule / delete, score-matches to score).
+// Public scoreboard reads: GET /api/events/:id/matches
+const drawsByEventParam = verifyEventAccess(eventIdFromParams("eventId"), MANAGE_DRAWS);
+const drawsByMatchEvent = verifyEventAccess(eventIdFromMatch, MANAGE_DRAWS);
+const scoreByEventParam = verifyEventAccess(eventIdFromParams("eventId"), SCORE_MATCHES);
+const scoreByMatchEvent = verifyEventAccess(eventIdFromMatch, SCORE_MATCHES);
+
 // Generate matches from existing bracket (Idempotent)
 // POST /api/admin/matches/generate/:eventId/:categoryId
-router.post("/generate/:eventId/:categoryId", generateMatchesFromBracket);
+router.post("/generate/:eventId/:categoryId", requireAdmin, drawsByEventParam, generateMatchesFromBracket);
 
 // Generate league (round-robin) matches from league blueprint (Idempotent)
 // POST /api/admin/matches/generate-league/:eventId/:categoryId
-router.post("/generate-league/:eventId/:categoryId", generateLeagueMatches);
+router.post("/generate-league/:eventId/:categoryId", requireAdmin, drawsByEventParam, generateLeagueMatches);
+
+// Generate next Swiss round from league blueprint (format = 'SWISS')
+// POST /api/admin/matches/generate-swiss/:eventId/:categoryId
+router.post("/generate-swiss/:eventId/:categoryId", requireAdmin, drawsByEventParam, generateSwissRound);
+
+// Generate per-group round-robin matches (format = 'GROUPS', Idempotent)
+// POST /api/admin/matches/generate-groups/:eventId/:categoryId
+router.post("/generate-groups/:eventId/:categoryId", requireAdmin, drawsByEventParam, generateGroupMatches);
 
 // Create manual match
 // POST /api/admin/matches
-router.post("/", createMatch);
+router.post("/", requireAdmin, verifyEventAccess(eventIdFromBody, MANAGE_DRAWS), createMatch);
 
 // Finalize all matches in a round (calculate winners and set COMPLETED)
 // POST /api/admin/matches/:eventId/finalize
-router.post("/:eventId/finalize", finalizeRoundMatches);
+router.post("/:eventId/finalize", requireAdmin, scoreByEventParam, finalizeRoundMatches);
 
 // Delete all matches for a category (MUST come before parameterized routes)
 // DELETE /api/admin/matches/category/:eventId?categoryId=xxx&categoryName=xxx
-router.delete("/category/:eventId", deleteCategoryMatches);
+router.delete("/category/:eventId", requireAdmin, drawsByEventParam, deleteCategoryMatches);
 
 // Update score and status
 // PUT /api/admin/matches/:matchId/score
-router.put("/:matchId/score", updateMatchScore);
+router.put("/:matchId/score", requireAdmin, scoreByMatchEvent, updateMatchScore);
+
+// Schedule / move a match (court + start time); rejects player clashes unless forced
+// PUT /api/admin/matches/:matchId/schedule
+router.put("/:matchId/schedule", requireAdmin, drawsByMatchEvent, updateMatchSchedule);
+
+// Match timeline (score history, oldest first)
+// GET /api/admin/matches/:matchId/timeline
+router.get("/:matchId/timeline", requireAdmin, verifyEventAccess(eventIdFromMatch), getMatchEvents);
+
+// Record one point (live scoring)
+// POST /api/admin/matches/:matchId/events
+router.post("/:matchId/events", requireAdmin, scoreByMatchEvent, addMatchPoint);
+
+// Undo the last change to a match
+// POST /api/admin/matches/:matchId/events/undo
+router.post("/:matchId/events/undo", requireAdmin, scoreByMatchEvent, undoMatchEvent);
 
 // Delete match (MUST come before GET /:eventId to avoid conflicts)
 // DELETE /api/admin/matches/:matchId
-router.delete("/:matchId", deleteMatch);
+router.delete("/:matchId", requireAdmin, drawsByMatchEvent, deleteMatch);
 
 // Get matches for event (with optional categoryId query)
 // GET /api/admin/matches/:eventId
-router.get("/:eventId", getMatches);
+router.get("/:eventId", requireAdmin, getMatches);
 
 export default router;
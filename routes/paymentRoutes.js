@@ -1,9 +1,11 @@
 import express from "express";
 import { submitManualPayment } from "../controllers/paymentController.js";
-import { authenticateUser as verifyToken } from "../middleware/authMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.post("/submit-manual-payment", verifyToken, submitManualPayment);
+const requireSignIn = requireAuth();
+
+router.post("/submit-manual-payment", requireSignIn, submitManualPayment);
 
 export default router;
@@ -9,20 +9,23 @@ import {
     updateFamilyMember,
     updateProfile
 } from "../controllers/playerController.js";
-import { verifyPlayer } from "../middleware/rbacMiddleware.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { PLAYER } from "../utils/permissions.js";
 
 const router = express.Router();
 
-router.get("/dashboard", verifyPlayer, getPlayerDashboard);
-router.post("/check-conflict", verifyPlayer, checkConflict);
-router.post("/check-password", verifyPlayer, checkPassword);
-router.put("/update-profile", verifyPlayer, updateProfile);
-router.put("/change-password", verifyPlayer, changePassword);
-router.delete("/delete-account", verifyPlayer, deleteAccount);
+const requirePlayer = requireAuth({ roles: [PLAYER] });
+
+router.get("/dashboard", requirePlayer, getPlayerDashboard);
+router.post("/check-conflict", requirePlayer, checkConflict);
+router.post("/check-password", requirePlayer, checkPassword);
+router.put("/update-profile", requirePlayer, updateProfile);
+router.put("/change-password", requirePlayer, changePassword);
+router.delete("/delete-account", requirePlayer, deleteAccount);
 
 /* ================= FAMILY MEMBERS ================= */
-router.post("/add-family-member", verifyPlayer, addFamilyMember);
-router.put("/update-family-member/:id", verifyPlayer, updateFamilyMember);
-router.delete("/delete-family-member/:id", verifyPlayer, deleteFamilyMember);
+router.post("/add-family-member", requirePlayer, addFamilyMember);
+router.put("/update-family-member/:id", requirePlayer, updateFamilyMember);
+router.delete("/delete-family-member/:id", requirePlayer, deleteFamilyMember);
 
 export default router;
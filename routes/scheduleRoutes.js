@@ -0,0 +1,37 @@
+import express from "express";
+import {
+    getEventOrderOfPlay,
+    getScheduleClashes,
+    getScheduleConfig,
+    runSchedulePlanner,
+    saveScheduleConfig
+} from "../controllers/scheduleController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, MANAGE_DRAWS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+const canManageDraws = verifyEventAccess(eventIdFromParams(), MANAGE_DRAWS);
+
+// Court / session schedule configuration
+// GET  /api/admin/events/:id/schedule
+router.get("/events/:id/schedule", requireAdmin, getScheduleConfig);
+
+// POST /api/admin/events/:id/schedule
+router.post("/events/:id/schedule", requireAdmin, canManageDraws, saveScheduleConfig);
+
+// Assign court + start time to all matches still to be played (re-plan when running late)
+// POST /api/admin/events/:id/schedule/plan
+router.post("/events/:id/schedule/plan", requireAdmin, canManageDraws, runSchedulePlanner);
+
+// GET  /api/admin/events/:id/schedule/order-of-play?date=YYYY-MM-DD
+router.get("/events/:id/schedule/order-of-play", requireAdmin, getEventOrderOfPlay);
+
+// Players double-booked or without the rest time (doubles partners included)
+// GET  /api/admin/events/:id/schedule/clashes?date=YYYY-MM-DD&restMinutes=N
+router.get("/events/:id/schedule/clashes", requireAdmin, getScheduleClashes);
+
+export default router;
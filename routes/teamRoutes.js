@@ -1,13 +1,15 @@
 import express from 'express';
 import { createTeam, deleteTeam, getMyTeams, lookupPlayer, updateTeam } from '../controllers/teamController.js';
-import { authenticateUser as verifyToken } from '../middleware/authMiddleware.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.get('/my-teams', verifyToken, getMyTeams);
-router.get('/player-lookup/:playerId', verifyToken, lookupPlayer);
-router.post('/create', verifyToken, createTeam);
-router.put('/:id', verifyToken, updateTeam);
-router.delete('/:id', verifyToken, deleteTeam);
+const requireSignIn = requireAuth();
+
+router.get('/my-teams', requireSignIn, getMyTeams);
+router.get('/player-lookup/:playerId', requireSignIn, lookupPlayer);
+router.post('/create', requireSignIn, createTeam);
+router.put('/:id', requireSignIn, updateTeam);
+router.delete('/:id', requireSignIn, deleteTeam);
 
 export default router;
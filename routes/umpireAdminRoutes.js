@@ -0,0 +1,37 @@
+import express from "express";
+import {
+    addEventUmpire,
+    assignUmpire,
+    listEventUmpires,
+    removeEventUmpire,
+    removeUmpireAssignment
+} from "../controllers/umpireController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { eventIdFromParams, verifyEventAccess } from "../middleware/eventAccessMiddleware.js";
+import { ADMIN_ROLES, SCORE_MATCHES } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const requireAdmin = requireAuth({ roles: ADMIN_ROLES });
+
+const byEvent = verifyEventAccess(eventIdFromParams());
+const canScore = verifyEventAccess(eventIdFromParams(), SCORE_MATCHES);
+
+// Event umpires
+// GET    /api/admin/events/:id/umpires
+router.get("/events/:id/umpires", requireAdmin, byEvent, listEventUmpires);
+
+// POST   /api/admin/events/:id/umpires
+router.post("/events/:id/umpires", requireAdmin, canScore, addEventUmpire);
+
+// DELETE /api/admin/events/:id/umpires/:userId
+router.delete("/events/:id/umpires/:userId", requireAdmin, canScore, removeEventUmpire);
+
+// Assign to a match or a court (conflict-of-interest checked)
+// POST   /api/admin/events/:id/umpires/:userId/assignments
+router.post("/events/:id/umpires/:userId/assignments", requireAdmin, canScore, assignUmpire);
+
+// DELETE /api/admin/events/:id/umpire-assignments/:assignmentId
+router.delete("/events/:id/umpire-assignments/:assignmentId", requireAdmin, canScore, removeUmpireAssignment);
+
+export default router;
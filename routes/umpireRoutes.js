@@ -0,0 +1,29 @@
+import express from "express";
+import { getMyMatches } from "../controllers/umpireController.js";
+import { updateMatchScore } from "../controllers/matchController.js";
+import { addMatchPoint, getMatchEvents, undoMatchEvent } from "../controllers/matchEventController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { verifyMatchUmpire } from "../middleware/umpireMiddleware.js";
+
+const router = express.Router();
+
+const requireSignIn = requireAuth();
+
+// Matches assigned to the signed-in umpire
+// GET /api/umpire/matches?eventId=xxx
+router.get("/matches", requireSignIn, getMyMatches);
+
+// Scoring - only for the match's umpire (or an admin)
+// PUT /api/umpire/matches/:matchId/score
+router.put("/matches/:matchId/score", requireSignIn, verifyMatchUmpire, updateMatchScore);
+
+// POST /api/umpire/matches/:matchId/events
+router.post("/matches/:matchId/events", requireSignIn, verifyMatchUmpire, addMatchPoint);
+
+// POST /api/umpire/matches/:matchId/events/undo
+router.post("/matches/:matchId/events/undo", requireSignIn, verifyMatchUmpire, undoMatchEvent);
+
+// GET /api/umpire/matches/:matchId/timeline
+router.get("/matches/:matchId/timeline", requireSignIn, verifyMatchUmpire, getMatchEvents);
+
+export default router;
@@ -7,6 +7,7 @@ import apartmentRoutes from "./routes/apartmentRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import bracketRoutes from "./routes/bracketRoutes.js";
 import contactRoutes from "./routes/contactRoutes.js";
+import eventAdminRoutes from "./routes/eventAdminRoutes.js";
 import eventRoutes from "./routes/eventRoutes.js";
 import googleSyncRoutes from "./routes/googleSyncRoutes.js";
 import matchRoutes from "./routes/matchRoutes.js";
@@ -15,13 +16,21 @@ import notificationRoutes from "./routes/notificationRoutes.js"; // Added Notifi
 import paymentRoutes from "./routes/paymentRoutes.js"; // Added Payment Routes
 import playerDashboardRoutes from "./routes/playerDashboardroutes.js";
 import publicRoutes from "./routes/publicRoutes.js";
+import scheduleRoutes from "./routes/scheduleRoutes.js";
 import teamRoutes from "./routes/teamRoutes.js";
+import umpireAdminRoutes from "./routes/umpireAdminRoutes.js";
+import umpireRoutes from "./routes/umpireRoutes.js";
 dotenv.config({ quiet: true });
 
 
 
 const app = express();
 
+// Behind a proxy / load balancer set TRUST_PROXY (e.g. 1 = one hop) so req.ip is the
+// client's address; rate limits (middleware/rateLimitMiddleware.js) are keyed on it
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 app.use(cors());
 app.use(express.json({ limit: "15mb" }));
 app.use(express.urlencoded({ limit: "15mb", extended: true }));
@@ -35,6 +44,10 @@ app.use("/api/admin/matches", matchRoutes); // Scoreboard Matches Routes (Priori
 app.use("/api/admin", bracketRoutes); // Bracket Management Routes (Prioritized)
 app.use("/api/admin", adminRoutes);
 app.use("/api/admin", leagueRoutes); // League (round-robin) configuration routes
+app.use("/api/admin", scheduleRoutes); // Court / time-slot scheduling routes
+app.use("/api/admin", umpireAdminRoutes); // Umpire management + assignments
+app.use("/api/admin", eventAdminRoutes); // Event collaborators + capabilities
+app.use("/api/umpire", umpireRoutes); // Umpire-facing matches + scoring
 app.use("/api/advertisements", advertisementRoutes);
 app.use("/api/apartments", apartmentRoutes);
 app.use("/api/teams", teamRoutes);
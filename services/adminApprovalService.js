@@ -0,0 +1,60 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+
+/**
+ * Admin lifecycle history: who approved, rejected or deleted which admin, and when
+ * (invites live in admin_invites, see services/adminInviteService.js).
+ *
+ *   admin_approvals - id, admin_id, action, actor_id, note, created_at
+ *
+ * Rows are kept after the admin account is deleted.
+ */
+
+export const ADMIN_APPROVED = "approved";
+export const ADMIN_REJECTED = "rejected";
+export const ADMIN_DELETED = "deleted";
+
+/**
+ * Record one lifecycle action. Best effort: a failure is logged, never thrown,
+ * so the action itself is not undone by a history write.
+ * @param {{ adminId: string, action: string, actorId?: string, note?: string }} entry
+ * @returns {Promise<object | null>} the inserted row
+ */
+export const recordAdminAction = async ({ adminId, action, actorId = null, note = null }) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from("admin_approvals")
+            .insert({
+                admin_id: adminId,
+                action,
+                actor_id: actorId,
+                note: note ? String(note).slice(0, 500) : null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error("RECORD ADMIN ACTION ERROR:", err.message);
+        return null;
+    }
+};
+
+/**
+ * @param {{ adminId?: string, limit?: number }} options
+ * @returns {Promise<object[]>} newest first, with actor / admin names
+ */
+export const getAdminHistory = async ({ adminId, limit = 100 } = {}) => {
+    let query = supabaseAdmin
+        .from("admin_approvals")
+        .select("*, admin:admin_id ( id, name, email ), actor:actor_id ( id, name, email )")
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+    if (adminId) query = query.eq("admin_id", adminId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+};
@@ -0,0 +1,182 @@
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { ADMIN_APPROVED, recordAdminAction } from "./adminApprovalService.js";
+
+dotenv.config({ quiet: true });
+
+/**
+ * Admin invitations. An account with manage-admins (utils/permissions.js) invites an email address; the link carries a JWT
+ * (type 'admin-invite', jti = invite id) signed with JWT_SECRET. Registering (password
+ * or Google) with that token creates the admin already approved by the inviter.
+ *
+ *   admin_invites - id, email, name, invited_by, expires_at, accepted_at, accepted_by, revoked_at, created_at
+ *
+ * The row makes a link single-use and revocable; the signature stops forged ids.
+ */
+
+const INVITE_TTL_DAYS = 7;
+const INVITE_TOKEN_TYPE = "admin-invite";
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const buildInviteLink = (token) => {
+    const frontendUrl = process.env.ADMIN_FRONTEND_URL;
+    if (!frontendUrl) return null;
+    return `${frontendUrl.replace(/\/$/, "")}/accept-invite?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * @param {{ email: string, name?: string, invitedBy: string }} input
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, invite?: object, token?: string, link?: string | null }>}
+ */
+export const createAdminInvite = async ({ email, name, invitedBy }) => {
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+        return { success: false, code: "INVALID_EMAIL", message: "A valid email is required" };
+    }
+
+    const { data: existing, error: userError } = await supabaseAdmin
+        .from("users")
+        .select("id")
+        .eq("email", normalized)
+        .maybeSingle();
+
+    if (userError && userError.code !== "PGRST116") throw userError;
+    if (existing) {
+        return { success: false, code: "USER_EXISTS", message: "An account with this email already exists. Approve it instead." };
+    }
+
+    const now = new Date();
+
+    // One open invite per email: older links stop working
+    const { error: revokeError } = await supabaseAdmin
+        .from("admin_invites")
+        .update({ revoked_at: now.toISOString() })
+        .eq("email", normalized)
+        .is("accepted_at", null)
+        .is("revoked_at", null);
+
+    if (revokeError) throw revokeError;
+
+    const expiresAt = new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { data: invite, error } = await supabaseAdmin
+        .from("admin_invites")
+        .insert({
+            email: normalized,
+            name: name ? String(name).trim() : null,
+            invited_by: invitedBy,
+            expires_at: expiresAt.toISOString(),
+            created_at: now.toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const token = jwt.sign(
+        { type: INVITE_TOKEN_TYPE, email: normalized },
+        process.env.JWT_SECRET,
+        { jwtid: String(invite.id), expiresIn: `${INVITE_TTL_DAYS}d` }
+    );
+
+    return { success: true, invite, token, link: buildInviteLink(token) };
+};
+
+/**
+ * Check an invite token without using it.
+ * @param {string} token
+ * @param {string} [email] - When given, must be the invited address
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, invite?: object }>}
+ */
+export const verifyAdminInvite = async (token, email) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return err.name === "TokenExpiredError"
+            ? { success: false, code: "INVITE_EXPIRED", message: "This invite link has expired" }
+            : { success: false, code: "INVALID_INVITE", message: "Invalid invite link" };
+    }
+    if (decoded.type !== INVITE_TOKEN_TYPE || !decoded.jti) {
+        return { success: false, code: "INVALID_INVITE", message: "Invalid invite link" };
+    }
+
+    const { data: invite, error } = await supabaseAdmin
+        .from("admin_invites")
+        .select("*")
+        .eq("id", decoded.jti)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!invite || normalizeEmail(invite.email) !== normalizeEmail(decoded.email)) {
+        return { success: false, code: "INVALID_INVITE", message: "Invalid invite link" };
+    }
+    if (invite.revoked_at) {
+        return { success: false, code: "INVITE_REVOKED", message: "This invite has been withdrawn" };
+    }
+    if (invite.accepted_at) {
+        return { success: false, code: "INVITE_USED", message: "This invite has already been used" };
+    }
+    if (new Date(invite.expires_at) < new Date()) {
+        return { success: false, code: "INVITE_EXPIRED", message: "This invite link has expired" };
+    }
+    if (email && normalizeEmail(email) !== normalizeEmail(invite.email)) {
+        return { success: false, code: "INVITE_EMAIL_MISMATCH", message: "This invite was sent to a different email address" };
+    }
+
+    return { success: true, invite };
+};
+
+/**
+ * Take an invite for one registration, before the account is created. Atomic: of
+ * two registrations racing on the same invite only one gets the row back.
+ * @param {object} invite - Row returned by verifyAdminInvite
+ * @returns {Promise<{ success: boolean, code?: string, message?: string }>}
+ */
+export const claimAdminInvite = async (invite) => {
+    const { data: claimed, error } = await supabaseAdmin
+        .from("admin_invites")
+        .update({ accepted_at: new Date().toISOString() })
+        .eq("id", invite.id)
+        .is("accepted_at", null)
+        .is("revoked_at", null)
+        .select("id");
+
+    if (error) throw error;
+    if (!claimed || claimed.length === 0) {
+        return { success: false, code: "INVITE_USED", message: "This invite has already been used" };
+    }
+    return { success: true };
+};
+
+/**
+ * Give a claimed invite back when creating the account failed.
+ * @param {object} invite
+ */
+export const releaseAdminInvite = async (invite) => {
+    const { error } = await supabaseAdmin
+        .from("admin_invites")
+        .update({ accepted_at: null })
+        .eq("id", invite.id)
+        .is("accepted_by", null);
+
+    if (error) console.error("RELEASE ADMIN INVITE ERROR:", error.message);
+};
+
+/**
+ * Link a claimed invite to the new admin account and record the approval
+ * (the inviter is the approver).
+ * @param {object} invite - Row returned by verifyAdminInvite, claimed with claimAdminInvite
+ * @param {string} userId - The new admin's users.id
+ */
+export const acceptAdminInvite = async (invite, userId) => {
+    const { error } = await supabaseAdmin
+        .from("admin_invites")
+        .update({ accepted_by: userId })
+        .eq("id", invite.id);
+
+    if (error) throw error;
+
+    await recordAdminAction({ adminId: userId, action: ADMIN_APPROVED, actorId: invite.invited_by, note: "Accepted admin invite" });
+};
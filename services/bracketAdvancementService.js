@@ -0,0 +1,259 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import {
+    findRoundLocation,
+    getAllRounds,
+    inferRoundLabelFromMatchCount,
+    makeEmptyMatch
+} from "../utils/bracketDraw.js";
+import { isPlateRound, syncConsolationRounds, THIRD_PLACE_ROUND } from "../utils/consolationRounds.js";
+import { advanceDoubleElimination, DOUBLE_ELIMINATION } from "../utils/doubleElimination.js";
+import { getPlayerId } from "../utils/matchPlayers.js";
+import { DOUBLE_NO_SHOW, NORMAL } from "../utils/matchResult.js";
+import { updateBracketWithRetry } from "./bracketUpdateService.js";
+import { MATCH_CREATED, MATCH_UPDATED, publishMatchChange } from "./liveScoreBus.js";
+
+/**
+ * Keeps bracket_data in step with the scoreboard: when a knockout match in `matches`
+ * is COMPLETED, its winner is written into the bracket and advanced the way
+ * setMatchResult does, and scoreboard matches are created for every bracket match
+ * that now has both players.
+ *
+ * Single elimination: when the last result of a round comes in and the next round
+ * does not exist yet, it is created from the winners (same shape as "Add Round").
+ * A double no-show advances nobody; the next opponent goes through by walkover.
+ * Double elimination needs a loser for the losers bracket, so double no-shows are
+ * left for the admin to settle in the bracket editor.
+ *
+ * Courts finish matches of the same bracket at the same time: bracket_data is updated
+ * with optimistic concurrency (bracketUpdateService.js), and scoreboard matches are
+ * inserted against the unique index on matches (bracket_id, round_name, match_index),
+ * so a round that two advancements both see as ready is created once.
+ */
+
+const toRoundStructure = (rounds) => rounds.map((r) => ({ name: r.name, slots: (r.matches?.length || 0) * 2 }));
+
+const isConsolationRoundName = (name) => name === THIRD_PLACE_ROUND || isPlateRound({ name });
+
+// A match is settled once it has a winner, or when it will never be played (empty / double no-show)
+const isSettled = (m) => !!(m && ((m.winner && m[m.winner]) || (!m.player1 && !m.player2) || m.doubleNoShow));
+
+// Next-round entrant facing a double no-show goes through by walkover
+const settleAgainstNoShow = (round, nextMatch, nextMatchIndex) => {
+    const sources = [round.matches[2 * nextMatchIndex], round.matches[2 * nextMatchIndex + 1]];
+    ["player1", "player2"].forEach((slot, i) => {
+        const otherSlot = i === 0 ? "player2" : "player1";
+        if (nextMatch[slot] && !nextMatch[otherSlot] && sources[1 - i]?.doubleNoShow) {
+            nextMatch.winner = slot;
+        }
+    });
+};
+
+// Next single-elimination round from a settled round; BYEs are marked like "Add Round" does
+const buildNextRound = (prevRound, roundIndex) => {
+    const count = Math.ceil(prevRound.matches.length / 2);
+    const matches = Array.from({ length: count }, () => makeEmptyMatch());
+
+    prevRound.matches.forEach((m, i) => {
+        const winnerPlayer = m && m.winner ? m[m.winner] : null;
+        if (!winnerPlayer) return;
+        matches[Math.floor(i / 2)][i % 2 === 0 ? "player1" : "player2"] = winnerPlayer;
+    });
+
+    for (const nm of matches) {
+        if (!nm.player1 && nm.player2) {
+            nm.player1 = nm.player2;
+            nm.player2 = null;
+        }
+        if (nm.player1 && !nm.player2) nm.winner = "player1";
+    }
+
+    return { name: inferRoundLabelFromMatchCount(count, roundIndex + 1), matches };
+};
+
+/**
+ * Record one scoreboard result in bracket_data.
+ * @returns {boolean} whether the bracket changed
+ */
+const applyResult = (bracketData, match) => {
+    const location = findRoundLocation(bracketData, match.round_name);
+    if (!location) return false;
+
+    const round = bracketData[location.section][location.round];
+    const matchIndex = match.match_index;
+    const bracketMatch = round.matches?.[matchIndex];
+    if (!bracketMatch) return false;
+
+    let slot = null;
+    if (match.result_type === DOUBLE_NO_SHOW) {
+        if (bracketData.format === DOUBLE_ELIMINATION || bracketMatch.doubleNoShow) return false;
+        bracketMatch.doubleNoShow = true;
+    } else {
+        const winnerId = getPlayerId(match.winner);
+        slot = ["player1", "player2"].find((s) => winnerId && getPlayerId(bracketMatch[s]) === winnerId);
+        if (!slot || bracketMatch.winner === slot) return false;
+        delete bracketMatch.doubleNoShow;
+    }
+
+    bracketMatch.winner = slot;
+    // Shown on the bracket (walkover, retired, ...)
+    if (match.result_type && match.result_type !== NORMAL) {
+        bracketMatch.resultType = match.result_type;
+    } else {
+        delete bracketMatch.resultType;
+    }
+
+    if (bracketData.format === DOUBLE_ELIMINATION) {
+        advanceDoubleElimination(bracketData, { section: location.section, round: location.round, match: matchIndex });
+        return true;
+    }
+
+    // Third place / plate rounds are refreshed by syncConsolationRounds
+    if (location.section !== "rounds") return true;
+
+    let nextRound = bracketData.rounds[location.round + 1];
+    if (!nextRound && round.matches.length > 1 && round.matches.every(isSettled)) {
+        nextRound = buildNextRound(round, location.round);
+        bracketData.rounds.push(nextRound);
+    }
+
+    if (nextRound) {
+        const nextMatchIndex = Math.floor(matchIndex / 2);
+        if (!nextRound.matches[nextMatchIndex]) nextRound.matches[nextMatchIndex] = makeEmptyMatch();
+        const nextMatch = nextRound.matches[nextMatchIndex];
+        nextMatch[matchIndex % 2 === 0 ? "player1" : "player2"] = slot ? bracketMatch[slot] : null;
+        settleAgainstNoShow(round, nextMatch, nextMatchIndex);
+    }
+    return true;
+};
+
+/**
+ * Insert scoreboard matches for bracket matches that have both players and no winner.
+ * Existing SCHEDULED matches get their players refreshed (corrected results); matches
+ * already played are left alone.
+ * @returns {Promise<number>} created count
+ */
+const syncReadyScoreboardMatches = async (bracket, bracketData, fallbackCategoryId) => {
+    const { data: existing, error } = await supabaseAdmin
+        .from("matches")
+        .select("*")
+        .eq("bracket_id", bracket.id);
+
+    if (error) throw error;
+
+    const byKey = new Map((existing || []).map((m) => [`${m.round_name}#${m.match_index}`, m]));
+    const toInsert = [];
+
+    for (const round of getAllRounds(bracketData)) {
+        for (const [matchIndex, bm] of (round.matches || []).entries()) {
+            if (!bm || bm.winner || bm.doubleNoShow || !getPlayerId(bm.player1) || !getPlayerId(bm.player2)) continue;
+
+            const current = byKey.get(`${round.name}#${matchIndex}`);
+            if (!current) {
+                toInsert.push({
+                    event_id: bracket.event_id,
+                    category_id: bracket.category_id || fallbackCategoryId,
+                    bracket_id: bracket.id,
+                    round_name: round.name,
+                    match_index: matchIndex,
+                    player_a: bm.player1,
+                    player_b: bm.player2,
+                    score: null,
+                    winner: null,
+                    status: "SCHEDULED",
+                    // Provisional slot from the scheduler (services/scheduleService.js)
+                    court: bm.court ?? null,
+                    scheduled_at: bm.scheduledAt ?? null
+                });
+                continue;
+            }
+
+            const samePlayers = getPlayerId(current.player_a) === getPlayerId(bm.player1) &&
+                getPlayerId(current.player_b) === getPlayerId(bm.player2);
+            if (current.status === "SCHEDULED" && !samePlayers) {
+                const { data: refreshed, error: updateError } = await supabaseAdmin
+                    .from("matches")
+                    .update({ player_a: bm.player1, player_b: bm.player2, updated_at: new Date().toISOString() })
+                    .eq("id", current.id)
+                    .select()
+                    .single();
+                if (updateError) throw updateError;
+                publishMatchChange(MATCH_UPDATED, refreshed);
+            }
+        }
+    }
+
+    if (toInsert.length === 0) return 0;
+
+    // A concurrent advancement may have created some of them already
+    const { data: created, error: insertError } = await supabaseAdmin
+        .from("matches")
+        .upsert(toInsert, { onConflict: "bracket_id,round_name,match_index", ignoreDuplicates: true })
+        .select();
+    if (insertError) throw insertError;
+    (created || []).forEach((m) => publishMatchChange(MATCH_CREATED, m));
+    return (created || []).length;
+};
+
+/**
+ * Push COMPLETED knockout results (including walkovers / double no-shows) from the
+ * matches table into their brackets.
+ * League-style matches (placeholder brackets), rounds not in bracket_data and matches
+ * pointing at another event's bracket are ignored.
+ *
+ * @param {Array} matches - Updated rows from the matches table
+ * @returns {Promise<Array<{ bracketId: string, advanced: number, createdMatches: number }>>}
+ */
+export const advanceBracketsFromMatches = async (matches) => {
+    const byBracket = new Map();
+    for (const m of matches || []) {
+        if (!m || m.status !== "COMPLETED" || !m.bracket_id) continue;
+        if (!m.winner && m.result_type !== DOUBLE_NO_SHOW) continue;
+        if (!byBracket.has(m.bracket_id)) byBracket.set(m.bracket_id, []);
+        byBracket.get(m.bracket_id).push(m);
+    }
+
+    const results = [];
+    for (const [bracketId, bracketMatches] of byBracket) {
+        let advanced = 0;
+        let eventMatches = [];
+        // Re-applied to the latest bracket_data if another writer got there first
+        const { bracket, updated } = await updateBracketWithRetry(bracketId, (row) => {
+            if (row.mode !== "BRACKET" || !Array.isArray(row.bracket_data?.rounds)) return null;
+
+            // A match only decides slots in a bracket of its own event
+            eventMatches = bracketMatches.filter((m) => String(m.event_id) === String(row.event_id));
+            const bracketData = row.bracket_data;
+            advanced = eventMatches.filter((m) => applyResult(bracketData, m)).length;
+            if (advanced === 0) return null;
+
+            let roundStructure;
+            if (bracketData.format === DOUBLE_ELIMINATION) {
+                roundStructure = toRoundStructure(getAllRounds(bracketData));
+            } else {
+                // Same as bracketController's syncConsolation, plus any round created above
+                syncConsolationRounds(bracketData, makeEmptyMatch, inferRoundLabelFromMatchCount);
+                const mainStructure = (Array.isArray(row.round_structure) ? row.round_structure : [])
+                    .filter((r) => r?.name && !isConsolationRoundName(r.name));
+                toRoundStructure(bracketData.rounds).forEach((r) => {
+                    if (!mainStructure.some((x) => x.name === r.name)) mainStructure.push(r);
+                });
+                roundStructure = [...mainStructure, ...toRoundStructure(bracketData.consolationRounds || [])];
+            }
+
+            return {
+                // legacy compatibility
+                round_name: row.round_name || "Bracket",
+                draw_type: "bracket",
+                draw_data: bracketData,
+                round_structure: roundStructure,
+                bracket_data: bracketData
+            };
+        });
+        if (!updated) continue;
+
+        const createdMatches = await syncReadyScoreboardMatches(bracket, bracket.bracket_data, eventMatches[0].category_id);
+        results.push({ bracketId, advanced, createdMatches });
+    }
+
+    return results;
+};
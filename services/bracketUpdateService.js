@@ -0,0 +1,49 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+
+/**
+ * Read-modify-write of an event_brackets row with optimistic concurrency.
+ *
+ * bracket_data is one JSON blob, so two writers that read the same version (two courts
+ * finishing matches of one bracket, or a re-plan during an advancement) would otherwise
+ * overwrite each other. The write only lands if updated_at is still the value that was
+ * read; otherwise the row is read again and the change re-applied to the new version.
+ * Every writer of event_brackets bumps updated_at, which is what makes this work.
+ */
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @param {string} bracketId
+ * @param {(bracket: object) => object | null} change - Gets the freshly read row (its
+ *   bracket_data may be modified in place); returns the columns to write, or null when
+ *   there is nothing to change. Called again on every retry, so it must not have side effects.
+ * @returns {Promise<{ bracket: object | null, updated: boolean }>} the row as written
+ *   (or as read, when nothing changed); bracket is null when the row does not exist
+ */
+export const updateBracketWithRetry = async (bracketId, change) => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const { data: bracket, error } = await supabaseAdmin
+            .from("event_brackets")
+            .select("*")
+            .eq("id", bracketId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!bracket) return { bracket: null, updated: false };
+
+        const update = change(bracket);
+        if (!update) return { bracket, updated: false };
+
+        let query = supabaseAdmin
+            .from("event_brackets")
+            .update({ ...update, updated_at: new Date().toISOString() })
+            .eq("id", bracketId);
+        query = bracket.updated_at ? query.eq("updated_at", bracket.updated_at) : query.is("updated_at", null);
+
+        const { data: written, error: updateError } = await query.select();
+        if (updateError) throw updateError;
+        if (written && written.length > 0) return { bracket: written[0], updated: true };
+    }
+
+    throw new Error(`Bracket ${bracketId} kept changing during the update; gave up after ${MAX_ATTEMPTS} attempts`);
+};
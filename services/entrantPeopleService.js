@@ -0,0 +1,80 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+
+/**
+ * The people behind match entrants.
+ *
+ * Match entrants are users (singles) or player_teams (doubles / mixed). A team stands for
+ * its captain and every listed member; members are matched to accounts by player_id or
+ * mobile, so the same person is recognised in singles and in any team they play for.
+ */
+
+const displayName = (user) => user.name || `${user.first_name || ""} ${user.last_name || ""}`.trim() || "Player";
+
+/**
+ * People behind each entrant id.
+ * @param {string[]} entrantIds - player_a / player_b ids from matches
+ * @returns {Promise<Map<string, Array<{ id: string, name: string }>>>} person id = "user:<id>" when
+ *   the account is known, otherwise "player:<player_id>" / "mobile:<mobile>"
+ */
+export const resolveEntrantPeople = async (entrantIds) => {
+    const ids = [...new Set(entrantIds.filter(Boolean).map(String))];
+    const people = new Map();
+    if (ids.length === 0) return people;
+
+    const { data: teams, error: teamsError } = await supabaseAdmin
+        .from("player_teams")
+        .select("id, team_name, captain_id, captain_name, members")
+        .in("id", ids);
+
+    if (teamsError) throw teamsError;
+
+    const members = (teams || []).flatMap((t) => (Array.isArray(t.members) ? t.members : []));
+    const playerCodes = [...new Set(members.map((m) => m?.player_id).filter(Boolean))];
+    const mobiles = [...new Set(members.map((m) => m?.mobile).filter(Boolean))];
+
+    const userQueries = [supabaseAdmin.from("users").select("id, name, first_name, last_name, mobile, player_id").in("id", ids)];
+    if (playerCodes.length > 0) {
+        userQueries.push(supabaseAdmin.from("users").select("id, name, first_name, last_name, mobile, player_id").in("player_id", playerCodes));
+    }
+    if (mobiles.length > 0) {
+        userQueries.push(supabaseAdmin.from("users").select("id, name, first_name, last_name, mobile, player_id").in("mobile", mobiles));
+    }
+
+    const users = new Map();
+    for (const { data, error } of await Promise.all(userQueries)) {
+        if (error) throw error;
+        (data || []).forEach((u) => users.set(String(u.id), u));
+    }
+
+    const findUser = (member) => [...users.values()].find((u) =>
+        (member.player_id && u.player_id === member.player_id) || (member.mobile && u.mobile === member.mobile)
+    );
+
+    for (const team of teams || []) {
+        const teamPeople = [];
+        const add = (person) => {
+            if (person && !teamPeople.some((p) => p.id === person.id)) teamPeople.push(person);
+        };
+
+        if (team.captain_id) {
+            const captain = users.get(String(team.captain_id));
+            add({ id: `user:${team.captain_id}`, name: captain ? displayName(captain) : team.captain_name || "Captain" });
+        }
+        for (const member of Array.isArray(team.members) ? team.members : []) {
+            if (!member) continue;
+            const user = findUser(member);
+            if (user) add({ id: `user:${user.id}`, name: displayName(user) });
+            else if (member.player_id) add({ id: `player:${member.player_id}`, name: member.name || member.player_id });
+            else if (member.mobile) add({ id: `mobile:${member.mobile}`, name: member.name || "Player" });
+        }
+        people.set(String(team.id), teamPeople);
+    }
+
+    for (const id of ids) {
+        if (people.has(id)) continue;
+        const user = users.get(id);
+        people.set(id, [{ id: `user:${id}`, name: user ? displayName(user) : "Player" }]);
+    }
+
+    return people;
+};
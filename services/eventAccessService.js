@@ -0,0 +1,83 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { ADMIN, getEventCapabilities } from "../utils/permissions.js";
+
+/**
+ * Event-scoped access for admins. A superadmin manages every event; an admin holds
+ * capabilities (utils/permissions.js) on the events they created (events.created_by),
+ * are assigned to (events.assigned_to) or were granted through event_admins:
+ *
+ *   event_admins - event_id, user_id, capabilities text[], granted_by, created_at
+ */
+
+/**
+ * @param {string} eventId
+ * @param {string} userId
+ * @returns {Promise<object | null>} the event_admins row
+ */
+export const getEventAdminGrant = async (eventId, userId) => {
+    if (!userId) return null;
+
+    const { data, error } = await supabaseAdmin
+        .from("event_admins")
+        .select("*")
+        .eq("event_id", eventId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<string[]>} ids of events shared with the admin through event_admins
+ */
+export const getGrantedEventIds = async (userId) => {
+    const { data, error } = await supabaseAdmin
+        .from("event_admins")
+        .select("event_id")
+        .eq("user_id", userId);
+
+    if (error) throw error;
+    return [...new Set((data || []).map((row) => String(row.event_id)))];
+};
+
+/**
+ * PostgREST `or` filter matching every event an admin has access to
+ * (for the admin_id list filters).
+ * @param {string} adminId
+ * @returns {Promise<string>}
+ */
+export const buildAdminEventFilter = async (adminId) => {
+    const grantedIds = await getGrantedEventIds(adminId);
+    const filters = [`created_by.eq.${adminId}`, `assigned_to.eq.${adminId}`];
+    if (grantedIds.length > 0) filters.push(`id.in.(${grantedIds.join(",")})`);
+    return filters.join(",");
+};
+
+/**
+ * @param {{ id: string, role: string }} user - Decoded JWT (req.user)
+ * @param {string} eventId
+ * @param {string} [capability] - Required capability; without one any access to the event is enough
+ * @returns {Promise<{ allowed: boolean, event: object | null, capabilities: string[] }>} event null when it does not exist
+ */
+export const checkEventAccess = async (user, eventId, capability) => {
+    const { data: event, error } = await supabaseAdmin
+        .from("events")
+        .select("id, created_by, assigned_to")
+        .eq("id", eventId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!event) return { allowed: false, event: null, capabilities: [] };
+
+    const userId = String(user?.id || "");
+    const isCollaborator = user?.role === ADMIN && !!userId &&
+        String(event.created_by) !== userId && String(event.assigned_to) !== userId;
+    const grant = isCollaborator ? await getEventAdminGrant(eventId, userId) : null;
+
+    const capabilities = getEventCapabilities(user, event, grant);
+    const allowed = capability ? capabilities.includes(capability) : capabilities.length > 0;
+
+    return { allowed, event, capabilities };
+};
@@ -0,0 +1,185 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import {
+    buildFirstRoundMatches,
+    getAllRounds,
+    inferRoundLabelFromMatchCount,
+    makeEmptyMatch
+} from "../utils/bracketDraw.js";
+import { syncConsolationRounds } from "../utils/consolationRounds.js";
+import { DOUBLE_ELIMINATION, SINGLE_ELIMINATION } from "../utils/doubleElimination.js";
+import { buildKnockoutSlots, GROUP_ROUND_PREFIX, GROUPS_FORMAT, isGroupRoundName } from "../utils/groupStage.js";
+import { computeLeagueStandings } from "../utils/standings.js";
+import { withSportLeaguePoints } from "../utils/sportRules.js";
+import { getEventSportRules } from "./sportRulesService.js";
+
+const isUuid = (value) => {
+    if (!value || typeof value !== "string") return false;
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value.trim());
+};
+
+const sameCategory = (a, b) => a != null && b != null && (String(a) === String(b) || a == b);
+
+/**
+ * Load the GROUPS league config and the group matches for a category.
+ * @returns {Promise<{ league: object | null, groupMatches: Array }>}
+ */
+export const loadGroupStage = async (eventId, categoryId, categoryLabel) => {
+    let query = supabaseAdmin
+        .from("leagues")
+        .select("*")
+        .eq("event_id", eventId);
+
+    if (categoryId) {
+        // leagues.category_id is TEXT (UUID or ids like "1767354643599")
+        query = query.eq("category_id", String(categoryId));
+    } else {
+        query = query.eq("category_label", categoryLabel);
+    }
+
+    const { data: league, error } = await query.maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    if (!league) return { league: null, groupMatches: [] };
+
+    const { data: eventMatches, error: matchesError } = await supabaseAdmin
+        .from("matches")
+        .select("*")
+        .eq("event_id", eventId);
+
+    if (matchesError) throw matchesError;
+
+    const categoryIdForMatches = league.category_id || categoryId;
+    const groupMatches = (eventMatches || []).filter(
+        (m) => isGroupRoundName(m.round_name) && sameCategory(m.category_id, categoryIdForMatches)
+    );
+
+    return { league, groupMatches };
+};
+
+/**
+ * Standings for every configured group.
+ * @param {object} league
+ * @param {Array} groupMatches
+ * @param {object} [rules] - Points / tiebreak rules (defaults to league.rules)
+ * @returns {Array<{ name: string, standings: Array, matchesPlayed: number, matchesTotal: number }>}
+ */
+export const computeAllGroupStandings = (league, groupMatches, rules = league.rules) => {
+    const participants = Array.isArray(league.participants) ? league.participants : [];
+    const byId = new Map(participants.map((p) => [String(p.id), p]));
+
+    return (league.rules?.groups || []).map((group) => {
+        const members = group.participantIds.map((id) => byId.get(String(id))).filter(Boolean);
+        const matches = groupMatches.filter((m) => m.round_name === `${GROUP_ROUND_PREFIX}${group.name}`);
+        return {
+            name: group.name,
+            standings: computeLeagueStandings(members, matches, rules),
+            matchesPlayed: matches.filter((m) => m.status === "COMPLETED").length,
+            matchesTotal: (members.length * (members.length - 1)) / 2
+        };
+    });
+};
+
+/**
+ * Seed the category's knockout bracket from final group standings.
+ * Creates the BRACKET row if the category has none yet. Safe to call repeatedly:
+ * nothing happens until every group match is COMPLETED, and a bracket that was
+ * already seeded from the groups is left alone.
+ *
+ * @returns {Promise<{ success: boolean, code?: string, message: string, bracket?: object }>}
+ */
+export const seedKnockoutFromGroups = async ({ eventId, categoryId, categoryLabel }) => {
+    const { league, groupMatches } = await loadGroupStage(eventId, categoryId, categoryLabel);
+
+    if (!league) {
+        return { success: false, code: "LEAGUE_NOT_FOUND", message: "League configuration not found" };
+    }
+    if (league.rules?.format !== GROUPS_FORMAT) {
+        return { success: false, code: "NOT_GROUPS", message: "This category is not configured as groups + knockout" };
+    }
+
+    const sportRules = await getEventSportRules(eventId);
+    const groups = computeAllGroupStandings(league, groupMatches, withSportLeaguePoints(league.rules, sportRules));
+    const pending = groups.filter((g) => g.matchesPlayed < g.matchesTotal).map((g) => g.name);
+    if (groups.length === 0 || pending.length > 0) {
+        return {
+            success: false,
+            code: "GROUPS_INCOMPLETE",
+            message: `All group matches must be COMPLETED first. Pending groups: ${pending.join(", ") || "none generated"}`
+        };
+    }
+
+    // Find (or create) the BRACKET row for this category
+    const label = league.category_label || categoryLabel;
+    const bracketCategoryId = isUuid(league.category_id) ? league.category_id : null;
+
+    let query = supabaseAdmin
+        .from("event_brackets")
+        .select("*")
+        .eq("event_id", eventId)
+        .eq("mode", "BRACKET");
+
+    query = bracketCategoryId ? query.eq("category_id", bracketCategoryId) : query.eq("category", label);
+
+    const { data: brackets, error: fetchError } = await query;
+    if (fetchError) throw fetchError;
+
+    const bracket = brackets?.[0] || null;
+    if (bracket) {
+        if (bracket.bracket_data?.source === GROUPS_FORMAT && (bracket.bracket_data?.rounds || []).length > 0) {
+            return { success: true, code: "ALREADY_SEEDED", message: "Knockout already seeded from groups", bracket };
+        }
+        if (bracket.published === true) {
+            return { success: false, code: "BRACKET_PUBLISHED", message: "Cannot modify a published bracket. Unpublish first." };
+        }
+        if ((bracket.bracket_data?.rounds || []).length > 0) {
+            return { success: false, code: "BRACKET_NOT_EMPTY", message: "Bracket already has rounds. Reset it before seeding from groups." };
+        }
+        if (bracket.bracket_data?.format === DOUBLE_ELIMINATION) {
+            return { success: false, code: "UNSUPPORTED_FORMAT", message: "Groups can only feed a single-elimination bracket" };
+        }
+    }
+
+    const qualifiersPerGroup = league.rules.qualifiersPerGroup || 2;
+    const slots = buildKnockoutSlots(groups, qualifiersPerGroup);
+    const firstRoundMatches = buildFirstRoundMatches(slots, makeEmptyMatch);
+    const firstRoundName = inferRoundLabelFromMatchCount(firstRoundMatches.length, 0);
+
+    const qualifiers = slots.filter(Boolean);
+    const bracketData = {
+        ...(bracket?.bracket_data || { format: SINGLE_ELIMINATION }),
+        source: GROUPS_FORMAT,
+        rounds: [{ name: firstRoundName, matches: firstRoundMatches }],
+        players: qualifiers.map((q) => ({ id: q.id, name: q.name, group: q.group, groupRank: q.groupRank, eliminated: false }))
+    };
+    syncConsolationRounds(bracketData, makeEmptyMatch, inferRoundLabelFromMatchCount);
+
+    const roundStructure = getAllRounds(bracketData).map((r) => ({ name: r.name, slots: r.matches.length * 2 }));
+
+    const payload = {
+        // legacy compatibility
+        round_name: bracket?.round_name || "Bracket",
+        draw_type: "bracket",
+        draw_data: bracketData,
+        round_structure: roundStructure,
+        bracket_data: bracketData,
+        updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = bracket
+        ? await supabaseAdmin.from("event_brackets").update(payload).eq("id", bracket.id).select().single()
+        : await supabaseAdmin
+            .from("event_brackets")
+            .insert({
+                ...payload,
+                event_id: eventId,
+                category: label,
+                category_id: bracketCategoryId,
+                mode: "BRACKET",
+                published: false
+            })
+            .select()
+            .single();
+
+    if (error) throw error;
+
+    return { success: true, message: `Knockout seeded with ${qualifiers.length} qualifiers`, bracket: data };
+};
@@ -0,0 +1,113 @@
+import { EventEmitter } from "node:events";
+
+/**
+ * In-process event bus for live scores (single Node process).
+ *
+ * Match controllers publish after every write; the SSE endpoint subscribes per event.
+ * Each published change gets an id "<boot id>-<sequence>": the sequence increases
+ * process-wide, and the last REPLAY_BUFFER_SIZE changes per event are kept so
+ * reconnecting clients can resume from Last-Event-ID. The boot id is new on every
+ * start, so an id from before a restart never matches and the client is told to
+ * resync (refetch GET /api/events/:id/matches) instead of getting an unrelated replay.
+ */
+
+export const MATCH_CREATED = "match.created";
+export const MATCH_UPDATED = "match.updated";
+export const MATCH_DELETED = "match.deleted";
+
+const REPLAY_BUFFER_SIZE = 500;
+
+const emitter = new EventEmitter();
+// One listener per connected spectator
+emitter.setMaxListeners(0);
+
+const BOOT_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const buffers = new Map(); // eventId => [{ seq, change: { id, type, eventId, categoryId, match, at } }]
+const trimmedThrough = new Map(); // eventId => sequence of the newest change dropped from the buffer
+let lastSeq = 0;
+
+// Sequence of an id issued by this process, or null (malformed / previous process)
+const parseEventId = (value) => {
+    const [bootId, seq] = String(value ?? "").split("-");
+    const n = Number(seq);
+    return bootId === BOOT_ID && Number.isInteger(n) && n >= 0 && n <= lastSeq ? n : null;
+};
+
+// Same public fields as getPublicMatches
+const toPublicMatch = (match) => ({
+    id: match.id,
+    event_id: match.event_id,
+    category_id: match.category_id,
+    round_name: match.round_name,
+    matchday: match.matchday ?? null,
+    court: match.court ?? null,
+    scheduled_at: match.scheduled_at ?? null,
+    player_a: match.player_a,
+    player_b: match.player_b,
+    score: match.score,
+    status: match.status,
+    winner: match.winner,
+    result_type: match.result_type ?? null,
+    result_reason: match.result_reason ?? null,
+    updated_at: match.updated_at
+});
+
+/**
+ * Publish a match change to spectators of its event.
+ * @param {string} type - MATCH_CREATED | MATCH_UPDATED | MATCH_DELETED
+ * @param {object} match - Row from the matches table
+ */
+export const publishMatchChange = (type, match) => {
+    if (!match?.event_id) return;
+
+    const eventId = String(match.event_id);
+    const seq = ++lastSeq;
+    const change = {
+        id: `${BOOT_ID}-${seq}`,
+        type,
+        eventId,
+        categoryId: match.category_id != null ? String(match.category_id) : null,
+        match: toPublicMatch(match),
+        at: new Date().toISOString()
+    };
+
+    const buffer = buffers.get(eventId) || [];
+    buffer.push({ seq, change });
+    if (buffer.length > REPLAY_BUFFER_SIZE) trimmedThrough.set(eventId, buffer.shift().seq);
+    buffers.set(eventId, buffer);
+
+    emitter.emit(eventId, change);
+};
+
+/**
+ * @param {string} eventId
+ * @param {(change: object) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToEvent = (eventId, listener) => {
+    const key = String(eventId);
+    emitter.on(key, listener);
+    return () => emitter.off(key, listener);
+};
+
+/**
+ * Changes after lastEventId for replay on reconnect.
+ * @returns {{ changes: Array, complete: boolean }} complete = false when lastEventId is
+ *   older than the buffer (or from a previous process) and the client must resync
+ */
+export const getChangesSince = (eventId, lastEventId) => {
+    const buffer = buffers.get(String(eventId)) || [];
+    const since = parseEventId(lastEventId);
+
+    if (since === null) {
+        return { changes: [], complete: false };
+    }
+
+    // Changes after lastEventId were already dropped from the buffer
+    if (since < (trimmedThrough.get(String(eventId)) || 0)) {
+        return { changes: [], complete: false };
+    }
+
+    return { changes: buffer.filter((entry) => entry.seq > since).map((entry) => entry.change), complete: true };
+};
@@ -0,0 +1,102 @@
+import { sendAccountLockedEmail } from "../utils/mailer.js";
+import { createNotification } from "./notificationService.js";
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+/**
+ * Failed-login throttling for password logins (players and admins):
+ *   - the first FREE_ATTEMPTS failures cost nothing
+ *   - each further failure doubles the wait before the next attempt (1s, 2s, 4s ... 5 min)
+ *   - MAX_FAILED_ATTEMPTS failures lock the account for LOCKOUT_MINUTES and tell the
+ *     owner (notification + email), since it usually means someone is guessing
+ *   - failures are forgotten FAILURE_WINDOW_MINUTES after the last one, or on success
+ *
+ * State is kept per account (unknown identifiers per identifier, so they behave the
+ * same and do not reveal who is registered) in the rate limit store. Per-IP request
+ * limits are separate (middleware/rateLimitMiddleware.js).
+ */
+
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 10;
+const LOCKOUT_MINUTES = 30;
+const FAILURE_WINDOW_MINUTES = 60;
+
+const stateKey = (key) => `login:${key}`;
+
+const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+/**
+ * @param {{ id: string } | null} user - The account, when the identifier matched one
+ * @param {string} identifier - As typed (email / mobile / Player ID / Aadhaar)
+ * @returns {string} throttle key for the calls below
+ */
+export const loginThrottleKey = (user, identifier) =>
+    user ? `user:${user.id}` : `identifier:${String(identifier).trim().toLowerCase()}`;
+
+/**
+ * Call before checking the password.
+ * @param {string} key - loginThrottleKey()
+ * @returns {Promise<{ allowed: boolean, code?: string, message?: string, retryAfter?: number }>}
+ */
+export const checkLoginThrottle = async (key) => {
+    const state = await getRateLimitStore().get(stateKey(key));
+    if (!state || !state.blockedUntil || state.blockedUntil <= Date.now()) return { allowed: true };
+
+    const retryAfter = retryAfterSeconds(state.blockedUntil);
+    return state.locked
+        ? { allowed: false, code: "ACCOUNT_LOCKED", message: `Too many failed attempts. Account locked, try again in ${Math.ceil(retryAfter / 60)} minutes.`, retryAfter }
+        : { allowed: false, code: "LOGIN_THROTTLED", message: `Too many failed attempts. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`, retryAfter };
+};
+
+/**
+ * Call after a wrong password (or unknown identifier).
+ * @param {string} key - loginThrottleKey()
+ * @param {{ id: string, email?: string, name?: string, first_name?: string } | null} user - Notified on lockout
+ * @returns {Promise<{ locked: boolean }>}
+ */
+export const recordFailedLogin = async (key, user = null) => {
+    const store = getRateLimitStore();
+    const previous = await store.get(stateKey(key));
+    const failures = (previous?.locked ? 0 : previous?.failures || 0) + 1;
+    const now = Date.now();
+
+    if (failures >= MAX_FAILED_ATTEMPTS) {
+        const blockedUntil = now + LOCKOUT_MINUTES * 60 * 1000;
+        await store.set(stateKey(key), { failures, blockedUntil, locked: true }, LOCKOUT_MINUTES * 60 * 1000);
+        console.warn(`LOGIN LOCKOUT: ${key} after ${failures} failed attempts`);
+
+        if (user) {
+            createNotification(
+                user.id,
+                "Account temporarily locked",
+                `We blocked sign-in for ${LOCKOUT_MINUTES} minutes after ${failures} wrong passwords. If this wasn't you, reset your password.`,
+                "warning"
+            );
+            sendAccountLockedEmail(user.email, {
+                name: user.name || user.first_name,
+                attempts: failures,
+                unlockAt: new Date(blockedUntil)
+            });
+        }
+        return { locked: true };
+    }
+
+    const delay = failures > FREE_ATTEMPTS
+        ? Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS)
+        : 0;
+    await store.set(
+        stateKey(key),
+        { failures, blockedUntil: delay ? now + delay : null, locked: false },
+        FAILURE_WINDOW_MINUTES * 60 * 1000
+    );
+    return { locked: false };
+};
+
+/**
+ * Call after a successful login.
+ * @param {string} key - loginThrottleKey()
+ */
+export const clearFailedLogins = async (key) => {
+    await getRateLimitStore().delete(stateKey(key));
+};
@@ -0,0 +1,175 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+
+/**
+ * Append-only match event log (match_events table).
+ *
+ * Every score / status / winner / result change on a match is recorded with who made it,
+ * when, and the previous and new value of each changed field:
+ *   { match_id, event_id, category_id, type, changes: { field: { from, to } }, detail,
+ *     note, created_by, created_at, undone_at, undone_by, undo_of }
+ *
+ * Types:
+ *   - SCORE_UPDATE - PUT /matches/:matchId/score
+ *   - FINALIZE     - round finalization
+ *   - POINT        - one point scored live (detail = { side, game })
+ *   - UNDO         - reverts an earlier event (undo_of = its id)
+ *
+ * Rows are never edited except to stamp undone_at / undone_by on the event an UNDO reverts.
+ */
+
+export const SCORE_UPDATE = "SCORE_UPDATE";
+export const FINALIZE = "FINALIZE";
+export const POINT = "POINT";
+export const UNDO = "UNDO";
+
+const TRACKED_FIELDS = ["score", "status", "winner", "result_type", "result_reason"];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const diffMatch = (before, after) => {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (!(field in after) || sameValue(before?.[field], after[field])) continue;
+        changes[field] = { from: before?.[field] ?? null, to: after[field] ?? null };
+    }
+    return changes;
+};
+
+/**
+ * Record a match change. Best effort: a failed write is logged and the score update
+ * it belongs to still stands.
+ * @param {{ before: object, after: object, type: string, actorId?: string, note?: string, detail?: object }} input
+ *   before / after - match rows around the change
+ * @returns {Promise<object | null>} the event row, null when nothing changed or the write failed
+ */
+export const recordMatchEvent = async ({ before, after, type, actorId = null, note = null, detail = null }) => {
+    const changes = diffMatch(before, after);
+    if (Object.keys(changes).length === 0) return null;
+
+    try {
+        const { data, error } = await supabaseAdmin
+            .from("match_events")
+            .insert({
+                match_id: after.id || before.id,
+                event_id: after.event_id || before.event_id,
+                category_id: after.category_id ?? before.category_id ?? null,
+                type,
+                changes,
+                detail,
+                note: note ? String(note).trim() || null : null,
+                created_by: actorId,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error("Record match event error:", err);
+        return null;
+    }
+};
+
+/**
+ * Full history of a match, oldest first (undone events included, marked undone_at).
+ * @param {string} matchId
+ * @returns {Promise<Array>}
+ */
+export const getMatchTimeline = async (matchId) => {
+    const { data, error } = await supabaseAdmin
+        .from("match_events")
+        .select("*")
+        .eq("match_id", matchId)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Undo the latest change to a match that has not been undone yet: its fields go back to
+ * their previous values and an UNDO event is appended. Repeated undos walk back through
+ * the history. Knockout results that have already advanced the bracket (completing the match,
+ * or changing the winner / result type of a completed one) are not undone here.
+ *
+ * @param {object} match - Current row from the matches table
+ * @param {{ actorId?: string, note?: string, isKnockout?: boolean }} options
+ * @returns {Promise<{ success: boolean, code?: string, message: string, match?: object, undone?: object, event?: object }>}
+ */
+export const undoLastMatchEvent = async (match, { actorId = null, note = null, isKnockout = false } = {}) => {
+    const { data: last, error } = await supabaseAdmin
+        .from("match_events")
+        .select("*")
+        .eq("match_id", match.id)
+        .neq("type", UNDO)
+        .is("undone_at", null)
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!last) {
+        return { success: false, code: "NOTHING_TO_UNDO", message: "No changes to undo for this match" };
+    }
+
+    const changes = last.changes || {};
+    const fields = Object.keys(changes).filter((field) => TRACKED_FIELDS.includes(field));
+
+    // The match was changed without being logged (or by someone else in between)
+    if (fields.some((field) => !sameValue(match[field], changes[field].to))) {
+        return { success: false, code: "MATCH_CHANGED", message: "The match has changed since this event - reload and try again" };
+    }
+
+    // Completing the match advanced the bracket; so did re-deciding a completed one
+    const decidesResult = changes.status?.to === "COMPLETED"
+        || (match.status === "COMPLETED" && (changes.winner || changes.result_type));
+    if (isKnockout && decidesResult) {
+        return {
+            success: false,
+            code: "KNOCKOUT_ADVANCED",
+            message: "This result has already advanced the bracket - correct it in the bracket editor"
+        };
+    }
+
+    const restore = Object.fromEntries(fields.map((field) => [field, changes[field].from]));
+    const now = new Date().toISOString();
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from("matches")
+        .update({ ...restore, updated_at: now })
+        .eq("id", match.id)
+        .select()
+        .single();
+
+    if (updateError) throw updateError;
+
+    const { error: markError } = await supabaseAdmin
+        .from("match_events")
+        .update({ undone_at: now, undone_by: actorId })
+        .eq("id", last.id);
+
+    if (markError) throw markError;
+
+    const { data: event, error: insertError } = await supabaseAdmin
+        .from("match_events")
+        .insert({
+            match_id: match.id,
+            event_id: match.event_id,
+            category_id: match.category_id ?? null,
+            type: UNDO,
+            changes: diffMatch(match, restore),
+            undo_of: last.id,
+            note: note ? String(note).trim() || null : null,
+            created_by: actorId,
+            created_at: now
+        })
+        .select()
+        .single();
+
+    if (insertError) throw insertError;
+
+    return { success: true, message: `Undid ${last.type.toLowerCase().replace("_", " ")}`, match: updated, undone: last, event };
+};
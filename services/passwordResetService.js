@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { checkPasswordPolicy, hashPassword, hasPasswordLogin } from "../utils/password.js";
+import { sendEmailOtp, sendMobileOtp, verifyEmailOtp, verifyMobileOtp } from "./otpService.js";
+import { revokeUserSessions } from "./sessionService.js";
+
+dotenv.config({ quiet: true });
+
+/**
+ * Forgot-password flow for players and admins:
+ *   1. requestPasswordReset  - OTP to the account's email or mobile (otpService.js)
+ *   2. verifyPasswordResetOtp - OTP checked, short-lived reset token issued
+ *   3. resetPassword          - token used once, password replaced, every session revoked
+ *
+ *   password_resets - id, user_id, method, session_id, attempts, expires_at, verified_at, used_at, created_at
+ *
+ * The first step answers before looking the account up: the same opaque request id
+ * comes back for unknown accounts, with the same timing, so it does not reveal who is
+ * registered. The lookup, OTP and password_resets row happen after the response.
+ * The mobile OTP session id stays server-side.
+ */
+
+const REQUEST_TTL_MINUTES = 10;
+const RESET_TOKEN_TTL = "15m";
+const MAX_OTP_ATTEMPTS = 5;
+const RESET_TOKEN_TYPE = "password-reset";
+
+const INVALID_REQUEST = { success: false, code: "INVALID_RESET", message: "Invalid or expired reset request" };
+
+/**
+ * Account for an email, mobile number, player id or Aadhaar (same identifiers as login).
+ */
+const findAccount = async (identifier) => {
+    const input = String(identifier || "").trim();
+    if (!input) return null;
+
+    let query = supabaseAdmin.from("users").select("id, email, mobile, role, password");
+    if (input.includes("@")) query = query.eq("email", input);
+    else if (input.toUpperCase().startsWith("P")) query = query.eq("player_id", input);
+    else query = query.or(`mobile.eq.${input},aadhaar.eq.${input},player_id.eq.${input}`);
+
+    const { data, error } = await query.limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+};
+
+/**
+ * Look the account up and send its OTP under a request id already handed out.
+ * Unknown and Google-only accounts get nothing; the id then never verifies.
+ */
+const deliverPasswordReset = async (requestId, identifier, method) => {
+    const user = await findAccount(identifier);
+    const destination = method === "email" ? user?.email : user?.mobile;
+    if (!user || !destination || !hasPasswordLogin(user.password)) return;
+
+    let sessionId = null;
+    if (method === "mobile") {
+        sessionId = (await sendMobileOtp(destination)).sessionId;
+    } else {
+        await sendEmailOtp(destination);
+    }
+
+    const now = new Date();
+    const { error } = await supabaseAdmin
+        .from("password_resets")
+        .insert({
+            id: requestId,
+            user_id: user.id,
+            method,
+            session_id: sessionId,
+            attempts: 0,
+            expires_at: new Date(now.getTime() + REQUEST_TTL_MINUTES * 60 * 1000).toISOString(),
+            created_at: now.toISOString()
+        });
+
+    if (error) throw error;
+};
+
+/**
+ * @param {{ identifier: string, method: 'email' | 'mobile' }} input
+ * @returns {{ success: boolean, code?: string, message?: string, requestId?: string }}
+ *   the same shape whether or not an account matched
+ */
+export const requestPasswordReset = ({ identifier, method }) => {
+    if (method !== "email" && method !== "mobile") {
+        return { success: false, code: "INVALID_METHOD", message: "method must be 'email' or 'mobile'" };
+    }
+    if (!identifier) {
+        return { success: false, code: "INVALID_IDENTIFIER", message: "Email, mobile or Player ID is required" };
+    }
+
+    const requestId = crypto.randomUUID();
+    deliverPasswordReset(requestId, identifier, method).catch((err) => {
+        console.error("PASSWORD RESET DELIVERY ERROR:", err.message);
+    });
+
+    return { success: true, requestId };
+};
+
+/**
+ * @param {{ requestId: string, otp: string }} input
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, resetToken?: string }>}
+ */
+export const verifyPasswordResetOtp = async ({ requestId, otp }) => {
+    if (!requestId || !otp) {
+        return { success: false, code: "INVALID_OTP", message: "requestId and otp are required" };
+    }
+
+    const { data: request, error } = await supabaseAdmin
+        .from("password_resets")
+        .select("*, users:user_id ( id, email )")
+        .eq("id", requestId)
+        .maybeSingle();
+
+    // Unknown ids (including the decoys handed out for unknown accounts) may not be uuids
+    if (error && error.code !== "PGRST116" && error.code !== "22P02") throw error;
+    if (!request || request.used_at || request.verified_at || new Date(request.expires_at) < new Date()) {
+        return INVALID_REQUEST;
+    }
+    if (request.attempts >= MAX_OTP_ATTEMPTS) {
+        return { success: false, code: "TOO_MANY_ATTEMPTS", message: "Too many incorrect codes. Start again." };
+    }
+
+    const verified = request.method === "mobile"
+        ? await verifyMobileOtp(request.session_id, otp)
+        : await verifyEmailOtp(request.users?.email, otp);
+
+    const { error: updateError } = await supabaseAdmin
+        .from("password_resets")
+        .update(verified ? { verified_at: new Date().toISOString() } : { attempts: request.attempts + 1 })
+        .eq("id", request.id);
+
+    if (updateError) throw updateError;
+    if (!verified) {
+        return { success: false, code: "INVALID_OTP", message: "Invalid OTP" };
+    }
+
+    const resetToken = jwt.sign(
+        { id: request.user_id, type: RESET_TOKEN_TYPE },
+        process.env.JWT_SECRET,
+        { jwtid: String(request.id), expiresIn: RESET_TOKEN_TTL }
+    );
+
+    return { success: true, resetToken };
+};
+
+/**
+ * @param {{ resetToken: string, newPassword: string }} input
+ * @returns {Promise<{ success: boolean, code?: string, message?: string }>}
+ */
+export const resetPassword = async ({ resetToken, newPassword }) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(resetToken, process.env.JWT_SECRET);
+    } catch {
+        return INVALID_REQUEST;
+    }
+    if (decoded.type !== RESET_TOKEN_TYPE || !decoded.jti) return INVALID_REQUEST;
+
+    const policyError = checkPasswordPolicy(newPassword);
+    if (policyError) {
+        return { success: false, code: "WEAK_PASSWORD", message: policyError };
+    }
+
+    // Claim the request first so a token can only be used once, even concurrently
+    const { data: claimed, error: claimError } = await supabaseAdmin
+        .from("password_resets")
+        .update({ used_at: new Date().toISOString() })
+        .eq("id", decoded.jti)
+        .eq("user_id", decoded.id)
+        .not("verified_at", "is", null)
+        .is("used_at", null)
+        .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return INVALID_REQUEST;
+
+    const { error } = await supabaseAdmin
+        .from("users")
+        .update({ password: await hashPassword(newPassword) })
+        .eq("id", decoded.id);
+
+    if (error) throw error;
+
+    await revokeUserSessions(decoded.id);
+
+    return { success: true };
+};
@@ -0,0 +1,29 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+
+/**
+ * Check a user's password and, on success, upgrade a plain-text (pre-hashing) or
+ * outdated hash in place. The upgrade is best effort: a failed write is logged and
+ * the login still succeeds.
+ * @param {{ id: string, password?: string }} user - users row (needs id + password)
+ * @param {string} password - As typed
+ * @returns {Promise<boolean>}
+ */
+export const checkUserPassword = async (user, password) => {
+    const { valid, needsRehash } = await verifyPassword(password, user?.password);
+    if (!valid) return false;
+
+    if (needsRehash) {
+        try {
+            const { error } = await supabaseAdmin
+                .from("users")
+                .update({ password: await hashPassword(password) })
+                .eq("id", user.id);
+            if (error) throw error;
+        } catch (err) {
+            console.error("PASSWORD UPGRADE ERROR:", err.message);
+        }
+    }
+
+    return true;
+};
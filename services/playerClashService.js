@@ -0,0 +1,68 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getPlayerId } from "../utils/matchPlayers.js";
+import { findPlayerClashes } from "../utils/playerClashes.js";
+import { getLocalDate, getMatchDuration, normalizeScheduleConfig } from "../utils/scheduler.js";
+import { resolveEntrantPeople } from "./entrantPeopleService.js";
+import { loadSchedule } from "./scheduleService.js";
+
+/**
+ * Player clash checks for scheduled matches: anyone (including doubles partners, via
+ * services/entrantPeopleService.js) booked in overlapping matches or without the rest time.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Clash report for an event's scheduled (not completed) matches.
+ *
+ * @param {string} eventId
+ * @param {{ restMinutes?: number, date?: string, changes?: Array<{ matchId: string, court?: string, scheduled_at: string, duration_minutes?: number }> }} options
+ *   restMinutes - defaults to the schedule config (0 without one)
+ *   date        - venue-local YYYY-MM-DD, only matches starting that day
+ *   changes     - proposed slots (a match being scheduled or moved); only clashes involving them are reported
+ * @returns {Promise<{ restMinutes: number, checkedMatches: number, clashes: Array }>}
+ */
+export const findEventClashes = async (eventId, { restMinutes, date, changes = [] } = {}) => {
+    const schedule = await loadSchedule(eventId);
+    const { config } = normalizeScheduleConfig(schedule?.config);
+    const rest = restMinutes ?? config?.restMinutes ?? 0;
+    const utcOffset = config?.utcOffset || "+00:00";
+
+    const { data: matches, error } = await supabaseAdmin
+        .from("matches")
+        .select("id, category_id, round_name, match_index, player_a, player_b, status, court, scheduled_at, duration_minutes")
+        .eq("event_id", eventId)
+        .neq("status", "COMPLETED");
+
+    if (error) throw error;
+
+    const changeById = new Map(changes.map((c) => [String(c.matchId), c]));
+    const slots = (matches || [])
+        .map((m) => ({ ...m, ...(changeById.has(String(m.id)) ? changeById.get(String(m.id)) : {}) }))
+        .filter((m) => m.scheduled_at && (!date || getLocalDate(m.scheduled_at, utcOffset) === date));
+
+    const people = await resolveEntrantPeople(slots.flatMap((m) => [getPlayerId(m.player_a), getPlayerId(m.player_b)]));
+
+    const bookings = slots.map((m) => {
+        const start = new Date(m.scheduled_at).getTime();
+        const duration = m.duration_minutes || (config ? getMatchDuration(config, m.category_id) : 30);
+        return {
+            matchId: m.id,
+            categoryId: m.category_id,
+            roundName: m.round_name,
+            court: m.court || null,
+            start,
+            end: start + duration * MINUTE,
+            people: [getPlayerId(m.player_a), getPlayerId(m.player_b)].filter(Boolean).flatMap((id) => people.get(id) || [])
+        };
+    });
+
+    return {
+        restMinutes: rest,
+        checkedMatches: bookings.length,
+        clashes: findPlayerClashes(bookings, {
+            restMinutes: rest,
+            matchIds: changes.length > 0 ? [...changeById.keys()] : null
+        })
+    };
+};
@@ -0,0 +1,78 @@
+/**
+ * Counter store behind rate limits and login throttling.
+ *
+ * The default is in-process memory, which is correct for a single Node process
+ * (limits reset on restart). Running several instances needs a shared store:
+ * call setRateLimitStore() at startup with an object implementing the same
+ * methods (e.g. backed by Redis INCR + PEXPIRE). Every method may be async.
+ *
+ *   increment(key, windowMs) -> { count, resetAt }  fixed window, starts on the first hit
+ *   get(key)                 -> value | null
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @returns {{ increment: Function, get: Function, set: Function, delete: Function }}
+ */
+export const createMemoryStore = () => {
+    const entries = new Map(); // key => { value, expiresAt }
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    // Expired keys nobody reads again; unref so the timer never keeps the process alive
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        increment(key, windowMs) {
+            const entry = live(key);
+            if (entry) {
+                entry.value += 1;
+                return { count: entry.value, resetAt: entry.expiresAt };
+            }
+            const expiresAt = Date.now() + windowMs;
+            entries.set(key, { value: 1, expiresAt });
+            return { count: 1, resetAt: expiresAt };
+        },
+        get(key) {
+            return live(key)?.value ?? null;
+        },
+        set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+let store = createMemoryStore();
+
+export const getRateLimitStore = () => store;
+
+/**
+ * Swap the store (before the server starts handling requests).
+ * @param {{ increment: Function, get: Function, set: Function, delete: Function }} next
+ */
+export const setRateLimitStore = (next) => {
+    for (const method of ["increment", "get", "set", "delete"]) {
+        if (typeof next?.[method] !== "function") throw new Error(`Rate limit store must implement ${method}()`);
+    }
+    store = next;
+};
@@ -0,0 +1,359 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getAllRounds } from "../utils/bracketDraw.js";
+import { GRAND_FINAL_RESET } from "../utils/doubleElimination.js";
+import { getPlayerId } from "../utils/matchPlayers.js";
+import {
+    buildOrderOfPlay,
+    getBracketFeeders,
+    getLocalDate,
+    getMatchDuration,
+    normalizeScheduleConfig,
+    planSchedule
+} from "../utils/scheduler.js";
+import { updateBracketWithRetry } from "./bracketUpdateService.js";
+import { resolveEntrantPeople } from "./entrantPeopleService.js";
+import { MATCH_UPDATED, publishMatchChange } from "./liveScoreBus.js";
+
+/**
+ * Event scheduling (event_schedules table: event_id, config, last_planned_at, updated_at;
+ * config shape in utils/scheduler.js).
+ *
+ * Planned slots are written to matches.court / scheduled_at / duration_minutes. Knockout
+ * matches whose players are not known yet (no scoreboard row) are planned too, so later
+ * rounds respect their feeders; their provisional slot is kept on the bracket match
+ * (bracket_data court / scheduledAt) and copied to the scoreboard match when it is created.
+ * Those slots are merged into the latest bracket_data under the same concurrency guard as
+ * advancement (bracketUpdateService.js), so a re-plan never writes back results it read
+ * before a concurrent advancement.
+ */
+
+const MINUTE = 60 * 1000;
+
+const playerIdsOf = (a, b) => [getPlayerId(a), getPlayerId(b)].filter(Boolean);
+
+const bracketKey = (bracketId, roundName, matchIndex) => `b:${bracketId}#${roundName}#${matchIndex}`;
+
+// Settled bracket matches put no constraint on later rounds
+const isBracketMatchSettled = (bm) => !bm || !!bm.winner || !!bm.doubleNoShow;
+
+/**
+ * @param {string} eventId
+ * @returns {Promise<object | null>} event_schedules row
+ */
+export const loadSchedule = async (eventId) => {
+    const { data, error } = await supabaseAdmin
+        .from("event_schedules")
+        .select("*")
+        .eq("event_id", eventId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+};
+
+const loadEventMatchesAndBrackets = async (eventId) => {
+    const { data: matches, error: matchesError } = await supabaseAdmin
+        .from("matches")
+        .select("*")
+        .eq("event_id", eventId);
+
+    if (matchesError) throw matchesError;
+
+    const { data: brackets, error: bracketsError } = await supabaseAdmin
+        .from("event_brackets")
+        .select("*")
+        .eq("event_id", eventId)
+        .eq("mode", "BRACKET");
+
+    if (bracketsError) throw bracketsError;
+
+    return {
+        matches: matches || [],
+        brackets: (brackets || []).filter((b) => Array.isArray(b.bracket_data?.rounds))
+    };
+};
+
+/**
+ * Build planner input from the event's matches and knockout brackets.
+ * Players are people, not entrants, so a doubles partner also entered in singles gets
+ * their rest time between the two (people from resolveEntrantPeople).
+ * @returns {{ items: Array, inPlay: Array, meta: Map<string, object> }}
+ */
+const buildPlanInput = (matches, brackets, config, from, people) => {
+    const playersOf = (a, b) => playerIdsOf(a, b).flatMap((id) => (people.get(id) || [{ id }]).map((p) => p.id));
+    const items = [];
+    const inPlay = [];
+    const meta = new Map();
+    const rowByBracketMatch = new Map(
+        matches.filter((m) => m.bracket_id).map((m) => [`${m.bracket_id}#${m.round_name}#${m.match_index}`, m])
+    );
+
+    // Scoreboard match already under way (score entered, not completed) keeps its court
+    const isInPlay = (m) => m.status !== "COMPLETED" && m.score != null;
+    const expectedEnd = (m) => m.scheduled_at
+        ? new Date(m.scheduled_at).getTime() + (m.duration_minutes || getMatchDuration(config, m.category_id)) * MINUTE
+        : from;
+
+    const keyOfBracketMatch = (bracket, roundName, matchIndex) => {
+        const row = rowByBracketMatch.get(`${bracket.id}#${roundName}#${matchIndex}`);
+        return row ? `m:${row.id}` : bracketKey(bracket.id, roundName, matchIndex);
+    };
+
+    for (const m of matches) {
+        if (m.status === "COMPLETED") continue;
+        const key = `m:${m.id}`;
+        meta.set(key, { match: m });
+        if (isInPlay(m)) {
+            inPlay.push({ key, players: playersOf(m.player_a, m.player_b), court: m.court || null, end: expectedEnd(m) });
+            continue;
+        }
+        if (m.bracket_id && brackets.some((b) => b.id === m.bracket_id)) continue; // added with its bracket below
+
+        items.push({
+            key,
+            players: playersOf(m.player_a, m.player_b),
+            feeders: [],
+            duration: getMatchDuration(config, m.category_id),
+            level: m.matchday ? m.matchday - 1 : 0,
+            previousStart: m.scheduled_at || null,
+            court: m.court || null
+        });
+    }
+
+    for (const bracket of brackets) {
+        const data = bracket.bracket_data;
+        const categoryId = bracket.category_id;
+        const roundsByName = new Map(getAllRounds(data).map((r) => [r.name, r]));
+
+        for (const round of getAllRounds(data)) {
+            for (const [matchIndex, bm] of (round.matches || []).entries()) {
+                if (isBracketMatchSettled(bm)) continue;
+
+                if (rowByBracketMatch.get(`${bracket.id}#${round.name}#${matchIndex}`)?.status === "COMPLETED") continue;
+                const key = keyOfBracketMatch(bracket, round.name, matchIndex);
+                if (inPlay.some((m) => m.key === key)) continue;
+
+                const row = meta.get(key)?.match;
+                const feeders = getBracketFeeders(data, round.name, matchIndex)
+                    .filter((f) => !isBracketMatchSettled(roundsByName.get(f.roundName)?.matches?.[f.matchIndex]))
+                    .map((f) => keyOfBracketMatch(bracket, f.roundName, f.matchIndex));
+
+                if (!row) {
+                    const players = playerIdsOf(bm.player1, bm.player2);
+                    // BYEs / empty first-round slots and an unneeded reset are never played
+                    if (feeders.length === 0 && players.length < 2) continue;
+                    if (round.name === GRAND_FINAL_RESET && players.length < 2) continue;
+                    meta.set(key, { bracket, roundName: round.name, matchIndex, bracketMatch: bm });
+                }
+
+                items.push({
+                    key,
+                    players: row ? playersOf(row.player_a, row.player_b) : playersOf(bm.player1, bm.player2),
+                    feeders,
+                    duration: getMatchDuration(config, row?.category_id ?? categoryId),
+                    previousStart: row?.scheduled_at || bm.scheduledAt || null,
+                    court: row?.court || bm.court || null
+                });
+            }
+        }
+    }
+
+    return { items, inPlay, meta };
+};
+
+/**
+ * Plan (or re-plan) court and start time for every match still to be played.
+ * Completed matches are left alone; matches in play hold their court until they finish,
+ * or until `from` when they are running late.
+ *
+ * @param {string} eventId
+ * @param {{ from?: Date, dryRun?: boolean }} options - from defaults to now
+ * @returns {Promise<{ success: boolean, code?: string, message: string, assignments?: Array, unscheduled?: Array }>}
+ */
+export const planEventSchedule = async (eventId, { from = new Date(), dryRun = false } = {}) => {
+    const schedule = await loadSchedule(eventId);
+    const { config, error } = normalizeScheduleConfig(schedule?.config);
+    if (!schedule || error) {
+        return { success: false, code: "SCHEDULE_NOT_CONFIGURED", message: error || "Configure courts and sessions first" };
+    }
+
+    const { matches, brackets } = await loadEventMatchesAndBrackets(eventId);
+    const people = await resolveEntrantPeople([
+        ...matches.filter((m) => m.status !== "COMPLETED").flatMap((m) => playerIdsOf(m.player_a, m.player_b)),
+        ...brackets.flatMap((b) => getAllRounds(b.bracket_data).flatMap((r) => (r.matches || []).flatMap((bm) => playerIdsOf(bm?.player1, bm?.player2))))
+    ]);
+    const { items, inPlay, meta } = buildPlanInput(matches, brackets, config, from.getTime(), people);
+    const { assignments, unscheduled } = planSchedule({ items, inPlay, config, from: from.getTime() });
+
+    const describe = (key) => {
+        const { match, bracket, roundName, matchIndex, bracketMatch } = meta.get(key) || {};
+        return match
+            ? { matchId: match.id, categoryId: match.category_id, roundName: match.round_name, matchIndex: match.match_index, player_a: match.player_a, player_b: match.player_b, provisional: false }
+            : { matchId: null, bracketId: bracket.id, categoryId: bracket.category_id, roundName, matchIndex, player_a: bracketMatch.player1 || null, player_b: bracketMatch.player2 || null, provisional: true };
+    };
+
+    const result = {
+        success: true,
+        message: `Scheduled ${assignments.length} match(es)${unscheduled.length ? `, ${unscheduled.length} could not be placed` : ""}`,
+        assignments: assignments.map((a) => ({ ...describe(a.key), court: a.court, start: a.start, end: a.end })),
+        unscheduled: unscheduled.map((u) => ({ ...describe(u.key), reason: u.reason }))
+    };
+    if (dryRun) return result;
+
+    const slotByKey = new Map(assignments.map((a) => [a.key, a]));
+    const now = new Date().toISOString();
+
+    // Scoreboard matches
+    for (const key of [...assignments.map((a) => a.key), ...unscheduled.map((u) => u.key)]) {
+        const { match } = meta.get(key) || {};
+        if (!match) continue;
+        const slot = slotByKey.get(key);
+        const update = {
+            court: slot?.court ?? null,
+            scheduled_at: slot?.start ?? null,
+            duration_minutes: getMatchDuration(config, match.category_id),
+            updated_at: now
+        };
+        if (match.court === update.court && match.scheduled_at && slot && new Date(match.scheduled_at).getTime() === new Date(slot.start).getTime()) continue;
+
+        const { data, error: updateError } = await supabaseAdmin
+            .from("matches")
+            .update(update)
+            .eq("id", match.id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+        publishMatchChange(MATCH_UPDATED, data);
+    }
+
+    // Bracket matches (display + provisional slots for rounds not on the scoreboard yet)
+    for (const bracket of brackets) {
+        await updateBracketWithRetry(bracket.id, (latest) => {
+            const data = latest.bracket_data;
+            let changed = false;
+            for (const round of getAllRounds(data)) {
+                for (const [matchIndex, bm] of (round.matches || []).entries()) {
+                    if (isBracketMatchSettled(bm)) continue;
+                    const row = matches.find((m) => m.bracket_id === bracket.id && m.round_name === round.name && m.match_index === matchIndex);
+                    const slot = slotByKey.get(row ? `m:${row.id}` : bracketKey(bracket.id, round.name, matchIndex));
+                    if (!slot && row && row.status !== "COMPLETED" && row.score != null) continue; // in play, slot unchanged
+                    if (slot) {
+                        if (bm.court === slot.court && bm.scheduledAt === slot.start) continue;
+                        bm.court = slot.court;
+                        bm.scheduledAt = slot.start;
+                    } else if (bm.court !== undefined || bm.scheduledAt !== undefined) {
+                        delete bm.court;
+                        delete bm.scheduledAt;
+                    } else {
+                        continue;
+                    }
+                    changed = true;
+                }
+            }
+            return changed ? { bracket_data: data, draw_data: data } : null;
+        });
+    }
+
+    const { error: stampError } = await supabaseAdmin
+        .from("event_schedules")
+        .update({ last_planned_at: now, updated_at: now })
+        .eq("event_id", eventId);
+
+    if (stampError) throw stampError;
+
+    return result;
+};
+
+/**
+ * Re-plan the rest of the event when a completed match ran past its planned end
+ * (config.autoReplan). Best effort: errors are logged.
+ * @param {object} match - Completed row from the matches table
+ * @returns {Promise<object | null>} planEventSchedule result when a re-plan ran
+ */
+export const replanIfLate = async (match) => {
+    try {
+        if (!match?.scheduled_at || match.status !== "COMPLETED") return null;
+
+        const schedule = await loadSchedule(match.event_id);
+        const { config } = normalizeScheduleConfig(schedule?.config);
+        if (!config?.autoReplan) return null;
+
+        const plannedEnd = new Date(match.scheduled_at).getTime() +
+            (match.duration_minutes || getMatchDuration(config, match.category_id)) * MINUTE;
+        if (Date.now() <= plannedEnd) return null;
+
+        return await planEventSchedule(match.event_id);
+    } catch (err) {
+        console.error("Schedule re-plan error:", err);
+        return null;
+    }
+};
+
+/**
+ * Order of play per court (scheduled scoreboard matches plus provisional bracket slots).
+ * @param {string} eventId
+ * @param {{ date?: string, court?: string, categoryId?: string }} filters - date is venue-local YYYY-MM-DD
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, courts?: Array }>}
+ */
+export const getOrderOfPlay = async (eventId, { date, court, categoryId } = {}) => {
+    const schedule = await loadSchedule(eventId);
+    const { config } = normalizeScheduleConfig(schedule?.config);
+    if (!config) {
+        return { success: false, code: "SCHEDULE_NOT_CONFIGURED", message: "No schedule configured for this event" };
+    }
+
+    const { matches, brackets } = await loadEventMatchesAndBrackets(eventId);
+    const toEntry = (m) => ({
+        id: m.id,
+        bracket_id: m.bracket_id || null,
+        category_id: m.category_id,
+        round_name: m.round_name,
+        match_index: m.match_index,
+        player_a: m.player_a,
+        player_b: m.player_b,
+        score: m.score,
+        status: m.status,
+        winner: m.winner,
+        court: m.court,
+        scheduled_at: m.scheduled_at,
+        duration_minutes: m.duration_minutes || getMatchDuration(config, m.category_id),
+        provisional: false
+    });
+
+    const entries = matches.filter((m) => m.court && m.scheduled_at).map(toEntry);
+    const onScoreboard = new Set(matches.filter((m) => m.bracket_id).map((m) => `${m.bracket_id}#${m.round_name}#${m.match_index}`));
+
+    for (const bracket of brackets) {
+        for (const round of getAllRounds(bracket.bracket_data)) {
+            for (const [matchIndex, bm] of (round.matches || []).entries()) {
+                if (!bm?.court || !bm.scheduledAt || onScoreboard.has(`${bracket.id}#${round.name}#${matchIndex}`)) continue;
+                entries.push({
+                    id: null,
+                    bracket_id: bracket.id,
+                    category_id: bracket.category_id,
+                    round_name: round.name,
+                    match_index: matchIndex,
+                    player_a: bm.player1 || null,
+                    player_b: bm.player2 || null,
+                    score: null,
+                    status: "SCHEDULED",
+                    winner: null,
+                    court: bm.court,
+                    scheduled_at: bm.scheduledAt,
+                    duration_minutes: getMatchDuration(config, bracket.category_id),
+                    provisional: true
+                });
+            }
+        }
+    }
+
+    const filtered = entries.filter((e) =>
+        (!date || getLocalDate(e.scheduled_at, config.utcOffset) === date) &&
+        (!court || e.court === court) &&
+        (!categoryId || String(e.category_id) === String(categoryId))
+    );
+
+    const courts = buildOrderOfPlay(filtered, config).filter((c) => !court || c.id === court);
+    return { success: true, courts };
+};
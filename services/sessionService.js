@@ -0,0 +1,241 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { ADMIN, PLAYER, SUPERADMIN } from "../utils/permissions.js";
+
+dotenv.config({ quiet: true });
+
+/**
+ * Sessions: a short-lived access token (JWT { id, role, sid }) plus a rotating refresh
+ * token stored server-side (hashed). Each login is one user_sessions row:
+ *
+ *   user_sessions - id, user_id, role, token_hash, previous_token_hash, rotated_at,
+ *                   expires_at, last_used_at, revoked_at, user_agent, ip, created_at
+ *
+ * Refreshing swaps the refresh token; presenting the one it replaced (a stolen copy
+ * used after the owner refreshed, or vice versa) revokes the session. Within
+ * ROTATION_GRACE_SECONDS of the swap it is only refused: two tabs or a retried request
+ * refreshing with the same token must not log the user out everywhere. requireAuth
+ * (middleware/authMiddleware.js) rejects access tokens whose session is revoked, so
+ * logout takes effect immediately rather than at expiry.
+ *
+ * Tokens issued before sessions existed carry no sid; they are checked against
+ * users.sessions_revoked_at ("log out everywhere") until they expire.
+ */
+
+const ACCESS_TOKEN_TTL = "15m";
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+// Refresh lifetime per role (sliding: every refresh starts it again)
+const REFRESH_TTL_DAYS = { [PLAYER]: 7, [ADMIN]: 30, [SUPERADMIN]: 30 };
+// Replaced refresh token presented this soon after the swap: a concurrent refresh, not reuse
+const ROTATION_GRACE_SECONDS = 10;
+
+const INVALID_SESSION = { success: false, code: "INVALID_REFRESH_TOKEN", message: "Session expired. Please login again." };
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const refreshExpiry = (role) => new Date(Date.now() + (REFRESH_TTL_DAYS[role] || 7) * 24 * 60 * 60 * 1000).toISOString();
+
+const signAccessToken = (userId, role, sessionId) =>
+    jwt.sign({ id: userId, role, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    return sessionId && secret ? { sessionId, secret } : null;
+};
+
+/**
+ * Start a session (login / registration).
+ * @param {{ id: string, role: string }} user
+ * @param {import("express").Request} [req] - For user agent + IP
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+export const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const now = new Date().toISOString();
+
+    const { data: session, error } = await supabaseAdmin
+        .from("user_sessions")
+        .insert({
+            user_id: user.id,
+            role: user.role,
+            token_hash: hashToken(secret),
+            expires_at: refreshExpiry(user.role),
+            last_used_at: now,
+            user_agent: req?.headers?.["user-agent"]?.slice(0, 255) || null,
+            ip: req?.ip || null,
+            created_at: now
+        })
+        .select("id")
+        .single();
+
+    if (error) throw error;
+
+    return {
+        token: signAccessToken(user.id, user.role, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+/**
+ * Swap a refresh token for a new access + refresh token pair.
+ * The role comes from the users row, so role / approval changes apply on refresh.
+ * @param {string} refreshToken
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, token?: string, refreshToken?: string, expiresIn?: number }>}
+ */
+export const refreshSession = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return INVALID_SESSION;
+
+    const { data: session, error } = await supabaseAdmin
+        .from("user_sessions")
+        .select("*, users:user_id ( id, role, verification )")
+        .eq("id", parsed.sessionId)
+        .maybeSingle();
+
+    // Malformed ids are not uuids
+    if (error && error.code !== "PGRST116" && error.code !== "22P02") throw error;
+    if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) return INVALID_SESSION;
+
+    const presented = hashToken(parsed.secret);
+    if (presented !== session.token_hash) {
+        const inGrace = session.rotated_at &&
+            Date.now() - new Date(session.rotated_at).getTime() < ROTATION_GRACE_SECONDS * 1000;
+        if (presented === session.previous_token_hash && !inGrace) {
+            console.warn(`REFRESH TOKEN REUSE: session ${session.id} revoked`);
+            await revokeSession(session.id);
+        }
+        return INVALID_SESSION;
+    }
+
+    const user = session.users;
+    if (!user || (user.role === ADMIN && user.verification !== "verified")) {
+        await revokeSession(session.id);
+        return INVALID_SESSION;
+    }
+
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const now = new Date().toISOString();
+    const { data: rotated, error: rotateError } = await supabaseAdmin
+        .from("user_sessions")
+        .update({
+            token_hash: hashToken(secret),
+            previous_token_hash: session.token_hash,
+            rotated_at: now,
+            role: user.role,
+            expires_at: refreshExpiry(user.role),
+            last_used_at: now
+        })
+        .eq("id", session.id)
+        .eq("token_hash", session.token_hash) // Lost a concurrent refresh: treat as invalid
+        .select("id");
+
+    if (rotateError) throw rotateError;
+    if (!rotated || rotated.length === 0) return INVALID_SESSION;
+
+    return {
+        success: true,
+        token: signAccessToken(user.id, user.role, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+/**
+ * End the session a refresh token belongs to (logout). Only the current token of a
+ * live session counts, so a known or guessed session id alone revokes nothing.
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} whether a session was ended
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const { data: revoked, error } = await supabaseAdmin
+        .from("user_sessions")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", parsed.sessionId)
+        .eq("token_hash", hashToken(parsed.secret))
+        .is("revoked_at", null)
+        .select("id");
+
+    // Malformed ids are not uuids
+    if (error && error.code !== "22P02") throw error;
+    return !!revoked && revoked.length > 0;
+};
+
+/**
+ * End one session (logout).
+ * @param {string} sessionId
+ */
+export const revokeSession = async (sessionId) => {
+    const { error } = await supabaseAdmin
+        .from("user_sessions")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", sessionId)
+        .is("revoked_at", null);
+
+    if (error && error.code !== "22P02") throw error;
+};
+
+/**
+ * End every session of a user ("log out all devices", password change / reset,
+ * rejected or removed accounts).
+ * @param {string} userId
+ * @param {{ exceptSessionId?: string }} options - Keep the caller's own session
+ * @returns {Promise<string>} the revocation timestamp
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+    const revokedAt = new Date().toISOString();
+
+    let query = supabaseAdmin
+        .from("user_sessions")
+        .update({ revoked_at: revokedAt })
+        .eq("user_id", userId)
+        .is("revoked_at", null);
+    if (exceptSessionId) query = query.neq("id", exceptSessionId);
+
+    const { error } = await query;
+    if (error) throw error;
+
+    // Tokens from before sessions existed (no sid); none can belong to the kept session
+    const { error: userError } = await supabaseAdmin
+        .from("users")
+        .update({ sessions_revoked_at: revokedAt })
+        .eq("id", userId);
+
+    if (userError) throw userError;
+    return revokedAt;
+};
+
+/**
+ * @param {{ id: string, sid?: string, iat?: number }} decoded - Verified JWT payload
+ * @returns {Promise<boolean>} whether the token's session has ended
+ *   (also true when the account no longer exists)
+ */
+export const isTokenRevoked = async (decoded) => {
+    if (decoded.sid) {
+        const { data: session, error } = await supabaseAdmin
+            .from("user_sessions")
+            .select("id, user_id, revoked_at")
+            .eq("id", decoded.sid)
+            .maybeSingle();
+
+        if (error && error.code !== "PGRST116") throw error;
+        return !session || !!session.revoked_at || String(session.user_id) !== String(decoded.id);
+    }
+
+    const { data: user, error } = await supabaseAdmin
+        .from("users")
+        .select("id, sessions_revoked_at")
+        .eq("id", decoded.id)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!user) return true;
+    if (!user.sessions_revoked_at || !decoded.iat) return false;
+
+    return decoded.iat < Math.floor(new Date(user.sessions_revoked_at).getTime() / 1000);
+};
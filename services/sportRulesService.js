@@ -0,0 +1,20 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { getSportRules } from "../utils/sportRules.js";
+
+/**
+ * Sport rules for an event (utils/sportRules.js), from events.sport.
+ * Falls back to GENERIC when the event has no (known) sport.
+ * @param {string} eventId
+ * @returns {Promise<object>}
+ */
+export const getEventSportRules = async (eventId) => {
+    const { data, error } = await supabaseAdmin
+        .from("events")
+        .select("sport")
+        .eq("id", eventId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+
+    return getSportRules(data?.sport);
+};
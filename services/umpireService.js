@@ -0,0 +1,179 @@
+import { supabaseAdmin } from "../config/supabaseClient.js";
+import { buildFamilyKeys, getFullName } from "../utils/familyLinks.js";
+import { getPlayerId } from "../utils/matchPlayers.js";
+import { findUmpireConflicts } from "../utils/umpireConflicts.js";
+import { resolveEntrantPeople } from "./entrantPeopleService.js";
+
+/**
+ * Umpires and their assignments.
+ *
+ *   event_umpires      - event_id, user_id, created_by, created_at (accounts allowed to umpire at an event)
+ *   umpire_assignments - event_id, umpire_id, match_id | court, assigned_by, created_at
+ *
+ * An umpire may score a match assigned to them directly, or any match scheduled on a court
+ * assigned to them - except court matches involving their own apartment or family, which
+ * need a direct assignment.
+ */
+
+const USER_PREFIX = "user:";
+
+/**
+ * Profiles for conflict checks (utils/umpireConflicts.js); family keys come from the
+ * family_members these accounts listed (utils/familyLinks.js).
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, { id, name, apartment, family }>>}
+ */
+const loadProfiles = async (userIds) => {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+
+    const { data: users, error } = await supabaseAdmin
+        .from("users")
+        .select("id, name, first_name, last_name, apartment, mobile, player_id, age")
+        .in("id", ids);
+
+    if (error) throw error;
+
+    const { data: familyMembers, error: familyError } = await supabaseAdmin
+        .from("family_members")
+        .select("*")
+        .in("user_id", ids);
+
+    if (familyError) throw familyError;
+
+    const familyKeys = buildFamilyKeys(users || [], familyMembers || []);
+    const profiles = new Map();
+    for (const user of users || []) {
+        profiles.set(String(user.id), {
+            id: String(user.id),
+            name: getFullName(user) || "Player",
+            apartment: user.apartment || null,
+            family: familyKeys.get(String(user.id))
+        });
+    }
+    return profiles;
+};
+
+/**
+ * Conflicts between an umpire and each match's players.
+ * @param {string} umpireId - users.id
+ * @param {object[]} matches - Rows from the matches table
+ * @returns {Promise<Map<string, Array>>} matchId => conflicts (empty array when clear)
+ */
+export const findMatchConflicts = async (umpireId, matches) => {
+    const people = await resolveEntrantPeople(matches.flatMap((m) => [getPlayerId(m.player_a), getPlayerId(m.player_b)]));
+    const personIdsOf = (m) => [getPlayerId(m.player_a), getPlayerId(m.player_b)]
+        .filter(Boolean)
+        .flatMap((id) => (people.get(id) || []).map((p) => p.id));
+
+    const userIds = matches.flatMap(personIdsOf)
+        .filter((id) => id.startsWith(USER_PREFIX))
+        .map((id) => id.slice(USER_PREFIX.length));
+    const profiles = await loadProfiles([umpireId, ...userIds]);
+
+    const umpire = profiles.get(String(umpireId)) || { id: String(umpireId), family: [String(umpireId)] };
+    const result = new Map();
+    for (const m of matches) {
+        const players = personIdsOf(m)
+            .filter((id) => id.startsWith(USER_PREFIX))
+            .map((id) => profiles.get(id.slice(USER_PREFIX.length)))
+            .filter(Boolean);
+        result.set(String(m.id), findUmpireConflicts(umpire, players));
+    }
+    return result;
+};
+
+/**
+ * @param {string} eventId
+ * @param {string} userId
+ * @returns {Promise<boolean>} whether the account is an umpire at the event
+ */
+export const isEventUmpire = async (eventId, userId) => {
+    const { data, error } = await supabaseAdmin
+        .from("event_umpires")
+        .select("id")
+        .eq("event_id", eventId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return !!data;
+};
+
+/**
+ * Matches an umpire may score, with how each was assigned.
+ * @param {string} umpireId
+ * @param {{ eventId?: string, includeCompleted?: boolean }} options
+ * @returns {Promise<Array<object>>} match rows + { assignment: "MATCH" | "COURT" }
+ */
+export const getUmpireMatches = async (umpireId, { eventId, includeCompleted = false } = {}) => {
+    let assignmentQuery = supabaseAdmin
+        .from("umpire_assignments")
+        .select("*")
+        .eq("umpire_id", umpireId);
+    if (eventId) assignmentQuery = assignmentQuery.eq("event_id", eventId);
+
+    const { data: assignments, error } = await assignmentQuery;
+    if (error) throw error;
+
+    const matchIds = (assignments || []).filter((a) => a.match_id).map((a) => a.match_id);
+    const courts = (assignments || []).filter((a) => a.court && !a.match_id);
+
+    const found = new Map();
+
+    if (matchIds.length > 0) {
+        const { data, error: matchError } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .in("id", matchIds);
+        if (matchError) throw matchError;
+        (data || []).forEach((m) => found.set(String(m.id), { ...m, assignment: "MATCH" }));
+    }
+
+    // Court matches of every assignment, then one conflict check for all of them
+    const candidates = new Map();
+    for (const a of courts) {
+        const { data, error: courtError } = await supabaseAdmin
+            .from("matches")
+            .select("*")
+            .eq("event_id", a.event_id)
+            .eq("court", a.court);
+        if (courtError) throw courtError;
+
+        (data || [])
+            .filter((m) => !found.has(String(m.id)))
+            .forEach((m) => candidates.set(String(m.id), m));
+    }
+
+    if (candidates.size > 0) {
+        const conflicts = await findMatchConflicts(umpireId, [...candidates.values()]);
+        candidates.forEach((m, id) => {
+            if (conflicts.get(id).length === 0) found.set(id, { ...m, assignment: "COURT" });
+        });
+    }
+
+    return [...found.values()]
+        .filter((m) => includeCompleted || m.status !== "COMPLETED")
+        .sort((a, b) => new Date(a.scheduled_at || 0) - new Date(b.scheduled_at || 0));
+};
+
+/**
+ * @param {string} umpireId
+ * @param {object} match - Row from the matches table
+ * @returns {Promise<boolean>} whether the umpire may score this match
+ */
+export const isMatchUmpire = async (umpireId, match) => {
+    const { data: assignments, error } = await supabaseAdmin
+        .from("umpire_assignments")
+        .select("*")
+        .eq("umpire_id", umpireId)
+        .eq("event_id", match.event_id);
+
+    if (error) throw error;
+
+    if ((assignments || []).some((a) => a.match_id && String(a.match_id) === String(match.id))) return true;
+    if (!match.court || !(assignments || []).some((a) => !a.match_id && a.court === match.court)) return false;
+
+    const conflicts = await findMatchConflicts(umpireId, [match]);
+    return conflicts.get(String(match.id)).length === 0;
+};
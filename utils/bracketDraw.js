@@ -0,0 +1,270 @@
+/**
+ * Knockout draw helpers (pure functions, no database access).
+ *
+ * Slots are numbered 0..size-1 from the top of the draw. Slot 2i and 2i+1
+ * meet in first-round match i, which matches how setMatchResult / addBracketRound
+ * advance winners (next match = Math.floor(matchIndex / 2)).
+ */
+
+export const inferRoundLabelFromMatchCount = (matchCount, fallbackIndex) => {
+    if (matchCount === 1) return "Final";
+    if (matchCount === 2) return "Semifinal";
+    if (matchCount === 4) return "Quarterfinal";
+    return `Round ${fallbackIndex + 1}`;
+};
+
+// Helper to create empty match structure for bracket visualization
+// NOTE: score: null is for structure only - authoritative scores are in matches table
+export const makeEmptyMatch = () => ({
+    id: `match-${Date.now()}-${Math.random()}`,
+    player1: null,
+    player2: null,
+    winner: null,
+    score: null // Structure only - not authoritative
+});
+
+// Every bracket_data key holding an array of { name, matches } rounds, in play order
+export const ROUND_SECTIONS = ["rounds", "losersRounds", "finalRounds", "consolationRounds"];
+
+/**
+ * Find a round by name across all sections.
+ * @returns {{ section: string, round: number } | null}
+ */
+export const findRoundLocation = (data, roundName) => {
+    for (const section of ROUND_SECTIONS) {
+        const idx = (data?.[section] || []).findIndex((r) => r && r.name === roundName);
+        if (idx !== -1) return { section, round: idx };
+    }
+    return null;
+};
+
+/**
+ * All rounds in play order (main draw, losers bracket, grand final, consolation) -
+ * used for scoreboard generation.
+ * @returns {Array<{name: string, matches: Array}>}
+ */
+export const getAllRounds = (data) => ROUND_SECTIONS.flatMap((section) => (Array.isArray(data?.[section]) ? data[section] : []));
+
+/**
+ * Smallest power of two that can hold `count` entrants (minimum 2).
+ * @param {number} count
+ * @returns {number}
+ */
+export const getBracketSize = (count) => {
+    let size = 2;
+    while (size < count) size *= 2;
+    return size;
+};
+
+/**
+ * Standard seed placement for a draw of `size` slots.
+ * Returns the seed number that belongs in each slot, e.g. size 8 => [1, 8, 4, 5, 2, 7, 3, 6]:
+ * 1 meets 8, 2 is in the opposite half, 3/4 are in opposite quarters, etc.
+ * Seed numbers greater than the entrant count are BYEs, so BYEs always fall to the top seeds.
+ * @param {number} size - Power of two
+ * @returns {number[]}
+ */
+export const getSeedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap((seed) => [seed, next - seed]);
+    }
+    return order;
+};
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ * @param {Array} items
+ * @returns {Array}
+ */
+export const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Rank entrants for placement: seeded entrants first (ascending seed), then unseeded.
+ * Invalid or duplicate seed numbers are dropped (entrant is treated as unseeded).
+ * @param {Array<{id: string, name: string, seed?: number}>} entrants
+ * @param {{ shuffleUnseeded?: boolean }} [options]
+ * @returns {Array<{id: string, name: string, seed?: number}>}
+ */
+export const rankEntrants = (entrants, { shuffleUnseeded = true } = {}) => {
+    const usedSeeds = new Set();
+    const seeded = [];
+    const unseeded = [];
+
+    for (const entrant of entrants) {
+        const seed = Number(entrant.seed);
+        if (Number.isInteger(seed) && seed > 0 && !usedSeeds.has(seed)) {
+            usedSeeds.add(seed);
+            seeded.push({ ...entrant, seed });
+        } else {
+            const { seed: _ignored, ...rest } = entrant;
+            unseeded.push(rest);
+        }
+    }
+
+    seeded.sort((a, b) => a.seed - b.seed);
+    return [...seeded, ...(shuffleUnseeded ? shuffle(unseeded) : unseeded)];
+};
+
+/**
+ * Place ranked entrants into draw slots using standard seed order.
+ * @param {Array} rankedEntrants - Output of rankEntrants
+ * @returns {Array} slots (length = bracket size), null = BYE
+ */
+export const placeEntrants = (rankedEntrants) => {
+    const size = getBracketSize(rankedEntrants.length);
+    return getSeedOrder(size).map((rank) => rankedEntrants[rank - 1] || null);
+};
+
+/**
+ * Turn draw slots into first-round matches in the bracket_data match shape.
+ * BYE matches are pre-decided the same way addBracketRound marks them
+ * (single player in player1, winner = "player1").
+ * @param {Array} slots - Output of placeEntrants
+ * @param {() => object} makeEmptyMatch - Factory for the empty match structure
+ * @returns {Array}
+ */
+export const buildFirstRoundMatches = (slots, makeEmptyMatch) => {
+    const matches = [];
+    for (let i = 0; i < slots.length; i += 2) {
+        const match = makeEmptyMatch();
+        const player1 = slots[i];
+        const player2 = slots[i + 1];
+
+        if (player1 && player2) {
+            match.player1 = player1;
+            match.player2 = player2;
+        } else if (player1 || player2) {
+            match.player1 = player1 || player2;
+            match.player2 = null;
+            match.winner = "player1";
+        }
+        matches.push(match);
+    }
+    return matches;
+};
+
+/**
+ * Round (1-based) in which the entrants in two slots would first meet.
+ * @param {number} slotA
+ * @param {number} slotB
+ * @returns {number}
+ */
+export const getMeetingRound = (slotA, slotB) => Math.floor(Math.log2(slotA ^ slotB)) + 1;
+
+/**
+ * Spread entrants that share a group (same apartment, team, family...) across the draw.
+ *
+ * Follows the usual separation rule: a group of k players is split into nextPow2(k)
+ * sections, so 2 players land in opposite halves, 3-4 in different quarters, etc.
+ * Seeded entrants never move; unseeded entrants are swapped while it reduces conflicts.
+ * Rules earlier in `rules` weigh more when not everything can be satisfied.
+ *
+ * @param {Array} slots - Output of placeEntrants (not modified)
+ * @param {Map<string, Object<string, string[]>>} groupsById - entrant id => { [rule]: groupKeys }
+ * @param {string[]} rules - Rule names in priority order, e.g. ["apartment", "team", "family"]
+ * @param {{ maxPasses?: number }} [options]
+ * @returns {{ slots: Array, unsatisfied: Array<{rule: string, group: string, players: string[], meetsInRound: number, requiredRound: number}> }}
+ */
+export const applySeparation = (slots, groupsById, rules, { maxPasses = 20 } = {}) => {
+    const result = [...slots];
+    const totalRounds = Math.log2(result.length);
+
+    // Earliest round two members of a group may meet, per rule + group key
+    const requiredRound = new Map();
+    rules.forEach((rule) => {
+        const counts = new Map();
+        result.forEach((entrant) => {
+            if (!entrant) return;
+            (groupsById.get(entrant.id)?.[rule] || []).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+        counts.forEach((count, key) => {
+            if (count < 2) return;
+            const sections = Math.min(result.length, getBracketSize(count));
+            requiredRound.set(`${rule}:${key}`, totalRounds - Math.log2(sections) + 1);
+        });
+    });
+
+    const sharedGroups = (a, b, rule) => {
+        const keysA = groupsById.get(a.id)?.[rule] || [];
+        const keysB = groupsById.get(b.id)?.[rule] || [];
+        return keysA.filter((key) => keysB.includes(key) && requiredRound.has(`${rule}:${key}`));
+    };
+
+    const pairCost = (i, j) => {
+        const a = result[i];
+        const b = result[j];
+        if (!a || !b) return 0;
+        const meetsInRound = getMeetingRound(i, j);
+        let cost = 0;
+        rules.forEach((rule, ruleIndex) => {
+            const weight = rules.length - ruleIndex;
+            sharedGroups(a, b, rule).forEach((key) => {
+                const shortfall = requiredRound.get(`${rule}:${key}`) - meetsInRound;
+                if (shortfall > 0) cost += weight * shortfall;
+            });
+        });
+        return cost;
+    };
+
+    const slotCost = (i) => {
+        let cost = 0;
+        for (let j = 0; j < result.length; j++) {
+            if (j !== i) cost += pairCost(i, j);
+        }
+        return cost;
+    };
+
+    const movable = result
+        .map((entrant, idx) => (entrant && !entrant.seed ? idx : -1))
+        .filter((idx) => idx !== -1);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let improved = false;
+        for (let x = 0; x < movable.length; x++) {
+            for (let y = x + 1; y < movable.length; y++) {
+                const i = movable[x];
+                const j = movable[y];
+                const before = slotCost(i) + slotCost(j);
+                if (before === 0) continue;
+
+                [result[i], result[j]] = [result[j], result[i]];
+                const after = slotCost(i) + slotCost(j);
+                if (after < before) {
+                    improved = true;
+                } else {
+                    [result[i], result[j]] = [result[j], result[i]];
+                }
+            }
+        }
+        if (!improved) break;
+    }
+
+    const unsatisfied = [];
+    for (let i = 0; i < result.length; i++) {
+        for (let j = i + 1; j < result.length; j++) {
+            const a = result[i];
+            const b = result[j];
+            if (!a || !b) continue;
+            const meetsInRound = getMeetingRound(i, j);
+            rules.forEach((rule) => {
+                sharedGroups(a, b, rule).forEach((key) => {
+                    const required = requiredRound.get(`${rule}:${key}`);
+                    if (meetsInRound < required) {
+                        unsatisfied.push({ rule, group: key, players: [a.id, b.id], meetsInRound, requiredRound: required });
+                    }
+                });
+            });
+        }
+    }
+
+    return { slots: result, unsatisfied };
+};
@@ -0,0 +1,174 @@
+/**
+ * Third-place playoff and plate (consolation) rounds for single-elimination brackets
+ * (pure functions, no database access).
+ *
+ * Both live in bracket_data.consolationRounds so the main draw in `rounds` is untouched:
+ *   - "Third Place"       - semifinal losers (semifinal match 0 => player1, match 1 => player2)
+ *   - "Plate <label>"     - knockout for first-round losers; loser of Round 1 match i
+ *                           starts in plate match Math.floor(i / 2), like winners advance
+ *
+ * Enabled per category with bracket_data.thirdPlacePlayoff / bracket_data.plate.
+ * syncConsolationRounds is idempotent: call it after any result change, including a
+ * corrected one (see fillMatch for matches whose entrants change).
+ */
+
+import { DOUBLE_ELIMINATION } from "./doubleElimination.js";
+import { getPlayerId } from "./matchPlayers.js";
+
+export const THIRD_PLACE_ROUND = "Third Place";
+export const PLATE_ROUND_PREFIX = "Plate ";
+
+const SLOTS = ["player1", "player2"];
+
+// Loser of a played match (BYE matches have no loser)
+const getLoser = (m) => {
+    if (!m || !m.winner || !m.player1 || !m.player2) return null;
+    return m.winner === "player1" ? m.player2 : m.player1;
+};
+
+const getWinner = (m) => (m && m.winner ? m[m.winner] || null : null);
+
+const isByeMatch = (m) => !!m && !!m.player1 !== !!m.player2;
+
+const isEmptyMatch = (m) => !m || (!m.player1 && !m.player2);
+
+// Neither player showed up: the match produces no winner and no loser
+const producesNobody = (m) => isByeMatch(m) || isEmptyMatch(m) || m.doubleNoShow === true;
+
+export const isPlateRound = (round) => !!round?.name && round.name.startsWith(PLATE_ROUND_PREFIX);
+
+/**
+ * Fill a consolation match from its two sources and settle walkovers.
+ * When a corrected result changes the sources, an open match is refilled like a
+ * SCHEDULED scoreboard match is. A match already decided with both players keeps its
+ * recorded result, and the entrants it should now have go in `correctedEntrants` for
+ * the admin to settle in the bracket editor.
+ * @param {object} match
+ * @param {Array<object|null>} entrants - [player1 source entrant, player2 source entrant]
+ * @param {boolean[]} dead - Slot will never receive an entrant
+ */
+const fillMatch = (match, entrants, dead) => {
+    const sameEntrants = SLOTS.every((slot, i) => getPlayerId(match[slot]) === getPlayerId(entrants[i]));
+
+    if (match.winner && match.player1 && match.player2) {
+        if (sameEntrants) delete match.correctedEntrants;
+        else match.correctedEntrants = { player1: entrants[0] || null, player2: entrants[1] || null };
+        return;
+    }
+
+    if (!sameEntrants) {
+        delete match.doubleNoShow;
+        delete match.resultType;
+    }
+    delete match.correctedEntrants;
+    SLOTS.forEach((slot, i) => {
+        match[slot] = entrants[i] || null;
+    });
+    match.winner = null;
+    if (match.player1 && !match.player2 && dead[1]) match.winner = "player1";
+    if (!match.player1 && match.player2 && dead[0]) match.winner = "player2";
+};
+
+const syncThirdPlace = (data, makeEmptyMatch) => {
+    const semifinal = (data.rounds || []).find((r) => Array.isArray(r?.matches) && r.matches.length === 2);
+    const rounds = data.consolationRounds;
+    let round = rounds.find((r) => r.name === THIRD_PLACE_ROUND);
+
+    if (!semifinal) {
+        data.consolationRounds = rounds.filter((r) => r !== round);
+        return;
+    }
+    if (!round) {
+        round = { name: THIRD_PLACE_ROUND, matches: [makeEmptyMatch()] };
+        rounds.unshift(round);
+    }
+
+    // A semifinal BYE (or double no-show) produces no loser - the other loser takes bronze by walkover
+    const dead = semifinal.matches.map(producesNobody);
+    fillMatch(round.matches[0], semifinal.matches.map(getLoser), dead);
+};
+
+const syncPlate = (data, makeEmptyMatch, labelForRound) => {
+    const firstRound = data.rounds?.[0];
+    const others = data.consolationRounds.filter((r) => !isPlateRound(r));
+
+    // With two or fewer first-round matches the plate would just repeat the third-place match
+    if (!firstRound || !Array.isArray(firstRound.matches) || firstRound.matches.length <= 2) {
+        data.consolationRounds = others;
+        return;
+    }
+
+    const plateRounds = data.consolationRounds.filter(isPlateRound);
+
+    // Round 0 sources: first-round losers; later rounds: previous plate winners
+    let sources = firstRound.matches.map((m) => ({
+        entrant: getLoser(m),
+        dead: producesNobody(m)
+    }));
+
+    for (let r = 0; sources.length > 1; r++) {
+        const count = Math.ceil(sources.length / 2);
+        if (!plateRounds[r]) {
+            plateRounds[r] = {
+                name: `${PLATE_ROUND_PREFIX}${labelForRound(count, r)}`,
+                matches: Array.from({ length: count }, () => makeEmptyMatch())
+            };
+        }
+
+        const round = plateRounds[r];
+        round.matches.forEach((match, i) => {
+            const pair = [sources[2 * i], sources[2 * i + 1]];
+            fillMatch(
+                match,
+                pair.map((s) => s?.entrant || null),
+                pair.map((s) => !s || s.dead)
+            );
+        });
+
+        // Next round is only created once this one is settled (same rule as "Add Round")
+        const settled = round.matches.every((m, i) => {
+            const bothDead = [sources[2 * i], sources[2 * i + 1]].every((s) => !s || s.dead);
+            return m.winner || bothDead;
+        });
+        if (!settled) {
+            plateRounds.length = r + 1;
+            break;
+        }
+
+        sources = round.matches.map((m, i) => ({
+            entrant: getWinner(m),
+            dead: !m.winner && [sources[2 * i], sources[2 * i + 1]].every((s) => !s || s.dead)
+        }));
+    }
+
+    data.consolationRounds = [...others, ...plateRounds];
+};
+
+/**
+ * Create / refresh third-place and plate rounds from the current main draw.
+ * Disabled options remove their rounds. Double elimination is left untouched.
+ * @param {object} data - bracket_data (mutated)
+ * @param {() => object} makeEmptyMatch
+ * @param {(matchCount: number, roundIndex: number) => string} labelForRound
+ * @returns {object} data
+ */
+export const syncConsolationRounds = (data, makeEmptyMatch, labelForRound) => {
+    if (data.format === DOUBLE_ELIMINATION) return data;
+
+    data.consolationRounds = Array.isArray(data.consolationRounds) ? data.consolationRounds : [];
+
+    if (data.thirdPlacePlayoff === true) {
+        syncThirdPlace(data, makeEmptyMatch);
+    } else {
+        data.consolationRounds = data.consolationRounds.filter((r) => r.name !== THIRD_PLACE_ROUND);
+    }
+
+    if (data.plate === true) {
+        syncPlate(data, makeEmptyMatch, labelForRound);
+    } else {
+        data.consolationRounds = data.consolationRounds.filter((r) => !isPlateRound(r));
+    }
+
+    if (data.consolationRounds.length === 0) delete data.consolationRounds;
+    return data;
+};
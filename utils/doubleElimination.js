@@ -0,0 +1,222 @@
+/**
+ * Double-elimination helpers (pure functions, no database access).
+ *
+ * bracket_data layout for format = "DOUBLE_ELIMINATION":
+ *   rounds       - winners bracket (same shape as single elimination)
+ *   losersRounds - losers bracket; odd rounds (1, 3, ...) take LB winners only,
+ *                  even rounds (2, 4, ...) add the losers dropping from the winners bracket
+ *   finalRounds  - [Grand Final] or [Grand Final, Grand Final Reset]
+ *
+ * Every slot has a fixed source (initial draw, or the winner/loser of another match),
+ * so advancement only needs the match positions - no ids are stored for wiring.
+ */
+
+export const SINGLE_ELIMINATION = "SINGLE_ELIMINATION";
+export const DOUBLE_ELIMINATION = "DOUBLE_ELIMINATION";
+export const BRACKET_FORMATS = [SINGLE_ELIMINATION, DOUBLE_ELIMINATION];
+
+export const GRAND_FINAL = "Grand Final";
+export const GRAND_FINAL_RESET = "Grand Final Reset";
+
+// Sections wired by this module (third place / plate rounds are handled in consolationRounds.js)
+const SECTIONS = ["rounds", "losersRounds", "finalRounds"];
+const SLOTS = ["player1", "player2"];
+
+const getMatch = (data, loc) => data[loc.section]?.[loc.round]?.matches?.[loc.match];
+
+const sameLocation = (a, b) => a.section === b.section && a.round === b.round && a.match === b.match;
+
+/**
+ * Build the full double-elimination structure around an existing first round.
+ * The first round is padded with empty matches up to a power of two.
+ * @param {{name: string, matches: Array}} firstRound
+ * @param {() => object} makeEmptyMatch
+ * @param {(matchCount: number, roundIndex: number) => string} labelForRound
+ * @param {{ grandFinalReset?: boolean }} [options]
+ * @returns {{ rounds: Array, losersRounds: Array, finalRounds: Array }}
+ */
+export const buildDoubleEliminationRounds = (firstRound, makeEmptyMatch, labelForRound, { grandFinalReset = true } = {}) => {
+    const matches = [...(firstRound.matches || [])];
+    let firstCount = 1;
+    while (firstCount < matches.length) firstCount *= 2;
+    while (matches.length < firstCount) matches.push(makeEmptyMatch());
+
+    const rounds = [{ ...firstRound, matches }];
+    for (let count = firstCount / 2, r = 1; count >= 1; count /= 2, r++) {
+        rounds.push({
+            name: `Winners ${labelForRound(count, r)}`,
+            matches: Array.from({ length: count }, () => makeEmptyMatch())
+        });
+    }
+
+    const losersRounds = [];
+    const losersRoundCount = 2 * (rounds.length - 1);
+    for (let j = 0; j < losersRoundCount; j++) {
+        const count = firstCount / Math.pow(2, Math.floor(j / 2) + 1);
+        losersRounds.push({
+            name: `Losers Round ${j + 1}`,
+            matches: Array.from({ length: count }, () => makeEmptyMatch())
+        });
+    }
+
+    const finalRounds = [{ name: GRAND_FINAL, matches: [makeEmptyMatch()] }];
+    if (grandFinalReset) {
+        finalRounds.push({ name: GRAND_FINAL_RESET, matches: [makeEmptyMatch()] });
+    }
+
+    return { rounds, losersRounds, finalRounds };
+};
+
+/**
+ * Where the entrant of a slot comes from.
+ * @returns {{ from: object, take: "winner" | "loser" | "player1" | "player2" } | null} null = initial draw slot
+ */
+const getSlotSource = (data, loc, slot) => {
+    const { section, round: r, match: i } = loc;
+    const offset = slot === "player1" ? 0 : 1;
+    const lastWinnersRound = data.rounds.length - 1;
+
+    if (section === "rounds") {
+        if (r === 0) return null;
+        return { from: { section: "rounds", round: r - 1, match: 2 * i + offset }, take: "winner" };
+    }
+
+    if (section === "losersRounds") {
+        if (r === 0) return { from: { section: "rounds", round: 0, match: 2 * i + offset }, take: "loser" };
+        if (r % 2 === 1) {
+            if (slot === "player1") return { from: { section: "losersRounds", round: r - 1, match: i }, take: "winner" };
+            // Drop-down order is reversed to delay rematches
+            const winnersRound = (r + 1) / 2;
+            const count = data.rounds[winnersRound].matches.length;
+            return { from: { section: "rounds", round: winnersRound, match: count - 1 - i }, take: "loser" };
+        }
+        return { from: { section: "losersRounds", round: r - 1, match: 2 * i + offset }, take: "winner" };
+    }
+
+    // Grand final: winners champion vs losers champion; reset replays the same pair
+    if (r === 0) {
+        if (slot === "player1") return { from: { section: "rounds", round: lastWinnersRound, match: 0 }, take: "winner" };
+        const losersCount = (data.losersRounds || []).length;
+        return losersCount > 0
+            ? { from: { section: "losersRounds", round: losersCount - 1, match: 0 }, take: "winner" }
+            : { from: { section: "rounds", round: 0, match: 0 }, take: "loser" };
+    }
+    return { from: { section: "finalRounds", round: 0, match: 0 }, take: slot };
+};
+
+/**
+ * Matches whose results fill this match's slots (no duplicates; empty for initial draw slots).
+ * @param {object} data - bracket_data
+ * @param {{ section: string, round: number, match: number }} loc
+ * @returns {Array<{ section: string, round: number, match: number }>}
+ */
+export const getFeederLocations = (data, loc) => {
+    const feeders = [];
+    for (const slot of SLOTS) {
+        const source = getSlotSource(data, loc, slot);
+        if (source && !feeders.some((f) => sameLocation(f, source.from))) feeders.push(source.from);
+    }
+    return feeders;
+};
+
+// Entrant a source currently provides (null if not known yet or nobody)
+const getSourceEntrant = (data, source) => {
+    const m = getMatch(data, source.from);
+    if (!m || !m.winner) return null;
+    if (source.take === "winner") return m[m.winner] || null;
+    if (source.take === "loser") {
+        const loserSlot = m.winner === "player1" ? "player2" : "player1";
+        return m.player1 && m.player2 ? m[loserSlot] : null;
+    }
+    // Reset match is only played when the losers-bracket champion wins the grand final
+    return m.winner === "player2" ? m[source.take] || null : null;
+};
+
+/**
+ * Resolve BYEs and empty matches until nothing changes:
+ * - a match with one entrant and one slot that can never be filled is won by that entrant
+ * - pending slots are pulled from their source once the source is decided
+ * Returns the same (mutated) bracket data.
+ */
+export const resolveDoubleElimination = (data) => {
+    const memo = new Map();
+
+    const isSlotDead = (loc, slot) => {
+        const source = getSlotSource(data, loc, slot);
+        if (!source) return true;
+        const sourceOutcome = getOutcome(source.from);
+        if (source.take === "winner") return sourceOutcome === "void";
+        if (source.take === "loser") return sourceOutcome === "bye" || sourceOutcome === "void";
+        const gf = getMatch(data, source.from);
+        return sourceOutcome === "void" || gf?.winner === "player1";
+    };
+
+    // "pending" | "decided" | "bye" (one entrant, walkover) | "void" (no entrants will ever arrive)
+    const getOutcome = (loc) => {
+        const key = `${loc.section}:${loc.round}:${loc.match}`;
+        if (memo.has(key)) return memo.get(key);
+        const m = getMatch(data, loc);
+        let outcome = "void";
+        if (m) {
+            const states = SLOTS.map((slot) => (m[slot] ? "filled" : (isSlotDead(loc, slot) ? "dead" : "pending")));
+            if (states.every((s) => s === "dead")) outcome = "void";
+            else if (states.includes("pending")) outcome = "pending";
+            else if (states.includes("dead")) outcome = "bye";
+            else outcome = m.winner ? "decided" : "pending";
+        }
+        memo.set(key, outcome);
+        return outcome;
+    };
+
+    let changed = true;
+    for (let guard = 0; changed && guard < 1000; guard++) {
+        changed = false;
+        memo.clear();
+        for (const section of SECTIONS) {
+            (data[section] || []).forEach((round, roundIndex) => {
+                (round.matches || []).forEach((m, matchIndex) => {
+                    if (changed) return;
+                    const loc = { section, round: roundIndex, match: matchIndex };
+                    for (const slot of SLOTS) {
+                        const source = m[slot] ? null : getSlotSource(data, loc, slot);
+                        const entrant = source ? getSourceEntrant(data, source) : null;
+                        if (entrant) {
+                            m[slot] = entrant;
+                            changed = true;
+                            return;
+                        }
+                    }
+                    if (!m.winner && getOutcome(loc) === "bye") {
+                        m.winner = m.player1 ? "player1" : "player2";
+                        changed = true;
+                    }
+                });
+            });
+        }
+    }
+
+    return data;
+};
+
+/**
+ * Push a (possibly changed) result to every slot fed by the match, then resolve BYEs.
+ * Overwrites previously advanced entrants so corrected results flow through.
+ * @param {object} data - bracket_data (mutated)
+ * @param {{section: string, round: number, match: number}} loc - Match that just got a winner
+ * @returns {object} data
+ */
+export const advanceDoubleElimination = (data, loc) => {
+    for (const section of SECTIONS) {
+        (data[section] || []).forEach((round, roundIndex) => {
+            (round.matches || []).forEach((m, matchIndex) => {
+                SLOTS.forEach((slot) => {
+                    const source = getSlotSource(data, { section, round: roundIndex, match: matchIndex }, slot);
+                    if (source && sameLocation(source.from, loc)) {
+                        m[slot] = getSourceEntrant(data, source);
+                    }
+                });
+            });
+        });
+    }
+    return resolveDoubleElimination(data);
+};
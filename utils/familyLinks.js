@@ -0,0 +1,61 @@
+/**
+ * Family links between accounts - pure helpers, no database access.
+ *
+ * A family_members row belongs to the account that listed the person (user_id). It links
+ * that account to another account when it points at it:
+ *   - by player_id or mobile, when the row carries one
+ *   - by name otherwise, but only when something else agrees (same apartment as the
+ *     listing account, or the same age give or take a year): common names alone
+ *     would tie unrelated players together
+ *
+ * Family keys of an account are its own id plus every account that lists it; two
+ * accounts are family when their keys overlap. Used for draw separation
+ * (bracketController) and umpire conflicts (utils/umpireConflicts.js).
+ */
+
+export const normalizeKey = (value) => String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+const normalizeMobile = (value) => String(value || "").replace(/\D/g, "").slice(-10);
+
+export const getFullName = (user) => user?.name || `${user?.first_name || ""} ${user?.last_name || ""}`.trim();
+
+/**
+ * @param {object} row - family_members row (name, age, optional player_id / mobile)
+ * @param {object} user - users row that may be the listed person
+ * @param {object} owner - users row of the account that listed them
+ * @returns {boolean}
+ */
+const listsAccount = (row, user, owner) => {
+    if (row.player_id) return !!user.player_id && String(row.player_id) === String(user.player_id);
+    if (row.mobile) return !!user.mobile && normalizeMobile(row.mobile) === normalizeMobile(user.mobile);
+
+    const name = normalizeKey(getFullName(user));
+    if (!name || normalizeKey(row.name) !== name) return false;
+
+    const apartment = normalizeKey(owner?.apartment);
+    const sameApartment = !!apartment && apartment === normalizeKey(user.apartment);
+    const sameAge = row.age != null && user.age != null && Math.abs(Number(row.age) - Number(user.age)) <= 1;
+    return sameApartment || sameAge;
+};
+
+/**
+ * @param {object[]} users - users rows (id, name / first_name / last_name, apartment, mobile, player_id, age)
+ * @param {object[]} familyRows - family_members rows listed by those users
+ * @returns {Map<string, string[]>} user id => family keys
+ */
+export const buildFamilyKeys = (users, familyRows) => {
+    const byId = new Map(users.map((u) => [String(u.id), u]));
+    const keys = new Map(users.map((u) => [String(u.id), new Set([String(u.id)])]));
+
+    for (const row of familyRows || []) {
+        const owner = byId.get(String(row.user_id));
+        if (!owner) continue;
+        for (const user of users) {
+            if (String(user.id) !== String(owner.id) && listsAccount(row, user, owner)) {
+                keys.get(String(user.id)).add(String(owner.id));
+            }
+        }
+    }
+
+    return new Map([...keys].map(([id, set]) => [id, [...set]]));
+};
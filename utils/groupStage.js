@@ -0,0 +1,96 @@
+/**
+ * Group stage (pools) followed by knockout - pure helpers, no database access.
+ *
+ * Groups are configured on the league (rules.format = "GROUPS") and their
+ * round-robin matches use round_name "Group A", "Group B", ...
+ * Once every group match is COMPLETED the top finishers seed a knockout bracket.
+ */
+
+import { applySeparation, placeEntrants } from "./bracketDraw.js";
+
+export const GROUPS_FORMAT = "GROUPS";
+export const GROUP_ROUND_PREFIX = "Group ";
+
+export const isGroupRoundName = (roundName) => typeof roundName === "string" && roundName.startsWith(GROUP_ROUND_PREFIX);
+
+// 0 => "A", 25 => "Z", 26 => "AA"
+export const getGroupName = (index) => {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * Snake-seed participants into groups: seeds 1..N go A, B, C, then back C, B, A, ...
+ * so every group gets a comparable spread of strength.
+ * @param {Array<{id: string, name: string}>} participants - In seeding order
+ * @param {number} groupCount
+ * @returns {Array<{ name: string, participantIds: string[] }>}
+ */
+export const snakeSeedGroups = (participants, groupCount) => {
+    const groups = Array.from({ length: groupCount }, (_, i) => ({ name: getGroupName(i), participantIds: [] }));
+    participants.forEach((p, idx) => {
+        const pass = Math.floor(idx / groupCount);
+        const offset = idx % groupCount;
+        const groupIndex = pass % 2 === 0 ? offset : groupCount - 1 - offset;
+        groups[groupIndex].participantIds.push(String(p.id));
+    });
+    return groups;
+};
+
+/**
+ * Knockout draw slots from final group standings (null = BYE), top to bottom.
+ *
+ * - Top 2 from an even, power-of-two number of groups: cross-over placement.
+ *   Groups are paired (A/B, C/D, ...); A1 v B2 and C1 v D2 fill the top half,
+ *   B1 v A2 and D1 v C2 the bottom half, so group-mates can only meet in the final
+ * - Anything else: group winners are seeded by record, runners-up are spread with
+ *   the separation rule so they avoid their own group winner as long as possible
+ *
+ * @param {Array<{ name: string, standings: Array }>} groups - Group standings (utils/standings.js) in group order
+ * @param {number} qualifiersPerGroup - 1 or 2
+ * @returns {Array} slots of { id, name, seed?, group, groupRank }
+ */
+export const buildKnockoutSlots = (groups, qualifiersPerGroup) => {
+    const qualifier = (group, rank) => {
+        const row = group.standings[rank - 1];
+        return row ? { id: row.id, name: row.name, group: group.name, groupRank: rank } : null;
+    };
+
+    const groupCount = groups.length;
+    const isPowerOfTwo = groupCount >= 2 && (groupCount & (groupCount - 1)) === 0;
+
+    if (qualifiersPerGroup === 2 && isPowerOfTwo) {
+        const top = [];
+        const bottom = [];
+        for (let i = 0; i < groupCount; i += 2) {
+            const [x, y] = [groups[i], groups[i + 1]];
+            top.push(qualifier(x, 1), qualifier(y, 2));
+            bottom.push(qualifier(y, 1), qualifier(x, 2));
+        }
+        return [...top, ...bottom];
+    }
+
+    // Rank group winners (then runners-up) across groups by their record
+    const byRecord = (a, b) =>
+        b.row.points - a.row.points ||
+        b.row.scoreDiff - a.row.scoreDiff ||
+        b.row.scoreFor - a.row.scoreFor ||
+        a.groupIndex - b.groupIndex;
+
+    const ranked = [];
+    for (let rank = 1; rank <= qualifiersPerGroup; rank++) {
+        groups
+            .map((group, groupIndex) => ({ group, groupIndex, row: group.standings[rank - 1] }))
+            .filter((entry) => entry.row)
+            .sort(byRecord)
+            .forEach((entry) => ranked.push(qualifier(entry.group, rank)));
+    }
+
+    // Winners are seeded (fixed); runners-up are movable for separation
+    const entrants = ranked.map((e, idx) => (e.groupRank === 1 ? { ...e, seed: idx + 1 } : e));
+    const groupsById = new Map(entrants.map((e) => [e.id, { group: [e.group] }]));
+    return applySeparation(placeEntrants(entrants), groupsById, ["group"]).slots;
+};
@@ -71,7 +71,7 @@ export const sendRegistrationEmail = async (toEmail, details) => {
 /**
  * Send Player Registration Success Email (Welcome Email)
  * @param {string} toEmail - Recipient Email
- * @param {object} details - { name, playerId, password }
+ * @param {object} details - { name, playerId, password? } (without a password the DDMMYYYY rule is shown)
  */
 export const sendRegistrationSuccessEmail = async (toEmail, details) => {
     if (!toEmail) return;
@@ -95,7 +95,7 @@ export const sendRegistrationSuccessEmail = async (toEmail, details) => {
                     <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; padding: 15px; border-radius: 6px; margin: 20px 0;">
                         <p style="margin: 0 0 10px 0; color: #166534; font-weight: bold;">Your Login Credentials:</p>
                         <p style="margin: 5px 0;"><strong>Player ID:</strong> <span style="font-family: monospace; background: #fff; padding: 2px 5px; border-radius: 4px;">${playerId}</span></p>
-                        <p style="margin: 5px 0;"><strong>Password:</strong> <span style="font-family: monospace; background: #fff; padding: 2px 5px; border-radius: 4px;">${password}</span></p>
+                        <p style="margin: 5px 0;"><strong>Password:</strong> <span style="font-family: monospace; background: #fff; padding: 2px 5px; border-radius: 4px;">${password || 'Your Date of Birth (DDMMYYYY)'}</span></p>
                         <p style="margin: 5px 0; font-size: 12px; color: #666;">(Note: Your password is your Date of Birth in DDMMYYYY format)</p>
                     </div>
 
@@ -120,3 +120,88 @@ export const sendRegistrationSuccessEmail = async (toEmail, details) => {
         return false;
     }
 };
+
+/**
+ * Send Admin Invitation Email
+ * @param {string} toEmail - Recipient Email
+ * @param {object} details - { name, inviterName, link, expiresAt }
+ */
+export const sendAdminInviteEmail = async (toEmail, details) => {
+    if (!toEmail) return;
+
+    const { name, inviterName, link, expiresAt } = details;
+
+    const mailOptions = {
+        from: `"SPORTS PARAMOUNT" <${process.env.EMAIL_USER}>`,
+        to: toEmail,
+        subject: `You're invited to be a Sports Paramount admin`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
+                <div style="background-color: #4F46E5; padding: 20px; text-align: center; color: white;">
+                    <h1 style="margin: 0;">Admin Invitation</h1>
+                </div>
+                <div style="padding: 30px;">
+                    <p>Dear <strong>${name || 'there'}</strong>,</p>
+                    <p><strong>${inviterName || 'A Super Admin'}</strong> has invited you to manage events on Sports Paramount. Your account will be approved as soon as you sign up with this link.</p>
+
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${link}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">Accept Invitation</a>
+                    </div>
+
+                    <p style="font-size: 12px; color: #666;">This link can be used once and expires on ${new Date(expiresAt).toDateString()}.</p>
+                </div>
+                <div style="background-color: #f3f4f6; padding: 15px; text-align: center; color: #6b7280; font-size: 12px;">
+                    &copy; ${new Date().getFullYear()} Sports Paramount. All rights reserved.
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        return true;
+    } catch (error) {
+        console.error("Error sending admin invite email:", error);
+        return false;
+    }
+};
+
+/**
+ * Send Account Locked Email (repeated failed logins)
+ * @param {string} toEmail - Recipient Email
+ * @param {object} details - { name, attempts, unlockAt }
+ */
+export const sendAccountLockedEmail = async (toEmail, details) => {
+    if (!toEmail) return;
+
+    const { name, attempts, unlockAt } = details;
+
+    const mailOptions = {
+        from: `"SPORTS PARAMOUNT" <${process.env.EMAIL_USER}>`,
+        to: toEmail,
+        subject: `Your Sports Paramount account was temporarily locked`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
+                <div style="background-color: #DC2626; padding: 20px; text-align: center; color: white;">
+                    <h1 style="margin: 0;">Account Locked</h1>
+                </div>
+                <div style="padding: 30px;">
+                    <p>Dear <strong>${name || 'there'}</strong>,</p>
+                    <p>Someone entered a wrong password for your account <strong>${attempts}</strong> times in a row, so we have blocked sign-in until <strong>${new Date(unlockAt).toLocaleString()}</strong>.</p>
+                    <p>If this was you, simply try again after that time. If it wasn't, use <strong>Forgot Password</strong> to set a new password right away.</p>
+                </div>
+                <div style="background-color: #f3f4f6; padding: 15px; text-align: center; color: #6b7280; font-size: 12px;">
+                    &copy; ${new Date().getFullYear()} Sports Paramount. All rights reserved.
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        return true;
+    } catch (error) {
+        console.error("Error sending account locked email:", error);
+        return false;
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Match sides - pure helpers, no database access.
+ *
+ * matches.player_a / player_b (and bracket_data slots) hold either an id or an object
+ * with id (or player_id, on older rows); a side without an id is a BYE / empty slot.
+ */
+
+/**
+ * @param {object | string | number | null} player
+ * @returns {string | null} the side's id as a string, or null for a BYE / empty slot
+ */
+export const getPlayerId = (player) => {
+    if (!player) return null;
+    const id = typeof player === "object" ? (player.id || player.player_id) : player;
+    return id ? String(id) : null;
+};
@@ -0,0 +1,77 @@
+/**
+ * Match result types - pure helpers, no database access.
+ *
+ * Stored on matches.result_type (+ matches.result_reason):
+ *   - NORMAL          - played to a finish, winner from the score
+ *   - WALKOVER        - opponent did not show / withdrew before the match; winner given
+ *   - RETIRED         - opponent retired during the match; winner given, partial score kept
+ *   - DISQUALIFIED    - opponent disqualified; winner given
+ *   - DOUBLE_NO_SHOW  - neither player showed; no winner, both take a forfeit loss
+ *
+ * Which non-NORMAL results a sport recognises is listed in its `outcomes` (utils/sportRules.js).
+ */
+
+import { getPlayerId } from "./matchPlayers.js";
+import { normalizeSportScore } from "./sportRules.js";
+
+export const NORMAL = "NORMAL";
+export const WALKOVER = "WALKOVER";
+export const RETIRED = "RETIRED";
+export const DISQUALIFIED = "DISQUALIFIED";
+export const DOUBLE_NO_SHOW = "DOUBLE_NO_SHOW";
+
+export const RESULT_TYPES = [NORMAL, WALKOVER, RETIRED, DISQUALIFIED, DOUBLE_NO_SHOW];
+
+// Results where the loser did not play it out: standings use the configured walkover score
+export const FORFEIT_RESULT_TYPES = [WALKOVER, DISQUALIFIED];
+
+/**
+ * Resolve a non-NORMAL result for a match.
+ * @param {{ resultType: string, winner?: string, score?: object, reason?: string }} input
+ * @param {object} match - Row from the matches table
+ * @param {object} sportRules - getSportRules() result
+ * @returns {{ update: object | null, error: string | null, code?: string }}
+ *   update: { result_type, result_reason, winner, score, status }
+ */
+export const resolveSpecialResult = ({ resultType, winner, score, reason }, match, sportRules) => {
+    if (!RESULT_TYPES.includes(resultType) || resultType === NORMAL) {
+        return { update: null, error: `Invalid result type. Allowed: ${RESULT_TYPES.join(", ")}`, code: "INVALID_RESULT_TYPE" };
+    }
+    if (!sportRules.outcomes.includes(resultType)) {
+        return { update: null, error: `${resultType} is not a recognised outcome in ${sportRules.sport}`, code: "RESULT_TYPE_NOT_ALLOWED" };
+    }
+
+    const base = {
+        result_type: resultType,
+        result_reason: reason ? String(reason).trim() || null : null,
+        status: "COMPLETED"
+    };
+
+    if (resultType === DOUBLE_NO_SHOW) {
+        return { update: { ...base, winner: null, score: null }, error: null };
+    }
+
+    const playerAId = getPlayerId(match.player_a);
+    const playerBId = getPlayerId(match.player_b);
+    const winnerId = getPlayerId(winner);
+    if (!winnerId || (winnerId !== playerAId && winnerId !== playerBId)) {
+        return { update: null, error: `${resultType} needs the winner (one of the two players)`, code: "WINNER_REQUIRED" };
+    }
+
+    // Partial scores are kept as recorded (retirement mid-game, walkover with no play)
+    let normalizedScore = null;
+    if (score) {
+        const { score: s, error } = normalizeSportScore(sportRules, score, { final: false });
+        if (error) return { update: null, error: `Invalid score: ${error}`, code: "INVALID_SCORE" };
+        normalizedScore = s;
+    }
+
+    return {
+        update: {
+            ...base,
+            winner: winnerId === playerAId ? (match.player_a?.id || match.player_a) : (match.player_b?.id || match.player_b),
+            score: normalizedScore
+        },
+        error: null
+    };
+};
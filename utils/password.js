@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+/**
+ * Password hashing - scrypt via Node crypto, no database access.
+ *
+ * Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ * Parameters travel with the hash, so raising the cost later only affects new hashes
+ * (old ones report needsRehash). Rows written before hashing hold the plain password;
+ * they still verify, with needsRehash set so the caller can upgrade them.
+ * NO_PASSWORD (written by googleSyncRoutes) marks an account without password login.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = "scrypt";
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MAX_N = 2 ** 20;
+
+export const NO_PASSWORD = "GOOGLE_AUTH_ADMIN";
+
+export const isPasswordHash = (stored) => typeof stored === "string" && stored.startsWith(`${PREFIX}$`);
+
+/**
+ * @param {string | null | undefined} stored - users.password
+ * @returns {boolean} whether the account can sign in with a password at all
+ */
+export const hasPasswordLogin = (stored) => !!stored && stored !== NO_PASSWORD;
+
+const derive = (password, salt, { N, r, p }) =>
+    scrypt(String(password), salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+
+/**
+ * Minimum policy for passwords people choose (reset / change); the DOB-derived
+ * password set at registration is exempt.
+ * @param {string} password
+ * @returns {string | null} what is wrong, or null when acceptable
+ */
+export const checkPasswordPolicy = (password) => {
+    if (typeof password !== "string" || password.length < 8) return "Password must be at least 8 characters";
+    if (password.length > 128) return "Password must be at most 128 characters";
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return "Password must contain at least one letter and one number";
+    return null;
+};
+
+/**
+ * @param {object | null} user - users row
+ * @returns {object | null} the row without its password column (for API responses)
+ */
+export const omitPassword = (user) => {
+    if (!user) return user;
+    const { password, ...rest } = user;
+    return rest;
+};
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} value for users.password
+ */
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await derive(password, salt, COST);
+    return [PREFIX, COST.N, COST.r, COST.p, salt.toString("base64"), key.toString("base64")].join("$");
+};
+
+/**
+ * @param {string} password - As typed
+ * @param {string | null | undefined} stored - users.password
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ */
+export const verifyPassword = async (password, stored) => {
+    if (!password || !hasPasswordLogin(stored)) return { valid: false, needsRehash: false };
+
+    if (!isPasswordHash(stored)) {
+        const a = Buffer.from(String(password));
+        const b = Buffer.from(String(stored));
+        const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, hash] = stored.split("$");
+    const cost = { N: Number(N), r: Number(r), p: Number(p) };
+    const expected = Buffer.from(hash || "", "base64");
+    if (!cost.N || !cost.r || !cost.p || cost.N > MAX_N || cost.r > 32 || expected.length === 0) return { valid: false, needsRehash: false };
+
+    let key;
+    try {
+        key = await derive(password, Buffer.from(salt, "base64"), cost);
+    } catch {
+        return { valid: false, needsRehash: false }; // Malformed parameters
+    }
+    const valid = key.length === expected.length && crypto.timingSafeEqual(key, expected);
+    const outdated = cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p;
+
+    return { valid, needsRehash: valid && outdated };
+};
@@ -0,0 +1,88 @@
+/**
+ * Admin permissions - pure helpers, no database access.
+ *
+ * Event capabilities (granted per event):
+ *   edit-event, manage-draws, score-matches, verify-payments, manage-news - can be delegated
+ *   delete-event, manage-collaborators                                   - owner only
+ *
+ * Who gets what on an event:
+ *   superadmin             - everything
+ *   owner (created_by)     - every event capability
+ *   assigned_to            - every delegable capability (the original single collaborator)
+ *   event_admins row       - the capabilities listed on it
+ *
+ * Global permissions (held by role, not per event):
+ *   manage-admins   - approve / reject / delete admins, invites, approval history
+ *   manage-settings - site settings
+ * Both are superadmin-only. This module is the one place roles, global permissions and
+ * event capabilities are defined: routes ask for global permissions through
+ * requireAuth({ permissions }) (middleware/authMiddleware.js) and for event capabilities
+ * through verifyEventAccess (middleware/eventAccessMiddleware.js).
+ */
+
+export const PLAYER = "player";
+export const ADMIN = "admin";
+export const SUPERADMIN = "superadmin";
+export const ADMIN_ROLES = [ADMIN, SUPERADMIN];
+
+export const MANAGE_ADMINS = "manage-admins";
+export const MANAGE_SETTINGS = "manage-settings";
+
+const ROLE_PERMISSIONS = {
+    [SUPERADMIN]: [MANAGE_ADMINS, MANAGE_SETTINGS]
+};
+
+export const EDIT_EVENT = "edit-event";
+export const MANAGE_DRAWS = "manage-draws";
+export const SCORE_MATCHES = "score-matches";
+export const VERIFY_PAYMENTS = "verify-payments";
+export const MANAGE_NEWS = "manage-news";
+export const DELETE_EVENT = "delete-event";
+export const MANAGE_COLLABORATORS = "manage-collaborators";
+
+export const DELEGABLE_CAPABILITIES = [EDIT_EVENT, MANAGE_DRAWS, SCORE_MATCHES, VERIFY_PAYMENTS, MANAGE_NEWS];
+export const OWNER_CAPABILITIES = [...DELEGABLE_CAPABILITIES, DELETE_EVENT, MANAGE_COLLABORATORS];
+
+export const isSuperAdmin = (user) => user?.role === SUPERADMIN;
+
+/**
+ * @param {{ role: string }} user - Decoded JWT
+ * @param {string} permission - A global permission (MANAGE_ADMINS, MANAGE_SETTINGS)
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+
+/**
+ * Validate capabilities for an event_admins grant.
+ * @returns {{ capabilities: string[] | null, error: string | null }}
+ */
+export const normalizeCapabilities = (input) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { capabilities: null, error: `capabilities must be a non-empty array of: ${DELEGABLE_CAPABILITIES.join(", ")}` };
+    }
+    const capabilities = [...new Set(input.map((c) => String(c).trim().toLowerCase()))];
+    const invalid = capabilities.filter((c) => !DELEGABLE_CAPABILITIES.includes(c));
+    if (invalid.length > 0) {
+        return { capabilities: null, error: `Unknown or owner-only capabilities: ${invalid.join(", ")}` };
+    }
+    return { capabilities, error: null };
+};
+
+/**
+ * Capabilities a user holds on an event.
+ * @param {{ id: string, role: string }} user - Decoded JWT
+ * @param {{ created_by?: string, assigned_to?: string }} event
+ * @param {{ capabilities?: string[] } | null} grant - The user's event_admins row, if any
+ * @returns {string[]}
+ */
+export const getEventCapabilities = (user, event, grant = null) => {
+    if (isSuperAdmin(user)) return OWNER_CAPABILITIES;
+    if (user?.role !== ADMIN || !user.id || !event) return [];
+
+    const userId = String(user.id);
+    if (String(event.created_by) === userId) return OWNER_CAPABILITIES;
+    if (String(event.assigned_to) === userId) return DELEGABLE_CAPABILITIES;
+
+    return (grant?.capabilities || []).filter((c) => DELEGABLE_CAPABILITIES.includes(c));
+};
+
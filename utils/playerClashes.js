@@ -0,0 +1,75 @@
+/**
+ * Player clash detection - pure helpers, no database access.
+ *
+ * A booking is one scheduled match with the people playing in it. People are resolved
+ * from the entrants (singles player, or every member of a doubles team) so one person
+ * entered in singles, doubles and mixed is checked across all three.
+ */
+
+const MINUTE = 60 * 1000;
+
+export const OVERLAP = "OVERLAP";
+export const REST_TOO_SHORT = "REST_TOO_SHORT";
+
+/**
+ * Find people booked in overlapping matches, or with less than restMinutes between two matches.
+ *
+ * @param {Array<{ matchId: string, start: number, end: number, people: Array<{ id: string, name?: string }> }>} bookings
+ *   start / end in epoch ms; other fields (court, round_name, ...) are passed through to the report
+ * @param {{ restMinutes?: number, matchIds?: string[] }} options
+ *   matchIds - only report clashes involving these matches (validating a move)
+ * @returns {Array<{ type: string, person: object, matches: Array, overlapMinutes?: number, gapMinutes?: number, requiredRestMinutes: number }>}
+ */
+export const findPlayerClashes = (bookings, { restMinutes = 0, matchIds = null } = {}) => {
+    const restMs = restMinutes * MINUTE;
+    const only = matchIds ? new Set(matchIds.map(String)) : null;
+
+    const byPerson = new Map();
+    for (const booking of bookings) {
+        for (const person of booking.people || []) {
+            if (!byPerson.has(person.id)) byPerson.set(person.id, { person, bookings: [] });
+            const entry = byPerson.get(person.id);
+            // Same person on both sides (or listed twice in a team) is not a clash
+            if (!entry.bookings.includes(booking)) entry.bookings.push(booking);
+        }
+    }
+
+    const clashes = [];
+    for (const { person, bookings: personBookings } of byPerson.values()) {
+        const sorted = [...personBookings].sort((a, b) => a.start - b.start);
+
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const [a, b] = [sorted[i], sorted[j]];
+                if (a.matchId === b.matchId) continue;
+                if (only && !only.has(String(a.matchId)) && !only.has(String(b.matchId))) continue;
+
+                const summary = [a, b].map(({ people, start, end, ...rest }) => ({
+                    ...rest,
+                    start: new Date(start).toISOString(),
+                    end: new Date(end).toISOString()
+                }));
+
+                if (b.start < a.end) {
+                    clashes.push({
+                        type: OVERLAP,
+                        person,
+                        matches: summary,
+                        overlapMinutes: Math.round((Math.min(a.end, b.end) - b.start) / MINUTE),
+                        requiredRestMinutes: restMinutes
+                    });
+                } else if (b.start - a.end < restMs) {
+                    clashes.push({
+                        type: REST_TOO_SHORT,
+                        person,
+                        matches: summary,
+                        gapMinutes: Math.round((b.start - a.end) / MINUTE),
+                        requiredRestMinutes: restMinutes
+                    });
+                }
+            }
+        }
+    }
+
+    return clashes.sort((x, y) => new Date(x.matches[1].start) - new Date(y.matches[1].start));
+};
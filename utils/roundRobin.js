@@ -0,0 +1,62 @@
+/**
+ * Round-robin fixture scheduling with the circle (Berger) method - pure helpers,
+ * no database access.
+ *
+ * Fixtures are grouped into matchdays so every participant plays at most once per
+ * matchday. Odd fields get a rotating BYE (one participant sits out each matchday).
+ *
+ * Double round-robin (league rules.doubleRoundRobin):
+ *   - "HOME_AWAY" - second leg repeats the first with sides swapped
+ *   - "REPEAT"    - second leg repeats the first as is
+ */
+
+export const DOUBLE_ROUND_ROBIN_MODES = ["HOME_AWAY", "REPEAT"];
+
+/**
+ * Build the full schedule.
+ * @param {Array<{id: string, name: string}>} participants - In seeding order
+ * @param {{ doubleRoundRobin?: "HOME_AWAY" | "REPEAT" | null }} options
+ * @returns {Array<{ matchday: number, fixtures: Array<[object, object]>, bye: object | null }>}
+ *   fixtures are [home (player_a), away (player_b)]
+ */
+export const buildRoundRobinSchedule = (participants, { doubleRoundRobin = null } = {}) => {
+    const list = [...participants];
+    if (list.length < 2) return [];
+    if (list.length % 2 === 1) list.push(null);
+
+    const n = list.length;
+    const firstLeg = [];
+
+    for (let r = 0; r < n - 1; r++) {
+        const fixtures = [];
+        let bye = null;
+
+        for (let i = 0; i < n / 2; i++) {
+            let home = list[i];
+            let away = list[n - 1 - i];
+            // The fixed participant alternates sides so nobody is always player_a
+            if (i === 0 && r % 2 === 1) [home, away] = [away, home];
+
+            if (!home || !away) {
+                bye = home || away;
+                continue;
+            }
+            fixtures.push([home, away]);
+        }
+
+        firstLeg.push({ matchday: r + 1, fixtures, bye });
+
+        // Rotate everyone except list[0] one position clockwise
+        list.splice(1, 0, list.pop());
+    }
+
+    if (!DOUBLE_ROUND_ROBIN_MODES.includes(doubleRoundRobin)) return firstLeg;
+
+    const secondLeg = firstLeg.map((day) => ({
+        matchday: day.matchday + firstLeg.length,
+        fixtures: day.fixtures.map(([home, away]) => (doubleRoundRobin === "HOME_AWAY" ? [away, home] : [home, away])),
+        bye: day.bye
+    }));
+
+    return [...firstLeg, ...secondLeg];
+};
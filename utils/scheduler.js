@@ -0,0 +1,308 @@
+/**
+ * Court / time-slot scheduling - pure helpers, no database access.
+ *
+ * Schedule config (event_schedules.config):
+ *   {
+ *     courts: [{ id: "c1", name: "Court 1" }],
+ *     sessions: [{ date: "2026-01-29", start: "09:00", end: "13:00" }], // play windows, several per day allowed
+ *     utcOffset: "+05:30",               // session times are venue-local
+ *     defaultDuration: 30,               // estimated minutes per match
+ *     categoryDurations: { [categoryId]: 45 },
+ *     restMinutes: 15,                   // minimum gap between two matches of the same player
+ *     autoReplan: false                  // re-plan when a match finishes later than planned
+ *   }
+ *
+ * planSchedule is a greedy list scheduler: matches are taken in play order (bracket depth or
+ * matchday first) and each gets the court and start time that let it begin earliest once its
+ * feeder matches have finished and its players have rested. Matches already in play keep
+ * their court until they finish (or until `from`, when they are running late).
+ */
+
+import { findRoundLocation } from "./bracketDraw.js";
+import { isPlateRound, THIRD_PLACE_ROUND } from "./consolationRounds.js";
+import { DOUBLE_ELIMINATION, getFeederLocations } from "./doubleElimination.js";
+
+const MINUTE = 60 * 1000;
+const MAX_DURATION = 600;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const OFFSET_PATTERN = /^[+-]([01]\d|2[0-3]):[0-5]\d$/;
+
+const isMinutes = (value, { min = 1, max = MAX_DURATION } = {}) => Number.isInteger(value) && value >= min && value <= max;
+
+const toMs = (date, time, utcOffset) => new Date(`${date}T${time}:00${utcOffset}`).getTime();
+
+const offsetMinutes = (utcOffset) => {
+    const sign = utcOffset.startsWith("-") ? -1 : 1;
+    const [h, m] = utcOffset.slice(1).split(":").map(Number);
+    return sign * (h * 60 + m);
+};
+
+/**
+ * Validate schedule config from request input.
+ * @returns {{ config: object | null, error: string | null, code?: string }}
+ */
+export const normalizeScheduleConfig = (input) => {
+    const raw = input || {};
+
+    const courts = (Array.isArray(raw.courts) ? raw.courts : []).map((c) => {
+        const name = String((typeof c === "object" && c ? c.name ?? c.id : c) ?? "").trim();
+        const id = String((typeof c === "object" && c ? c.id ?? name : name) ?? "").trim();
+        return { id, name: name || id };
+    });
+    if (courts.length === 0 || courts.some((c) => !c.id)) {
+        return { config: null, error: "At least one court is required, each with an id or name", code: "INVALID_COURTS" };
+    }
+    if (new Set(courts.map((c) => c.id)).size !== courts.length) {
+        return { config: null, error: "Court ids must be unique", code: "INVALID_COURTS" };
+    }
+
+    const utcOffset = raw.utcOffset === undefined || raw.utcOffset === null || raw.utcOffset === "" ? "+00:00" : String(raw.utcOffset);
+    if (!OFFSET_PATTERN.test(utcOffset)) {
+        return { config: null, error: "utcOffset must look like +05:30", code: "INVALID_UTC_OFFSET" };
+    }
+
+    const sessions = (Array.isArray(raw.sessions) ? raw.sessions : []).map((s) => ({
+        date: String(s?.date ?? ""),
+        start: String(s?.start ?? ""),
+        end: String(s?.end ?? "")
+    }));
+    if (sessions.length === 0) {
+        return { config: null, error: "At least one session is required", code: "INVALID_SESSIONS" };
+    }
+    for (const s of sessions) {
+        if (!DATE_PATTERN.test(s.date) || !TIME_PATTERN.test(s.start) || !TIME_PATTERN.test(s.end)) {
+            return { config: null, error: "Sessions need date (YYYY-MM-DD), start and end (HH:MM)", code: "INVALID_SESSIONS" };
+        }
+        if (Number.isNaN(toMs(s.date, s.start, utcOffset)) || s.end <= s.start) {
+            return { config: null, error: `Session ${s.date} ${s.start}-${s.end} must end after it starts`, code: "INVALID_SESSIONS" };
+        }
+    }
+    sessions.sort((a, b) => `${a.date}${a.start}`.localeCompare(`${b.date}${b.start}`));
+
+    const defaultDuration = raw.defaultDuration === undefined ? 30 : Number(raw.defaultDuration);
+    if (!isMinutes(defaultDuration)) {
+        return { config: null, error: `defaultDuration must be 1-${MAX_DURATION} minutes`, code: "INVALID_DURATION" };
+    }
+
+    const categoryDurations = {};
+    for (const [categoryId, minutes] of Object.entries(raw.categoryDurations || {})) {
+        if (!isMinutes(Number(minutes))) {
+            return { config: null, error: `Duration for category ${categoryId} must be 1-${MAX_DURATION} minutes`, code: "INVALID_DURATION" };
+        }
+        categoryDurations[String(categoryId)] = Number(minutes);
+    }
+
+    const restMinutes = raw.restMinutes === undefined ? 0 : Number(raw.restMinutes);
+    if (!isMinutes(restMinutes, { min: 0 })) {
+        return { config: null, error: `restMinutes must be 0-${MAX_DURATION}`, code: "INVALID_REST" };
+    }
+
+    return {
+        config: { courts, sessions, utcOffset, defaultDuration, categoryDurations, restMinutes, autoReplan: raw.autoReplan === true },
+        error: null
+    };
+};
+
+/**
+ * @returns {number} estimated minutes for a match in the category
+ */
+export const getMatchDuration = (config, categoryId) =>
+    config.categoryDurations?.[String(categoryId)] ?? config.defaultDuration;
+
+/**
+ * Venue-local date (YYYY-MM-DD) of an instant, for order-of-play by day.
+ * @param {string | Date} at
+ * @param {string} utcOffset
+ */
+export const getLocalDate = (at, utcOffset = "+00:00") =>
+    new Date(new Date(at).getTime() + offsetMinutes(utcOffset) * MINUTE).toISOString().slice(0, 10);
+
+/**
+ * Bracket matches whose results decide who plays in a bracket match. A quarterfinal
+ * depends on its two round-of-16 feeders, a losers-bracket match on the winners-bracket
+ * match its loser drops from, the third-place match on both semifinals, and so on.
+ * @param {object} data - bracket_data
+ * @returns {Array<{ roundName: string, matchIndex: number }>}
+ */
+export const getBracketFeeders = (data, roundName, matchIndex) => {
+    const location = findRoundLocation(data, roundName);
+    if (!location) return [];
+
+    const pairFrom = (round) =>
+        [2 * matchIndex, 2 * matchIndex + 1]
+            .filter((i) => i < (round?.matches?.length || 0))
+            .map((i) => ({ roundName: round.name, matchIndex: i }));
+
+    if (data.format === DOUBLE_ELIMINATION && location.section !== "consolationRounds") {
+        return getFeederLocations(data, { ...location, match: matchIndex })
+            .map((f) => ({ roundName: data[f.section]?.[f.round]?.name, matchIndex: f.match }))
+            .filter((f) => f.roundName);
+    }
+
+    if (location.section === "rounds") {
+        return location.round === 0 ? [] : pairFrom(data.rounds[location.round - 1]);
+    }
+
+    if (location.section === "consolationRounds") {
+        const round = data.consolationRounds[location.round];
+        if (round.name === THIRD_PLACE_ROUND) {
+            const semifinal = (data.rounds || []).find((r) => Array.isArray(r?.matches) && r.matches.length === 2);
+            return semifinal ? [0, 1].map((i) => ({ roundName: semifinal.name, matchIndex: i })) : [];
+        }
+        if (isPlateRound(round)) {
+            const plateRounds = data.consolationRounds.filter(isPlateRound);
+            const r = plateRounds.indexOf(round);
+            return pairFrom(r === 0 ? data.rounds?.[0] : plateRounds[r - 1]);
+        }
+    }
+
+    return [];
+};
+
+// Play windows in time order, as epoch ms
+const getSessionWindows = (config) =>
+    config.sessions
+        .map((s) => ({ start: toMs(s.date, s.start, config.utcOffset), end: toMs(s.date, s.end, config.utcOffset) }))
+        .sort((a, b) => a.start - b.start);
+
+// Earliest start >= t where the whole match fits inside one session
+const fitInSession = (windows, t, durationMs) => {
+    for (const w of windows) {
+        const start = Math.max(t, w.start);
+        if (start + durationMs <= w.end) return start;
+    }
+    return null;
+};
+
+/**
+ * Assign court + start time to matches.
+ *
+ * @param {{
+ *   items: Array<{ key: string, players: string[], feeders: string[], duration: number,
+ *                  level?: number, previousStart?: string | null, court?: string | null }>,
+ *   inPlay?: Array<{ key: string, players: string[], court?: string | null, end: number }>,
+ *   config: object,
+ *   from: number
+ * }} input
+ *   items    - matches to place; feeders are keys of other items or in-play matches
+ *   inPlay   - matches already being played (end = expected finish, epoch ms)
+ *   level    - play order for matches without feeders (league matchday - 1)
+ *   previousStart / court - current slot; re-plans keep the existing order and court where they can
+ * @returns {{ assignments: Array<{ key, court, start, end }>, unscheduled: Array<{ key, reason }> }}
+ *   start / end are ISO strings
+ */
+export const planSchedule = ({ items, inPlay = [], config, from }) => {
+    const windows = getSessionWindows(config);
+    const restMs = config.restMinutes * MINUTE;
+    const courtFree = new Map(config.courts.map((c) => [c.id, from]));
+    const playerFree = new Map();
+    const finishedAt = new Map();
+
+    for (const m of inPlay) {
+        const end = Math.max(m.end, from);
+        if (m.court && courtFree.has(m.court)) courtFree.set(m.court, Math.max(courtFree.get(m.court), end));
+        m.players.forEach((id) => playerFree.set(id, Math.max(playerFree.get(id) ?? from, end + restMs)));
+        finishedAt.set(m.key, end);
+    }
+
+    // Depth below feeders that are being planned too; feeders always come first
+    const byKey = new Map(items.map((item) => [item.key, item]));
+    const levels = new Map();
+    const getLevel = (item, seen = new Set()) => {
+        if (levels.has(item.key)) return levels.get(item.key);
+        seen.add(item.key);
+        let level = item.level || 0;
+        for (const key of item.feeders) {
+            const feeder = byKey.get(key);
+            if (feeder && !seen.has(key)) level = Math.max(level, getLevel(feeder, seen) + 1);
+        }
+        levels.set(item.key, level);
+        return level;
+    };
+
+    const ordered = items
+        .map((item, index) => ({ item, index, level: getLevel(item) }))
+        .sort((a, b) => {
+            if (a.level !== b.level) return a.level - b.level;
+            const pa = a.item.previousStart ? new Date(a.item.previousStart).getTime() : Infinity;
+            const pb = b.item.previousStart ? new Date(b.item.previousStart).getTime() : Infinity;
+            if (pa !== pb) return pa - pb;
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+
+    const assignments = [];
+    const unscheduled = [];
+    const failed = new Set();
+
+    for (const item of ordered) {
+        if (item.feeders.some((key) => failed.has(key))) {
+            failed.add(item.key);
+            unscheduled.push({ key: item.key, reason: "A feeder match could not be scheduled" });
+            continue;
+        }
+
+        const durationMs = item.duration * MINUTE;
+        // The feeder's winner plays here, so the rest time applies after it too
+        const earliest = Math.max(
+            from,
+            ...item.feeders.filter((key) => finishedAt.has(key)).map((key) => finishedAt.get(key) + restMs),
+            ...item.players.map((id) => playerFree.get(id) ?? from)
+        );
+
+        let best = null;
+        for (const court of config.courts) {
+            const start = fitInSession(windows, Math.max(courtFree.get(court.id), earliest), durationMs);
+            if (start === null) continue;
+            if (!best || start < best.start || (start === best.start && court.id === item.court && best.court !== item.court)) {
+                best = { court: court.id, start };
+            }
+        }
+
+        if (!best) {
+            failed.add(item.key);
+            unscheduled.push({ key: item.key, reason: "No session has room for this match" });
+            continue;
+        }
+
+        const end = best.start + durationMs;
+        courtFree.set(best.court, end);
+        item.players.forEach((id) => playerFree.set(id, end + restMs));
+        finishedAt.set(item.key, end);
+        assignments.push({
+            key: item.key,
+            court: best.court,
+            start: new Date(best.start).toISOString(),
+            end: new Date(end).toISOString()
+        });
+    }
+
+    return { assignments, unscheduled };
+};
+
+/**
+ * Order of play: scheduled matches per court in start order. Courts follow the config order;
+ * matches on a court that is no longer configured are listed under their court id at the end.
+ * @param {Array<{ court: string, scheduled_at: string }>} entries
+ * @param {object} config
+ * @returns {Array<{ id: string, name: string, matches: Array }>}
+ */
+export const buildOrderOfPlay = (entries, config) => {
+    const courts = config.courts.map((c) => ({ id: c.id, name: c.name, matches: [] }));
+    const byId = new Map(courts.map((c) => [c.id, c]));
+
+    for (const entry of entries) {
+        if (!entry.court || !entry.scheduled_at) continue;
+        if (!byId.has(entry.court)) {
+            const court = { id: entry.court, name: entry.court, matches: [] };
+            courts.push(court);
+            byId.set(entry.court, court);
+        }
+        byId.get(entry.court).matches.push(entry);
+    }
+
+    courts.forEach((c) => c.matches.sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at)));
+    return courts;
+};
@@ -0,0 +1,187 @@
+/**
+ * Match score model - pure helpers, no database access.
+ *
+ * Two shapes are accepted in matches.score:
+ *   - Legacy integers:  { player1: 15, player2: 12 }
+ *   - Games / sets:     { format?: "BADMINTON", sets: [{ player1: 21, player2: 18 }, ...] }
+ *
+ * Structured scores are stored with player1 / player2 set to games won, so every
+ * reader that compares player1 with player2 keeps working unchanged.
+ */
+
+/**
+ * Game formats. A game is won at pointsToWin with a lead of winBy; cap ends the game
+ * at that score regardless of the lead (badminton 30-29, tennis tiebreak set 7-6).
+ */
+export const SCORE_FORMATS = {
+    BADMINTON: { bestOf: 3, pointsToWin: 21, winBy: 2, cap: 30 },
+    TABLE_TENNIS: { bestOf: 5, pointsToWin: 11, winBy: 2, cap: null },
+    TENNIS: { bestOf: 3, pointsToWin: 6, winBy: 2, cap: 7 }
+};
+
+export const isStructuredScore = (score) => Array.isArray(score?.sets);
+
+const isPoints = (value) => Number.isInteger(value) && value >= 0;
+
+const toPoints = (value) => (typeof value === "string" && value.trim() !== "" ? Number(value) : value);
+
+// "player1" | "player2" when the game is complete under the format, otherwise null
+const getGameWinner = (game, format) => {
+    const [a, b] = [game.player1, game.player2];
+    const [w, l] = a > b ? [a, b] : [b, a];
+    if (a === b || w < format.pointsToWin) return null;
+
+    const complete = format.cap && w === format.cap
+        ? true
+        : w === format.pointsToWin ? w - l >= format.winBy : w - l === format.winBy;
+
+    if (!complete) return null;
+    return a > b ? "player1" : "player2";
+};
+
+/**
+ * Validate one game against the format.
+ * @returns {string | null} error message
+ */
+const validateGame = (game, format, final) => {
+    const [a, b] = [game.player1, game.player2];
+    if (format.cap && (a > format.cap || b > format.cap)) {
+        return `points cannot exceed ${format.cap}`;
+    }
+    const [w, l] = a > b ? [a, b] : [b, a];
+    // Past pointsToWin the game must have ended as soon as someone led by winBy
+    if (w > format.pointsToWin && w - l > format.winBy) {
+        return `${w}-${l} is not reachable (win by ${format.winBy})`;
+    }
+    if (final && !getGameWinner(game, format)) {
+        return `${a}-${b} is not a finished game (to ${format.pointsToWin}, win by ${format.winBy}${format.cap ? `, cap ${format.cap}` : ""})`;
+    }
+    return null;
+};
+
+/**
+ * Validate and normalise a score from request input.
+ *
+ * final = true (match being COMPLETED): every game must be finished and the match
+ * decided under the format (best of N). Otherwise games may still be in progress.
+ *
+ * @param {object} score - Legacy integer or games / sets score
+ * @param {{ final?: boolean }} options
+ * @returns {{ score: object | null, error: string | null }}
+ */
+export const normalizeScore = (score, { final = false } = {}) => {
+    if (!score || typeof score !== "object") {
+        return { score: null, error: "Score is required" };
+    }
+
+    if (!isStructuredScore(score)) {
+        const player1 = parseInt(score.player1 || score.player_a || 0, 10);
+        const player2 = parseInt(score.player2 || score.player_b || 0, 10);
+        if (Number.isNaN(player1) || Number.isNaN(player2) || player1 < 0 || player2 < 0) {
+            return { score: null, error: "Scores must be non-negative integers" };
+        }
+        return { score: { player1, player2 }, error: null };
+    }
+
+    const formatName = score.format ? String(score.format).toUpperCase() : null;
+    if (formatName && !SCORE_FORMATS[formatName]) {
+        return { score: null, error: `Unknown score format. Allowed: ${Object.keys(SCORE_FORMATS).join(", ")}` };
+    }
+    const format = formatName ? SCORE_FORMATS[formatName] : null;
+
+    const sets = score.sets.map((game) => ({ player1: toPoints(game?.player1), player2: toPoints(game?.player2) }));
+    if (sets.some((game) => !isPoints(game.player1) || !isPoints(game.player2))) {
+        return { score: null, error: "Game scores must be non-negative integers" };
+    }
+
+    let gamesWon = [0, 0];
+    if (format) {
+        if (sets.length > format.bestOf) {
+            return { score: null, error: `At most ${format.bestOf} games can be played` };
+        }
+        const gamesNeeded = Math.ceil(format.bestOf / 2);
+
+        for (let i = 0; i < sets.length; i++) {
+            if (Math.max(...gamesWon) >= gamesNeeded) {
+                return { score: null, error: `Game ${i + 1} was played after the match was decided` };
+            }
+            // Only the last game may still be in progress
+            const error = validateGame(sets[i], format, final || i < sets.length - 1);
+            if (error) return { score: null, error: `Game ${i + 1}: ${error}` };
+
+            const gameWinner = getGameWinner(sets[i], format);
+            if (gameWinner) gamesWon[gameWinner === "player1" ? 0 : 1] += 1;
+        }
+
+        if (final && Math.max(...gamesWon) < gamesNeeded) {
+            return { score: null, error: `A player must win ${gamesNeeded} of ${format.bestOf} games` };
+        }
+    } else {
+        // No format: any game with more points counts as won
+        gamesWon = sets.reduce(
+            (acc, game) => {
+                if (game.player1 > game.player2) acc[0] += 1;
+                else if (game.player2 > game.player1) acc[1] += 1;
+                return acc;
+            },
+            [0, 0]
+        );
+    }
+
+    return {
+        score: {
+            ...(formatName ? { format: formatName } : {}),
+            sets,
+            player1: gamesWon[0],
+            player2: gamesWon[1]
+        },
+        error: null
+    };
+};
+
+/**
+ * Winning side of a (normalised or legacy) score: games won for structured scores,
+ * points for integer scores.
+ * @returns {"player1" | "player2" | null} null for a tie
+ */
+export const getScoreWinnerSide = (score) => {
+    if (!score) return null;
+    const p1 = parseInt(score.player1 || score.player_a || 0, 10) || 0;
+    const p2 = parseInt(score.player2 || score.player_b || 0, 10) || 0;
+    if (p1 > p2) return "player1";
+    if (p2 > p1) return "player2";
+    return null;
+};
+
+/**
+ * Score after one point for a side (live, point-by-point scoring).
+ *
+ * Games / sets scores add the point to the game in progress and open the next game
+ * once the last one is finished under the format; integer scores add one. The result
+ * is not normalised - run it through normalizeScore before saving.
+ *
+ * @param {object | null} score - Current score (null before the first point)
+ * @param {"player1" | "player2"} side
+ * @param {string | null} formatName - SCORE_FORMATS key used when the score has none
+ * @returns {object} next score
+ */
+export const addPoint = (score, side, formatName = null) => {
+    const name = score?.format ? String(score.format).toUpperCase() : formatName;
+    const format = name ? SCORE_FORMATS[name] : null;
+
+    if (!isStructuredScore(score) && !(format && !score)) {
+        return {
+            player1: (parseInt(score?.player1 || 0, 10) || 0) + (side === "player1" ? 1 : 0),
+            player2: (parseInt(score?.player2 || 0, 10) || 0) + (side === "player2" ? 1 : 0)
+        };
+    }
+
+    const sets = (score?.sets || []).map((game) => ({ player1: Number(game.player1) || 0, player2: Number(game.player2) || 0 }));
+    const current = sets[sets.length - 1];
+    if (!current || (format && getGameWinner(current, format))) {
+        sets.push({ player1: 0, player2: 0 });
+    }
+    sets[sets.length - 1][side] += 1;
+
+    return { ...(name ? { format: name } : {}), sets };
+};
@@ -0,0 +1,144 @@
+/**
+ * Sport rule registry - pure helpers, no database access.
+ *
+ * Keyed by events.sport (free text, normalised: "Table Tennis" => TABLE_TENNIS).
+ * Each sport defines:
+ *   - scoreFormat     - SCORE_FORMATS key for games / sets scores, null for plain integers
+ *   - drawAllowed     - whether a level score can stand as a draw in league-style rounds
+ *                       (knockout rounds never allow draws)
+ *   - outcomes        - non-NORMAL result types the sport recognises (utils/matchResult.js)
+ *   - leaguePoints    - default points for win / draw / loss in league standings
+ *   - walkoverScore   - score credited in standings for a walkover / disqualification
+ *   - getWinnerSide   - winner from a normalised score ("player1" | "player2" | null)
+ *
+ * Unknown sports fall back to GENERIC (integer scores, draws allowed, 3-1-0).
+ */
+
+import { getScoreWinnerSide, normalizeScore } from "./scoring.js";
+
+const byHigherScore = (score) => getScoreWinnerSide(score);
+
+export const SPORT_RULES = {
+    BADMINTON: {
+        scoreFormat: "BADMINTON",
+        drawAllowed: false,
+        outcomes: ["WALKOVER", "RETIRED", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 1, pointsDraw: 0, pointsLoss: 0 },
+        walkoverScore: { winner: 2, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    TABLE_TENNIS: {
+        scoreFormat: "TABLE_TENNIS",
+        drawAllowed: false,
+        outcomes: ["WALKOVER", "RETIRED", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        // ITTF-style league: a played loss still earns a point
+        leaguePoints: { pointsWin: 2, pointsDraw: 0, pointsLoss: 1 },
+        walkoverScore: { winner: 3, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    TENNIS: {
+        scoreFormat: "TENNIS",
+        drawAllowed: false,
+        outcomes: ["WALKOVER", "RETIRED", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 1, pointsDraw: 0, pointsLoss: 0 },
+        walkoverScore: { winner: 2, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    CHESS: {
+        // Game points: 1-0, 0-1, or level for a draw
+        scoreFormat: null,
+        drawAllowed: true,
+        outcomes: ["WALKOVER", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 1, pointsDraw: 0.5, pointsLoss: 0 },
+        walkoverScore: { winner: 1, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    FOOTBALL: {
+        scoreFormat: null,
+        drawAllowed: true,
+        outcomes: ["WALKOVER", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 3, pointsDraw: 1, pointsLoss: 0 },
+        walkoverScore: { winner: 3, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    CRICKET_LITE: {
+        // Runs scored; a tie is a draw in league play
+        scoreFormat: null,
+        drawAllowed: true,
+        outcomes: ["WALKOVER", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 2, pointsDraw: 1, pointsLoss: 0 },
+        walkoverScore: { winner: 0, loser: 0 },
+        getWinnerSide: byHigherScore
+    },
+    GENERIC: {
+        scoreFormat: null,
+        drawAllowed: true,
+        outcomes: ["WALKOVER", "RETIRED", "DISQUALIFIED", "DOUBLE_NO_SHOW"],
+        leaguePoints: { pointsWin: 3, pointsDraw: 1, pointsLoss: 0 },
+        walkoverScore: { winner: 1, loser: 0 },
+        getWinnerSide: byHigherScore
+    }
+};
+
+const SPORT_ALIASES = {
+    CRICKET: "CRICKET_LITE",
+    SOCCER: "FOOTBALL",
+    PING_PONG: "TABLE_TENNIS",
+    TT: "TABLE_TENNIS"
+};
+
+export const getSportKey = (sport) => {
+    const key = String(sport || "").trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+    const resolved = SPORT_ALIASES[key] || key;
+    return SPORT_RULES[resolved] ? resolved : "GENERIC";
+};
+
+/**
+ * @param {string} sport - events.sport
+ * @returns {object} registry entry, with its key as `sport`
+ */
+export const getSportRules = (sport) => {
+    const key = getSportKey(sport);
+    return { sport: key, ...SPORT_RULES[key] };
+};
+
+/**
+ * Validate a score under the sport's format. Games / sets scores without an explicit
+ * format get the sport's; integer scores are accepted for every sport.
+ * @returns {{ score: object | null, error: string | null }}
+ */
+export const normalizeSportScore = (sportRules, score, { final = false } = {}) => {
+    const withFormat = Array.isArray(score?.sets) && !score.format && sportRules.scoreFormat
+        ? { ...score, format: sportRules.scoreFormat }
+        : score;
+    return normalizeScore(withFormat, { final });
+};
+
+/**
+ * Winner of a completed match.
+ * @param {object} sportRules - getSportRules() result
+ * @param {object} score - Normalised score
+ * @param {{ leagueStyle?: boolean }} options - League / Swiss / group rounds may end level
+ * @returns {{ side: "player1" | "player2" | null, error: string | null }} side null = draw
+ */
+export const decideWinner = (sportRules, score, { leagueStyle = false } = {}) => {
+    const side = sportRules.getWinnerSide(score);
+    if (side) return { side, error: null };
+    if (leagueStyle && sportRules.drawAllowed) return { side: null, error: null };
+    return {
+        side: null,
+        error: leagueStyle
+            ? `Draws are not allowed in ${sportRules.sport}`
+            : "Knockout matches cannot end level - provide the winner"
+    };
+};
+
+/**
+ * League points (and walkover score) with sport defaults underneath the league's own rules.
+ * @returns {object} rules
+ */
+export const withSportLeaguePoints = (rules, sportRules) => ({
+    ...sportRules.leaguePoints,
+    walkoverScore: sportRules.walkoverScore,
+    ...(rules || {})
+});
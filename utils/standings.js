@@ -0,0 +1,223 @@
+/**
+ * Round-robin standings (points table) - pure helpers, no database access.
+ *
+ * Used for LEAGUE categories and for each group of a groups + knockout category.
+ * Rows are ordered by points, then by the tiebreak chain configured in league rules:
+ *
+ *   rules.tiebreakers = ["HEAD_TO_HEAD", "SCORE_DIFF", "SCORE_FOR", "GAMES_WON", "MANUAL"]
+ *   rules.manualOrder = [participantId, ...]   // coin toss / organiser decision for MANUAL
+ *
+ * SCORE_DIFF / SCORE_FOR compare points (summed over the games of a games / sets score),
+ * GAMES_WON compares games.
+ * Each tiebreaker only splits players that are still level after the previous ones.
+ * Players level after the whole chain keep seeding order and are flagged `tied: true`.
+ *
+ * Result types (utils/matchResult.js): a walkover / disqualification credits
+ * rules.walkoverScore ({ winner, loser }) and the loser gets rules.pointsForfeit
+ * (default 0) instead of pointsLoss; a double no-show is a forfeit loss for both.
+ */
+
+import { getPlayerId } from "./matchPlayers.js";
+import { DOUBLE_NO_SHOW, FORFEIT_RESULT_TYPES } from "./matchResult.js";
+
+export const TIEBREAKERS = ["HEAD_TO_HEAD", "SCORE_DIFF", "SCORE_FOR", "GAMES_WON", "MANUAL"];
+export const DEFAULT_TIEBREAKERS = ["HEAD_TO_HEAD", "SCORE_DIFF", "SCORE_FOR"];
+
+const toScore = (value) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? 0 : n;
+};
+
+// Games (sets) won by each side, when the score carries per-game detail
+const countGames = (score) => {
+    const games = Array.isArray(score?.sets) ? score.sets : [];
+    return games.reduce(
+        (acc, g) => {
+            const a = toScore(g?.player1);
+            const b = toScore(g?.player2);
+            if (a > b) acc[0] += 1;
+            else if (b > a) acc[1] += 1;
+            return acc;
+        },
+        [0, 0]
+    );
+};
+
+// Points scored by each side: summed over the games when the score has them, else the
+// legacy integer score (where player1 / player2 are the points themselves)
+const countPoints = (score) => {
+    if (Array.isArray(score?.sets)) {
+        return score.sets.reduce((acc, g) => [acc[0] + toScore(g?.player1), acc[1] + toScore(g?.player2)], [0, 0]);
+    }
+    return [toScore(score?.player1 ?? score?.player_a), toScore(score?.player2 ?? score?.player_b)];
+};
+
+/**
+ * Validate a tiebreak chain from request input.
+ * @returns {string[] | null} null when invalid
+ */
+export const normalizeTiebreakers = (tiebreakers) => {
+    if (tiebreakers === undefined) return [...DEFAULT_TIEBREAKERS];
+    if (!Array.isArray(tiebreakers) || tiebreakers.some((t) => !TIEBREAKERS.includes(t))) return null;
+    return [...new Set(tiebreakers)];
+};
+
+/**
+ * Points table from COMPLETED matches.
+ * @param {Array<{id: string, name: string}>} participants - In seeding order
+ * @param {Array} matches - Matches of this league / group (any status)
+ * @param {{ pointsWin?: number, pointsLoss?: number, pointsDraw?: number, pointsForfeit?: number,
+ *           walkoverScore?: { winner: number, loser: number }, tiebreakers?: string[], manualOrder?: string[] }} rules
+ * @returns {Array<{id, name, seed, played, won, drawn, lost, points, scoreFor, scoreAgainst, scoreDiff, gamesWon, gamesLost, rank, tied?}>}
+ */
+export const computeLeagueStandings = (participants, matches, rules = {}) => {
+    const pointsWin = typeof rules.pointsWin === "number" ? rules.pointsWin : 3;
+    const pointsLoss = typeof rules.pointsLoss === "number" ? rules.pointsLoss : 0;
+    const pointsDraw = typeof rules.pointsDraw === "number" ? rules.pointsDraw : 1;
+    const pointsForfeit = typeof rules.pointsForfeit === "number" ? rules.pointsForfeit : 0;
+    const walkoverScore = { winner: 0, loser: 0, ...(rules.walkoverScore || {}) };
+    const chain = normalizeTiebreakers(rules.tiebreakers) || [...DEFAULT_TIEBREAKERS];
+    const manualOrder = Array.isArray(rules.manualOrder) ? rules.manualOrder.map(String) : [];
+
+    const rows = new Map();
+    participants.forEach((p, idx) => {
+        rows.set(String(p.id), {
+            id: String(p.id),
+            name: p.name,
+            seed: idx + 1,
+            played: 0,
+            won: 0,
+            drawn: 0,
+            lost: 0,
+            points: 0,
+            scoreFor: 0,
+            scoreAgainst: 0,
+            scoreDiff: 0,
+            gamesWon: 0,
+            gamesLost: 0
+        });
+    });
+
+    // Completed results between known participants: { aId, bId, winnerId, loserPoints }
+    const results = [];
+
+    for (const m of matches || []) {
+        if (m.status !== "COMPLETED") continue;
+        const aId = getPlayerId(m.player_a);
+        const bId = getPlayerId(m.player_b);
+        const a = rows.get(aId);
+        const b = rows.get(bId);
+        if (!a || !b) continue;
+
+        a.played += 1;
+        b.played += 1;
+
+        if (m.result_type === DOUBLE_NO_SHOW) {
+            a.lost += 1;
+            b.lost += 1;
+            a.points += pointsForfeit;
+            b.points += pointsForfeit;
+            results.push({ aId, bId, winnerId: null, loserPoints: pointsForfeit, doubleForfeit: true });
+            continue;
+        }
+
+        const winnerId = getPlayerId(m.winner);
+        const forfeit = FORFEIT_RESULT_TYPES.includes(m.result_type) && (winnerId === aId || winnerId === bId);
+
+        // Forfeits are credited with the configured walkover score, whatever was recorded
+        const [aScore, bScore] = forfeit
+            ? [
+                winnerId === aId ? walkoverScore.winner : walkoverScore.loser,
+                winnerId === bId ? walkoverScore.winner : walkoverScore.loser
+            ]
+            : countPoints(m.score);
+        const [aGames, bGames] = forfeit ? [0, 0] : countGames(m.score);
+
+        a.scoreFor += aScore;
+        a.scoreAgainst += bScore;
+        b.scoreFor += bScore;
+        b.scoreAgainst += aScore;
+        a.gamesWon += aGames;
+        a.gamesLost += bGames;
+        b.gamesWon += bGames;
+        b.gamesLost += aGames;
+
+        const loserPoints = forfeit ? pointsForfeit : pointsLoss;
+        if (winnerId === aId || winnerId === bId) {
+            const [w, l] = winnerId === aId ? [a, b] : [b, a];
+            w.won += 1;
+            w.points += pointsWin;
+            l.lost += 1;
+            l.points += loserPoints;
+        } else {
+            a.drawn += 1;
+            b.drawn += 1;
+            a.points += pointsDraw;
+            b.points += pointsDraw;
+        }
+        results.push({ aId, bId, winnerId: winnerId === aId || winnerId === bId ? winnerId : null, loserPoints });
+    }
+
+    rows.forEach((row) => {
+        row.scoreDiff = row.scoreFor - row.scoreAgainst;
+    });
+
+    // Higher is better for every tiebreaker
+    const metric = (tiebreaker, tiedRows) => {
+        if (tiebreaker === "HEAD_TO_HEAD") {
+            const ids = new Set(tiedRows.map((r) => r.id));
+            const miniPoints = new Map(tiedRows.map((r) => [r.id, 0]));
+            results.forEach(({ aId, bId, winnerId, loserPoints, doubleForfeit }) => {
+                if (!ids.has(aId) || !ids.has(bId)) return;
+                if (doubleForfeit) {
+                    miniPoints.set(aId, miniPoints.get(aId) + loserPoints);
+                    miniPoints.set(bId, miniPoints.get(bId) + loserPoints);
+                } else if (winnerId) {
+                    const loserId = winnerId === aId ? bId : aId;
+                    miniPoints.set(winnerId, miniPoints.get(winnerId) + pointsWin);
+                    miniPoints.set(loserId, miniPoints.get(loserId) + loserPoints);
+                } else {
+                    miniPoints.set(aId, miniPoints.get(aId) + pointsDraw);
+                    miniPoints.set(bId, miniPoints.get(bId) + pointsDraw);
+                }
+            });
+            return (row) => miniPoints.get(row.id);
+        }
+        if (tiebreaker === "SCORE_DIFF") return (row) => row.scoreDiff;
+        if (tiebreaker === "SCORE_FOR") return (row) => row.scoreFor;
+        if (tiebreaker === "GAMES_WON") return (row) => row.gamesWon;
+        // MANUAL: listed players first, in list order; unlisted players stay level
+        return (row) => {
+            const idx = manualOrder.indexOf(row.id);
+            return idx === -1 ? -Infinity : -idx;
+        };
+    };
+
+    // Split rows into buckets of equal value (best first)
+    const splitBy = (tiedRows, valueOf) => {
+        const buckets = new Map();
+        tiedRows.forEach((row) => {
+            const value = valueOf(row);
+            if (!buckets.has(value)) buckets.set(value, []);
+            buckets.get(value).push(row);
+        });
+        return [...buckets.entries()].sort((x, y) => y[0] - x[0]).map(([, bucket]) => bucket);
+    };
+
+    const order = (tiedRows, level) => {
+        if (tiedRows.length <= 1) return tiedRows;
+        if (level >= chain.length) {
+            tiedRows.forEach((row) => {
+                row.tied = true;
+            });
+            return [...tiedRows].sort((x, y) => x.seed - y.seed);
+        }
+        return splitBy(tiedRows, metric(chain[level], tiedRows)).flatMap((bucket) => order(bucket, level + 1));
+    };
+
+    const standings = splitBy([...rows.values()], (row) => row.points).flatMap((bucket) => order(bucket, 0));
+    standings.forEach((row, idx) => {
+        row.rank = idx + 1;
+    });
+    return standings;
+};
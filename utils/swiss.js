@@ -0,0 +1,194 @@
+/**
+ * Swiss-system helpers (pure functions, no database access).
+ *
+ * Swiss rounds are stored in `matches` like league matches, with round_name
+ * "Swiss Round N". A BYE is a COMPLETED match whose player_b has no id.
+ * Draws are COMPLETED matches with winner = null (same convention as LEAGUE).
+ * Forfeits and double no-shows follow utils/matchResult.js (loser gets pointsForfeit).
+ */
+
+import { getPlayerId } from "./matchPlayers.js";
+import { DOUBLE_NO_SHOW, FORFEIT_RESULT_TYPES } from "./matchResult.js";
+
+export const SWISS_FORMAT = "SWISS";
+export const SWISS_ROUND_PREFIX = "Swiss Round ";
+
+// Guard for pairing backtracking on big fields
+const MAX_PAIRING_STEPS = 20000;
+
+export const isSwissRoundName = (roundName) => typeof roundName === "string" && roundName.startsWith(SWISS_ROUND_PREFIX);
+
+export const getSwissRoundNumber = (roundName) => (isSwissRoundName(roundName) ? parseInt(roundName.slice(SWISS_ROUND_PREFIX.length), 10) || 0 : 0);
+
+/**
+ * Default number of rounds: enough to separate a single winner (ceil(log2(n))).
+ * @param {number} participantCount
+ * @returns {number}
+ */
+export const getDefaultSwissRounds = (participantCount) => Math.max(1, Math.ceil(Math.log2(Math.max(2, participantCount))));
+
+const pairKey = (a, b) => (a < b ? `${a}__${b}` : `${b}__${a}`);
+
+/**
+ * Standings with Buchholz (sum of opponents' points) and Sonneborn-Berger
+ * (points of beaten opponents + half the points of drawn opponents). BYEs give
+ * pointsWin but no opponent, so they add nothing to either tiebreak.
+ *
+ * @param {Array<{id: string, name: string}>} participants - In seeding order
+ * @param {Array} matches - Swiss matches from the matches table
+ * @param {{ pointsWin?: number, pointsLoss?: number, pointsDraw?: number, pointsForfeit?: number }} rules
+ * @returns {Array<{id, name, seed, played, wins, draws, losses, byes, points, buchholz, sonnebornBerger, rank}>}
+ */
+export const computeSwissStandings = (participants, matches, rules = {}) => {
+    const pointsWin = typeof rules.pointsWin === "number" ? rules.pointsWin : 3;
+    const pointsLoss = typeof rules.pointsLoss === "number" ? rules.pointsLoss : 0;
+    const pointsDraw = typeof rules.pointsDraw === "number" ? rules.pointsDraw : 1;
+    const pointsForfeit = typeof rules.pointsForfeit === "number" ? rules.pointsForfeit : 0;
+
+    const rows = new Map();
+    participants.forEach((p, idx) => {
+        rows.set(String(p.id), {
+            id: String(p.id),
+            name: p.name,
+            seed: idx + 1,
+            played: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            byes: 0,
+            points: 0,
+            buchholz: 0,
+            sonnebornBerger: 0,
+            results: [] // { opponentId, outcome: "W" | "D" | "L" }
+        });
+    });
+
+    for (const m of matches || []) {
+        if (m.status !== "COMPLETED") continue;
+        const aId = getPlayerId(m.player_a);
+        const bId = getPlayerId(m.player_b);
+        const a = rows.get(aId);
+        const b = rows.get(bId);
+
+        if (a && !bId) {
+            a.byes += 1;
+            a.points += pointsWin;
+            continue;
+        }
+        if (!a || !b) continue;
+
+        const winnerId = getPlayerId(m.winner);
+        a.played += 1;
+        b.played += 1;
+        if (m.result_type === DOUBLE_NO_SHOW) {
+            [a, b].forEach((row) => {
+                row.losses += 1;
+                row.points += pointsForfeit;
+            });
+            a.results.push({ opponentId: b.id, outcome: "L" });
+            b.results.push({ opponentId: a.id, outcome: "L" });
+        } else if (winnerId === aId || winnerId === bId) {
+            const [w, l] = winnerId === aId ? [a, b] : [b, a];
+            w.wins += 1;
+            w.points += pointsWin;
+            l.losses += 1;
+            l.points += FORFEIT_RESULT_TYPES.includes(m.result_type) ? pointsForfeit : pointsLoss;
+            w.results.push({ opponentId: l.id, outcome: "W" });
+            l.results.push({ opponentId: w.id, outcome: "L" });
+        } else {
+            a.draws += 1;
+            b.draws += 1;
+            a.points += pointsDraw;
+            b.points += pointsDraw;
+            a.results.push({ opponentId: b.id, outcome: "D" });
+            b.results.push({ opponentId: a.id, outcome: "D" });
+        }
+    }
+
+    rows.forEach((row) => {
+        row.results.forEach(({ opponentId, outcome }) => {
+            const opponentPoints = rows.get(opponentId)?.points || 0;
+            row.buchholz += opponentPoints;
+            if (outcome === "W") row.sonnebornBerger += opponentPoints;
+            if (outcome === "D") row.sonnebornBerger += opponentPoints / 2;
+        });
+    });
+
+    const standings = [...rows.values()]
+        .map(({ results, ...row }) => row)
+        .sort((x, y) =>
+            y.points - x.points ||
+            y.buchholz - x.buchholz ||
+            y.sonnebornBerger - x.sonnebornBerger ||
+            x.seed - y.seed
+        );
+
+    standings.forEach((row, idx) => {
+        row.rank = idx + 1;
+    });
+    return standings;
+};
+
+/**
+ * Pair the next Swiss round.
+ * - Players are taken in standings order; each is paired with the closest-scoring opponent
+ *   they have not met, preferring the top-half vs bottom-half split inside a score group
+ * - Odd fields: the lowest-ranked player without a BYE yet sits out
+ * - Rematches are only allowed if no rematch-free pairing exists (tiny fields, late rounds)
+ *
+ * @param {Array} standings - Output of computeSwissStandings
+ * @param {Array} previousMatches - Earlier Swiss matches (any status)
+ * @returns {{ pairings: Array<[object, object]>, bye: object | null, rematches: number }}
+ */
+export const pairSwissRound = (standings, previousMatches) => {
+    const played = new Set();
+    const hadBye = new Set();
+    for (const m of previousMatches || []) {
+        const aId = getPlayerId(m.player_a);
+        const bId = getPlayerId(m.player_b);
+        if (aId && bId) played.add(pairKey(aId, bId));
+        else if (aId) hadBye.add(aId);
+    }
+
+    let pool = [...standings];
+    let bye = null;
+    if (pool.length % 2 === 1) {
+        const byeIndex = [...pool.keys()].reverse().find((i) => !hadBye.has(pool[i].id));
+        const idx = byeIndex === undefined ? pool.length - 1 : byeIndex;
+        bye = pool[idx];
+        pool = pool.filter((_, i) => i !== idx);
+    }
+
+    const candidatesFor = (player, remaining) => {
+        const sameScore = remaining.filter((p) => p.points === player.points);
+        const fold = Math.floor((sameScore.length + 1) / 2) - 1;
+        return [...remaining].sort((x, y) => {
+            const scoreDiff = Math.abs(x.points - player.points) - Math.abs(y.points - player.points);
+            if (scoreDiff !== 0) return scoreDiff;
+            return Math.abs(sameScore.indexOf(x) - fold) - Math.abs(sameScore.indexOf(y) - fold) ||
+                remaining.indexOf(x) - remaining.indexOf(y);
+        });
+    };
+
+    let steps = 0;
+    const solve = (remaining, allowRematch) => {
+        if (remaining.length === 0) return [];
+        if (++steps > MAX_PAIRING_STEPS) return null;
+        const [player, ...rest] = remaining;
+        for (const opponent of candidatesFor(player, rest)) {
+            if (!allowRematch && played.has(pairKey(player.id, opponent.id))) continue;
+            const tail = solve(rest.filter((p) => p !== opponent), allowRematch);
+            if (tail) return [[player, opponent], ...tail];
+        }
+        return null;
+    };
+
+    let pairings = solve(pool, false);
+    if (!pairings) {
+        steps = 0;
+        pairings = solve(pool, true) || [];
+    }
+
+    const rematches = pairings.filter(([a, b]) => played.has(pairKey(a.id, b.id))).length;
+    return { pairings, bye, rematches };
+};
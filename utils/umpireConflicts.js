@@ -0,0 +1,38 @@
+/**
+ * Umpire conflict-of-interest checks - pure helpers, no database access.
+ *
+ * A profile is { id, name, apartment, family: string[] } where family holds the family
+ * keys from utils/familyLinks.js (the same keys the bracket draw uses for separation).
+ * Two people are family when their family keys overlap.
+ */
+
+import { normalizeKey } from "./familyLinks.js";
+
+export const OWN_MATCH = "OWN_MATCH";
+export const SAME_APARTMENT = "SAME_APARTMENT";
+export const FAMILY = "FAMILY";
+
+/**
+ * Reasons an umpire should not officiate a match with these players.
+ * @param {object} umpire - Profile
+ * @param {object[]} players - Profiles of everyone playing (doubles partners included)
+ * @returns {Array<{ reason: string, player: { id: string, name: string } }>}
+ */
+export const findUmpireConflicts = (umpire, players) => {
+    const conflicts = [];
+    const umpireApartment = normalizeKey(umpire.apartment);
+    const umpireFamily = new Set(umpire.family || [umpire.id]);
+
+    for (const player of players) {
+        const who = { id: player.id, name: player.name };
+        if (player.id === umpire.id) {
+            conflicts.push({ reason: OWN_MATCH, player: who });
+        } else if (umpireApartment && normalizeKey(player.apartment) === umpireApartment) {
+            conflicts.push({ reason: SAME_APARTMENT, player: who });
+        } else if ((player.family || [player.id]).some((key) => umpireFamily.has(key))) {
+            conflicts.push({ reason: FAMILY, player: who });
+        }
+    }
+
+    return conflicts;
+};